@@ -0,0 +1,320 @@
+import sqlite3 from "sqlite3";
+import { promisify } from "util";
+import path from "path";
+import fsSync from "fs";
+import { MACCY_SCHEMA, HISTORY_ITEM_ENT, HISTORY_ITEM_CONTENT_ENT } from "./fixtures.js";
+import { itemFingerprint } from "./duplicates.js";
+
+// Items are copied in batches to keep memory flat on large histories
+const SYNC_BATCH_SIZE = 200;
+
+// Bookkeeping next to the Maccy tables:
+//   archive_sources - which Maccy item each archived item was copied from. Maccy
+//                     reuses Z_PK values after a reset, so the first-copy time
+//                     is part of the key.
+//   archive_hashes  - content fingerprint per archived item, for deduplication
+const ARCHIVE_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS archive_meta (key TEXT PRIMARY KEY, value TEXT)`,
+  `CREATE TABLE IF NOT EXISTS archive_sources (
+     source TEXT NOT NULL, source_id INTEGER NOT NULL, first_copied REAL NOT NULL,
+     archive_id INTEGER NOT NULL, signature TEXT NOT NULL,
+     PRIMARY KEY (source, source_id, first_copied)
+   )`,
+  `CREATE TABLE IF NOT EXISTS archive_hashes (archive_id INTEGER PRIMARY KEY, hash TEXT NOT NULL)`,
+  `CREATE INDEX IF NOT EXISTS archive_hashes_hash ON archive_hashes (hash)`,
+];
+
+// Long-term copy of Maccy's history in a server-owned SQLite file. It uses
+// Maccy's own Core Data schema, so every read tool can query it like Maccy's
+// database; items Maccy drops past its history limit stay in the archive.
+// Syncing is incremental: new Maccy items are copied with all their content
+// types, and items copied again in Maccy get their timestamps, copy counts and
+// pins updated. The same file layout works for any Maccy-schema database, so
+// it is also the target of imports.
+export class HistoryArchive {
+  constructor(archivePath) {
+    fsSync.mkdirSync(path.dirname(archivePath), { recursive: true });
+    this.archivePath = archivePath;
+    this.db = new sqlite3.Database(archivePath);
+    this.db.configure('busyTimeout', 10000);
+
+    this.get = promisify(this.db.get.bind(this.db));
+    this.all = promisify(this.db.all.bind(this.db));
+    this.run = promisify(this.db.run.bind(this.db));
+
+    this.ready = null;
+    this.syncing = null;
+    this.writing = Promise.resolve();
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const existing = await this.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'ZHISTORYITEM'`);
+        if (!existing) {
+          await this.run('BEGIN');
+          for (const statement of MACCY_SCHEMA) {
+            await this.run(statement);
+          }
+          await this.run(`INSERT INTO Z_PRIMARYKEY (Z_ENT, Z_NAME, Z_SUPER, Z_MAX) VALUES (?, 'HistoryItem', 0, 0)`, [HISTORY_ITEM_ENT]);
+          await this.run(`INSERT INTO Z_PRIMARYKEY (Z_ENT, Z_NAME, Z_SUPER, Z_MAX) VALUES (?, 'HistoryItemContent', 0, 0)`, [HISTORY_ITEM_CONTENT_ENT]);
+          await this.run(`INSERT INTO Z_METADATA (Z_VERSION, Z_UUID, Z_PLIST) VALUES (1, 'maccy-clipboard-mcp-archive', NULL)`);
+          await this.run('COMMIT');
+        }
+        for (const statement of ARCHIVE_SCHEMA) {
+          await this.run(statement);
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  // Copy new and changed items from the Maccy database behind `clipboardDb`.
+  // Concurrent callers share the same in-flight sync.
+  sync(clipboardDb) {
+    if (!this.syncing) {
+      this.syncing = this.doSync(clipboardDb).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async doSync(clipboardDb) {
+    await this.init();
+
+    // Items hidden by the privacy rules are never archived
+    const filter = await clipboardDb.buildFilterClause();
+    const sourceRows = await clipboardDb.all(`
+      SELECT h.Z_PK as id, h.ZFIRSTCOPIEDAT, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+      FROM ZHISTORYITEM h WHERE 1=1 ${filter.sql}
+    `, filter.params);
+    const archivedRows = await this.all(`
+      SELECT source_id, first_copied, archive_id, signature FROM archive_sources WHERE source = ?
+    `, [clipboardDb.dbPath]);
+    const archived = new Map(archivedRows.map(row => [`${row.source_id}:${row.first_copied}`, row]));
+
+    const added = [];
+    const updated = [];
+    for (const row of sourceRows) {
+      const existing = archived.get(`${row.id}:${row.ZFIRSTCOPIEDAT}`);
+      if (!existing) {
+        added.push(row.id);
+      } else if (existing.signature !== itemSignature(row)) {
+        updated.push({ archiveId: existing.archive_id, row });
+      }
+    }
+
+    for (let i = 0; i < added.length; i += SYNC_BATCH_SIZE) {
+      const ids = added.slice(i, i + SYNC_BATCH_SIZE);
+      const placeholders = ids.map(() => '?').join(', ');
+      const items = await clipboardDb.all(`
+        SELECT Z_PK as id, ZFIRSTCOPIEDAT, ZLASTCOPIEDAT, ZNUMBEROFCOPIES, ZAPPLICATION, ZPIN, ZTITLE
+        FROM ZHISTORYITEM WHERE Z_PK IN (${placeholders})
+      `, ids);
+      const contentRows = await clipboardDb.all(`
+        SELECT ZITEM, ZTYPE, ZVALUE FROM ZHISTORYITEMCONTENT WHERE ZITEM IN (${placeholders}) ORDER BY Z_PK
+      `, ids);
+
+      const contentByItem = new Map();
+      for (const row of contentRows) {
+        if (!contentByItem.has(row.ZITEM)) contentByItem.set(row.ZITEM, []);
+        contentByItem.get(row.ZITEM).push(row);
+      }
+
+      await this.transaction(async () => {
+        for (const item of items) {
+          const archiveId = await this.insertItem(item, contentByItem.get(item.id) || []);
+          await this.run(
+            `INSERT INTO archive_sources (source, source_id, first_copied, archive_id, signature) VALUES (?, ?, ?, ?, ?)`,
+            [clipboardDb.dbPath, item.id, item.ZFIRSTCOPIEDAT, archiveId, itemSignature(item)]
+          );
+        }
+      });
+    }
+
+    await this.transaction(async () => {
+      for (const { archiveId, row } of updated) {
+        await this.run(
+          `UPDATE ZHISTORYITEM SET ZLASTCOPIEDAT = ?, ZNUMBEROFCOPIES = ?, ZPIN = ? WHERE Z_PK = ?`,
+          [row.ZLASTCOPIEDAT, row.ZNUMBEROFCOPIES, row.ZPIN, archiveId]
+        );
+        await this.run(
+          `UPDATE archive_sources SET signature = ? WHERE source = ? AND source_id = ? AND first_copied = ?`,
+          [itemSignature(row), clipboardDb.dbPath, row.id, row.ZFIRSTCOPIEDAT]
+        );
+      }
+      await this.run(`INSERT OR REPLACE INTO archive_meta (key, value) VALUES ('lastSync', ?)`, [new Date().toISOString()]);
+    });
+
+    return { added: added.length, updated: updated.length };
+  }
+
+  // Run `work` in a transaction, keeping the Core Data primary key counters
+  // (Z_PRIMARYKEY.Z_MAX) in step with the rows it inserted. Sync and import
+  // share this connection, so transactions are queued rather than nested.
+  async transaction(work) {
+    const previous = this.writing;
+    let release;
+    this.writing = new Promise(resolve => {
+      release = resolve;
+    });
+    await previous;
+
+    try {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await this.run(`UPDATE Z_PRIMARYKEY SET Z_MAX = (SELECT COALESCE(MAX(Z_PK), 0) FROM ZHISTORYITEM) WHERE Z_ENT = ?`, [HISTORY_ITEM_ENT]);
+        await this.run(`UPDATE Z_PRIMARYKEY SET Z_MAX = (SELECT COALESCE(MAX(Z_PK), 0) FROM ZHISTORYITEMCONTENT) WHERE Z_ENT = ?`, [HISTORY_ITEM_CONTENT_ENT]);
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      release();
+    }
+  }
+
+  // Record fingerprints for items that have none yet, e.g. the items of a
+  // fixture database used as an import target for the first time
+  async indexHashes() {
+    await this.init();
+    while (true) {
+      const items = await this.all(`
+        SELECT Z_PK as id, ZTITLE FROM ZHISTORYITEM
+        WHERE Z_PK NOT IN (SELECT archive_id FROM archive_hashes)
+        ORDER BY Z_PK LIMIT ?
+      `, [SYNC_BATCH_SIZE]);
+      if (items.length === 0) return;
+
+      const ids = items.map(item => item.id);
+      const contentRows = await this.all(`
+        SELECT ZITEM, ZTYPE, ZVALUE FROM ZHISTORYITEMCONTENT
+        WHERE ZITEM IN (${ids.map(() => '?').join(', ')}) ORDER BY Z_PK
+      `, ids);
+
+      await this.transaction(async () => {
+        for (const item of items) {
+          const fingerprint = itemFingerprint(contentRows.filter(row => row.ZITEM === item.id), item.ZTITLE);
+          // Items without content get an empty hash so they aren't rescanned
+          await this.run(`INSERT OR REPLACE INTO archive_hashes (archive_id, hash) VALUES (?, ?)`, [item.id, fingerprint?.hash || '']);
+        }
+      });
+    }
+  }
+
+  // Archived items with this content fingerprint
+  async findByHash(hash) {
+    return this.all(`
+      SELECT h.Z_PK as id, h.ZAPPLICATION, h.ZFIRSTCOPIEDAT, h.ZLASTCOPIEDAT
+      FROM archive_hashes a JOIN ZHISTORYITEM h ON h.Z_PK = a.archive_id
+      WHERE a.hash = ?
+    `, [hash]);
+  }
+
+  // Archived items of `application` first copied within a second of
+  // `firstCopiedAt`, with their { ZTYPE, ZVALUE } content rows
+  async findByFirstCopy(application, firstCopiedAt) {
+    const items = await this.all(`
+      SELECT Z_PK as id, ZTITLE, ZAPPLICATION, ZFIRSTCOPIEDAT FROM ZHISTORYITEM
+      WHERE ZAPPLICATION IS ? AND ZFIRSTCOPIEDAT > ? AND ZFIRSTCOPIEDAT < ?
+    `, [application, firstCopiedAt - 1, firstCopiedAt + 1]);
+    for (const item of items) {
+      item.contentRows = await this.all(`SELECT ZTYPE, ZVALUE FROM ZHISTORYITEMCONTENT WHERE ZITEM = ? ORDER BY Z_PK`, [item.id]);
+    }
+    return items;
+  }
+
+  // Insert one ZHISTORYITEM row (Maccy column names) with its { ZTYPE, ZVALUE }
+  // content rows and record its fingerprint. Returns the new archive ID.
+  async insertItem(item, contentRows) {
+    const db = this.db;
+    const archiveId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO ZHISTORYITEM (Z_ENT, Z_OPT, ZNUMBEROFCOPIES, ZFIRSTCOPIEDAT, ZLASTCOPIEDAT, ZAPPLICATION, ZPIN, ZTITLE)
+         VALUES (?, 1, ?, ?, ?, ?, ?, ?)`,
+        [HISTORY_ITEM_ENT, item.ZNUMBEROFCOPIES, item.ZFIRSTCOPIEDAT, item.ZLASTCOPIEDAT, item.ZAPPLICATION, item.ZPIN, item.ZTITLE],
+        function (error) {
+          if (error) reject(error);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    for (const row of contentRows) {
+      await this.run(
+        `INSERT INTO ZHISTORYITEMCONTENT (Z_ENT, Z_OPT, ZITEM, ZTYPE, ZVALUE) VALUES (?, 1, ?, ?, ?)`,
+        [HISTORY_ITEM_CONTENT_ENT, archiveId, row.ZTYPE, row.ZVALUE]
+      );
+    }
+
+    const fingerprint = itemFingerprint(contentRows, item.ZTITLE);
+    await this.run(`INSERT OR REPLACE INTO archive_hashes (archive_id, hash) VALUES (?, ?)`, [archiveId, fingerprint?.hash || '']);
+    return archiveId;
+  }
+
+  // Archive IDs of the items copied from the given Maccy items ({ id,
+  // ZFIRSTCOPIEDAT } rows of the database at `source`)
+  async findCopies(source, rows) {
+    await this.init();
+    const archiveIds = [];
+    for (let i = 0; i < rows.length; i += 500) {
+      const batch = rows.slice(i, i + 500);
+      const wanted = new Set(batch.map(row => `${row.id}:${row.ZFIRSTCOPIEDAT}`));
+      const sources = await this.all(`
+        SELECT source_id, first_copied, archive_id FROM archive_sources
+        WHERE source = ? AND source_id IN (${batch.map(() => '?').join(', ')})
+      `, [source, ...batch.map(row => row.id)]);
+      archiveIds.push(...sources.filter(row => wanted.has(`${row.source_id}:${row.first_copied}`)).map(row => row.archive_id));
+    }
+    return archiveIds;
+  }
+
+  // Delete the archived copies of Maccy items deleted from `source`, with their
+  // content and bookkeeping rows. Returns how many archived items were removed.
+  async deleteCopies(source, rows) {
+    // A sync that read Maccy before the items were deleted may still be copying them
+    if (this.syncing) await this.syncing.catch(() => {});
+    const archiveIds = await this.findCopies(source, rows);
+
+    return this.transaction(async () => {
+      let deleted = 0;
+      for (let i = 0; i < archiveIds.length; i += 500) {
+        const batch = archiveIds.slice(i, i + 500);
+        const placeholders = batch.map(() => '?').join(', ');
+        await this.run(`DELETE FROM ZHISTORYITEMCONTENT WHERE ZITEM IN (${placeholders})`, batch);
+        await this.run(`DELETE FROM archive_hashes WHERE archive_id IN (${placeholders})`, batch);
+        await this.run(`DELETE FROM archive_sources WHERE archive_id IN (${placeholders})`, batch);
+        deleted += await new Promise((resolve, reject) => {
+          this.db.run(`DELETE FROM ZHISTORYITEM WHERE Z_PK IN (${placeholders})`, batch, function (error) {
+            if (error) reject(error);
+            else resolve(this.changes);
+          });
+        });
+      }
+      return deleted;
+    });
+  }
+
+  // Item count, date range and last sync time for sync_archive's report
+  async summary() {
+    await this.init();
+    const totals = await this.get(`
+      SELECT COUNT(*) as count, MIN(ZLASTCOPIEDAT) as oldest, MAX(ZLASTCOPIEDAT) as newest FROM ZHISTORYITEM
+    `);
+    const lastSync = await this.get(`SELECT value FROM archive_meta WHERE key = 'lastSync'`);
+    return { itemCount: totals.count, oldest: totals.oldest, newest: totals.newest, lastSync: lastSync?.value || null };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// What sync compares to notice that Maccy updated an item
+function itemSignature(row) {
+  return `${row.ZLASTCOPIEDAT}:${row.ZNUMBEROFCOPIES}:${row.ZPIN ?? ''}`;
+}
@@ -0,0 +1,123 @@
+// Size limits for tool responses. Item text is cut to a number of characters
+// (keeping its head and tail) and a whole response to a byte budget, measured
+// as the JSON the client receives. Offsets count UTF-16 characters of the text
+// as shown, i.e. after secret redaction, so a marker's range can be passed
+// straight back to get_item.
+
+// Defaults for the "responses" config section
+export const DEFAULT_RESPONSE_LIMITS = {
+  maxBytes: 256 * 1024,   // whole response, including base64 images
+  maxItemChars: 4000,     // text shown per item in listings
+};
+
+// Rough size of a token, used to accept budgets in tokens
+export const BYTES_PER_TOKEN = 4;
+
+// JSON size of one content part
+export function contentSize(part) {
+  return Buffer.byteLength(JSON.stringify(part), 'utf8');
+}
+
+// Move an index off the second half of a surrogate pair
+function safeIndex(text, index) {
+  const code = text.charCodeAt(index);
+  return index > 0 && index < text.length && code >= 0xdc00 && code <= 0xdfff ? index - 1 : index;
+}
+
+// Cut `text` to about maxChars characters, keeping the first and last halves
+// with the line from `marker(omitted)` between them. Returns { text, omitted }
+// where omitted is { offset, length } of the part left out, or null when the
+// text was short enough.
+export function truncateMiddle(text, maxChars, marker = () => '…') {
+  if (!Number.isFinite(maxChars) || text.length <= maxChars) return { text, omitted: null };
+  const headEnd = safeIndex(text, Math.ceil(maxChars / 2));
+  const tailStart = safeIndex(text, text.length - Math.floor(maxChars / 2));
+  const omitted = { offset: headEnd, length: tailStart - headEnd };
+  return {
+    text: `${text.slice(0, headEnd)}\n${marker(omitted)}\n${text.slice(tailStart)}`,
+    omitted,
+  };
+}
+
+// Number of leading characters of `text` whose JSON encoding fits in maxBytes
+export function fittingLength(text, maxBytes) {
+  if (maxBytes <= 0) return 0;
+  if (contentSize(text) <= maxBytes) return text.length;
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (contentSize(text.slice(0, middle)) <= maxBytes) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return safeIndex(text, low);
+}
+
+// Bytes used so far by a response's content parts
+export class ResponseBudget {
+  constructor(maxBytes, content = []) {
+    this.maxBytes = maxBytes;
+    this.used = content.reduce((sum, part) => sum + contentSize(part), 0);
+  }
+
+  get remaining() {
+    return Math.max(0, this.maxBytes - this.used);
+  }
+
+  fits(parts) {
+    return this.used + parts.reduce((sum, part) => sum + contentSize(part), 0) <= this.maxBytes;
+  }
+
+  // Append parts to content and count them
+  add(content, parts) {
+    for (const part of parts) {
+      this.used += contentSize(part);
+      content.push(part);
+    }
+  }
+
+  // Count parts sent outside the content array, e.g. in structuredContent
+  count(parts) {
+    for (const part of parts) this.used += contentSize(part);
+  }
+}
+
+export class ResponseLimits {
+  constructor(options = {}) {
+    this.defaults = { ...DEFAULT_RESPONSE_LIMITS };
+    for (const [key, value] of Object.entries(options || {})) {
+      if (key === 'maxTokens') {
+        if (!Number.isInteger(value) || value < 1) throw new Error('responses.maxTokens must be a positive integer');
+        continue;
+      }
+      if (!(key in DEFAULT_RESPONSE_LIMITS)) {
+        throw new Error(`Unknown responses option "${key}". Available: ${[...Object.keys(DEFAULT_RESPONSE_LIMITS), 'maxTokens'].join(', ')}`);
+      }
+      if (!Number.isInteger(value) || value < 1) throw new Error(`responses.${key} must be a positive integer`);
+      this.defaults[key] = value;
+    }
+    // A token budget is an alternative way to give maxBytes; the smaller wins
+    if (options?.maxTokens) {
+      const tokenBytes = options.maxTokens * BYTES_PER_TOKEN;
+      this.defaults.maxBytes = 'maxBytes' in options ? Math.min(this.defaults.maxBytes, tokenBytes) : tokenBytes;
+    }
+  }
+
+  // Limits for one request: max_chars (0 for no per-item limit) and
+  // max_response_tokens override the configured defaults
+  forRequest({ max_chars, max_response_tokens } = {}, { itemChars = this.defaults.maxItemChars } = {}) {
+    if (max_chars !== undefined && (!Number.isInteger(max_chars) || max_chars < 0)) {
+      throw new Error('max_chars must be a non-negative integer (0 for no limit)');
+    }
+    if (max_response_tokens !== undefined && (!Number.isInteger(max_response_tokens) || max_response_tokens < 1)) {
+      throw new Error('max_response_tokens must be a positive integer');
+    }
+    return {
+      maxItemChars: max_chars === undefined ? itemChars : max_chars === 0 ? Infinity : max_chars,
+      maxBytes: max_response_tokens === undefined ? this.defaults.maxBytes : max_response_tokens * BYTES_PER_TOKEN,
+    };
+  }
+}
@@ -0,0 +1,222 @@
+import { spawn } from "child_process";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import fsSync from "fs";
+
+// Run a command with `input` on stdin. Arguments are passed as an array and
+// never go through a shell. Resolves on the process's exit rather than when
+// its pipes close, because xclip forks a child that keeps serving the selection.
+export function runWithInput(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', error => {
+      reject(new Error(`Failed to run ${command}: ${error.message}`));
+    });
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} exited with ${signal || `code ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+      }
+    });
+
+    child.stdin.on('error', () => {
+      // Reported through the exit code instead
+    });
+    child.stdin.end(input);
+  });
+}
+
+// Is `command` an executable on PATH?
+export function commandExists(command) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    try {
+      fsSync.accessSync(path.join(dir, command), fsSync.constants.X_OK);
+      return true;
+    } catch {
+      // Not in this directory
+    }
+  }
+  return false;
+}
+
+// macOS pasteboard via pbcopy (text) and osascript (images)
+class MacOSClipboardWriter {
+  constructor() {
+    this.name = 'macos';
+  }
+
+  static isAvailable() {
+    return process.platform === 'darwin' && commandExists('pbcopy');
+  }
+
+  async writeText(text) {
+    await runWithInput('pbcopy', [], text);
+  }
+
+  async writeImage(data, mimeType) {
+    const pictureClass = mimeType === 'image/png' ? '«class PNGf»' :
+                         mimeType === 'image/jpeg' ? 'JPEG picture' :
+                         'TIFF picture';
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'maccy-clipboard-'));
+    const tempPath = path.join(tempDir, 'image');
+    try {
+      await fs.writeFile(tempPath, data);
+      // The path is handed to the script as an argument, not interpolated into it
+      await runWithInput('osascript', [
+        '-e', 'on run argv',
+        '-e', `set the clipboard to (read (POSIX file (item 1 of argv)) as ${pictureClass})`,
+        '-e', 'end run',
+        tempPath,
+      ], '');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// X11 clipboard via xclip
+class XclipClipboardWriter {
+  constructor() {
+    this.name = 'xclip';
+  }
+
+  static isAvailable() {
+    return Boolean(process.env.DISPLAY) && commandExists('xclip');
+  }
+
+  async writeText(text) {
+    await runWithInput('xclip', ['-selection', 'clipboard', '-in'], text);
+  }
+
+  async writeImage(data, mimeType) {
+    await runWithInput('xclip', ['-selection', 'clipboard', '-in', '-t', mimeType], data);
+  }
+}
+
+// X11 clipboard via xsel (text only)
+class XselClipboardWriter {
+  constructor() {
+    this.name = 'xsel';
+  }
+
+  static isAvailable() {
+    return Boolean(process.env.DISPLAY) && commandExists('xsel');
+  }
+
+  async writeText(text) {
+    await runWithInput('xsel', ['--clipboard', '--input'], text);
+  }
+
+  async writeImage() {
+    throw new Error('The xsel clipboard backend does not support images; use xclip or wl-copy');
+  }
+}
+
+// Wayland clipboard via wl-copy
+class WlCopyClipboardWriter {
+  constructor() {
+    this.name = 'wl-copy';
+  }
+
+  static isAvailable() {
+    return Boolean(process.env.WAYLAND_DISPLAY) && commandExists('wl-copy');
+  }
+
+  async writeText(text) {
+    await runWithInput('wl-copy', [], text);
+  }
+
+  async writeImage(data, mimeType) {
+    await runWithInput('wl-copy', ['--type', mimeType], data);
+  }
+}
+
+// Sink that writes the content to a file. The path "-" writes to stderr instead:
+// stdout carries the MCP stdio transport and must not receive anything else.
+class FileClipboardWriter {
+  constructor({ filePath } = {}) {
+    if (!filePath) throw new Error('The file clipboard backend requires "filePath" in the clipboard config');
+    this.name = 'file';
+    this.filePath = filePath === '-' ? filePath : path.resolve(filePath);
+  }
+
+  async write(data) {
+    if (this.filePath === '-') {
+      process.stderr.write(data);
+      if (!Buffer.isBuffer(data)) process.stderr.write('\n');
+      return;
+    }
+    await fs.writeFile(this.filePath, data);
+  }
+
+  async writeText(text) {
+    await this.write(text);
+  }
+
+  async writeImage(data) {
+    await this.write(data);
+  }
+}
+
+// Keeps clipboard writes in memory, for tests and dry runs
+export class MemoryClipboardWriter {
+  constructor() {
+    this.name = 'memory';
+    this.history = [];
+  }
+
+  get current() {
+    return this.history[this.history.length - 1] || null;
+  }
+
+  async writeText(text) {
+    this.history.push({ type: 'text', data: text });
+  }
+
+  async writeImage(data, mimeType) {
+    this.history.push({ type: 'image', mimeType, data });
+  }
+}
+
+const BACKENDS = {
+  macos: MacOSClipboardWriter,
+  xclip: XclipClipboardWriter,
+  xsel: XselClipboardWriter,
+  'wl-copy': WlCopyClipboardWriter,
+  file: FileClipboardWriter,
+  memory: MemoryClipboardWriter,
+};
+
+// Backends tried in order by "auto"
+const AUTO_ORDER = [MacOSClipboardWriter, WlCopyClipboardWriter, XclipClipboardWriter, XselClipboardWriter];
+
+export const CLIPBOARD_BACKENDS = Object.keys(BACKENDS);
+
+// Create the clipboard writer described by the `clipboard` config section:
+//   { "backend": "auto" | "macos" | "xclip" | "xsel" | "wl-copy" | "file" | "memory", "filePath": "..." }
+export function createClipboardWriter(options = {}) {
+  const backend = options.backend || 'auto';
+
+  if (backend === 'auto') {
+    const Writer = AUTO_ORDER.find(candidate => candidate.isAvailable());
+    if (!Writer) {
+      throw new Error('No clipboard backend available (looked for pbcopy, wl-copy, xclip, xsel). ' +
+        'Set "clipboard": { "backend": "file", "filePath": "..." } in the config file to write elsewhere');
+    }
+    return new Writer(options);
+  }
+
+  const Writer = BACKENDS[backend];
+  if (!Writer) {
+    throw new Error(`Unknown clipboard backend: ${backend}. Supported backends: auto, ${CLIPBOARD_BACKENDS.join(', ')}`);
+  }
+  return new Writer(options);
+}
@@ -0,0 +1,102 @@
+import os from "os";
+import path from "path";
+import fsSync from "fs";
+
+// Default location of Maccy's Core Data store on macOS
+export const DEFAULT_MACCY_DB_PATH = path.join(
+  os.homedir(),
+  "Library/Containers/org.p0deje.Maccy/Data/Library/Application Support/Maccy/Storage.sqlite"
+);
+
+// Directory for files the server owns (search index etc.); never inside Maccy's container
+export const DEFAULT_DATA_DIR = process.platform === 'darwin'
+  ? path.join(os.homedir(), "Library/Application Support/maccy-clipboard-mcp")
+  : path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local/share"), "maccy-clipboard-mcp");
+
+// Config file picked up automatically when no --config flag or MACCY_MCP_CONFIG is given
+export const DEFAULT_CONFIG_PATH = path.join(os.homedir(), ".config", "maccy-clipboard-mcp", "config.json");
+
+// Expand a leading ~ to the user's home directory
+export function expandHome(filePath) {
+  if (typeof filePath !== 'string') return filePath;
+  if (filePath === '~') return os.homedir();
+  if (filePath.startsWith('~/')) return path.join(os.homedir(), filePath.slice(2));
+  return filePath;
+}
+
+// Parse `--name value` and `--name=value` pairs; bare flags become `true`
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      args[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args[arg.slice(2)] = true;
+    }
+  }
+  return args;
+}
+
+// Read a JSON config file. Paths inside it are resolved relative to the file itself.
+function readConfigFile(configPath) {
+  let raw;
+  try {
+    raw = fsSync.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${configPath}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${configPath} must contain a JSON object`);
+  }
+
+  for (const key of ['dbPath', 'dataDir']) {
+    if (typeof parsed[key] === 'string') {
+      parsed[key] = path.resolve(path.dirname(configPath), expandHome(parsed[key]));
+    }
+  }
+  if (parsed.archive && typeof parsed.archive.path === 'string') {
+    parsed.archive.path = path.resolve(path.dirname(configPath), expandHome(parsed.archive.path));
+  }
+  const clipboard = parsed.clipboard;
+  if (clipboard && typeof clipboard.filePath === 'string' && clipboard.filePath !== '-') {
+    clipboard.filePath = path.resolve(path.dirname(configPath), expandHome(clipboard.filePath));
+  }
+  return parsed;
+}
+
+// Resolve server configuration. Precedence: CLI flag > environment variable > config file > default.
+//   --db <path>      / MACCY_DB_PATH     / "dbPath"   - Maccy SQLite database to read
+//   --config <path>  / MACCY_MCP_CONFIG                - JSON config file to load
+//   --data-dir <dir> / MACCY_MCP_DATA_DIR / "dataDir"  - directory for the server's own files
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const args = parseArgs(argv);
+
+  const explicitConfig = (typeof args.config === 'string' && args.config) || env.MACCY_MCP_CONFIG || null;
+  const configPath = path.resolve(expandHome(explicitConfig || DEFAULT_CONFIG_PATH));
+
+  const hasConfigFile = Boolean(explicitConfig) || fsSync.existsSync(configPath);
+  const fileConfig = hasConfigFile ? readConfigFile(configPath) : {};
+
+  const dbPath = (typeof args.db === 'string' && args.db) || env.MACCY_DB_PATH || fileConfig.dbPath || DEFAULT_MACCY_DB_PATH;
+  const dataDir = (typeof args['data-dir'] === 'string' && args['data-dir']) || env.MACCY_MCP_DATA_DIR || fileConfig.dataDir || DEFAULT_DATA_DIR;
+
+  return {
+    ...fileConfig,
+    configPath: hasConfigFile ? configPath : null,
+    dbPath: path.resolve(expandHome(dbPath)),
+    dataDir: path.resolve(expandHome(dataDir)),
+  };
+}
@@ -0,0 +1,191 @@
+// Classification of clipboard items: what kind of thing was copied, judged
+// from the stored pasteboard types and the plain text. An item gets a primary
+// kind plus tags (the primary kind first, then broader ones, e.g. a shell
+// command is also code) and, for code, a guessed language.
+
+import { isImageType } from "./content-types.js";
+
+export const CONTENT_KINDS = [
+  'url', 'email', 'phone', 'file', 'json', 'yaml', 'sql', 'shell', 'code',
+  'color', 'uuid', 'number', 'prose', 'image', 'other',
+];
+
+// Only the start of a text is classified, measured in UTF-8 bytes so that
+// SQL can load the same sample with SUBSTR
+export const CLASSIFY_BYTES = 4096;
+
+// Stored with cached classifications (kind-cache.js); bump it when the rules
+// below change so the caches are rebuilt
+export const CLASSIFIER_VERSION = 1;
+
+const URL_PATTERN = /^(?:(?:https?|ftp|ssh|git):\/\/|www\.)[^\s]+$/i;
+const EMAIL_PATTERN = /^(?:mailto:)?[^\s@<>()[\]]+@[^\s@<>()[\]]+\.[a-z]{2,}$/i;
+const UUID_PATTERN = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const COLOR_PATTERNS = [
+  /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i,
+  /^(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*-?[\d.]+(?:deg|%)?(?:\s*[,\s]\s*-?[\d.]+%?){2}(?:\s*[,/]\s*[\d.]+%?)?\s*\)$/i,
+];
+const NUMBER_PATTERN = /^[-+−]?[$€£¥]?(?:\d{1,3}(?:[,\s']\d{3})+|\d+)(?:[.,]\d+)?(?:e[-+]?\d+)?\s?%?$|^0x[0-9a-f]+$|^0b[01]+$/i;
+const PHONE_PATTERN = /^(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}$/;
+const DATE_PATTERN = /^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/;
+const IPV4_PATTERN = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+const PATH_PATTERN = /^(?:~|\.{1,2})?\/[^/\0\n]+(?:\/[^/\0\n]*)*$|^[a-z]:\\[^\n]*$|^file:\/\//i;
+
+const SHELL_COMMAND = /^\s*(?:\$\s+)?(?:sudo|git|npm|npx|pnpm|yarn|pip3?|brew|docker|kubectl|helm|terraform|curl|wget|cd|ls|cat|grep|rg|find|ssh|scp|rsync|chmod|chown|mkdir|rm|cp|mv|tar|make|cargo|go|python3?|node|echo|export|source)\s+\S/m;
+const SQL_STATEMENT = /^\s*(?:SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER|DROP|WITH)\b[\s\S]*\b(?:FROM|INTO|SET|TABLE|VIEW|INDEX|AS)\b/i;
+
+// Signals that a text is source code or a shell command rather than prose
+const CODE_SIGNALS = [
+  /^\s*(?:import|export|from|package|using|#include|require)\b/m,
+  /^\s*(?:function|def|class|struct|enum|interface|fn|func|public|private|static|const|let|var)\s+[\w$]/m,
+  /^\s*(?:if|for|while|switch|return)\b.*[({:]\s*$/m,
+  /[;{}]\s*$/m,
+  /=>|->|::|&&|\|\||===|!==/,
+  /^\s*(?:\$|#|>)\s+\S/m,
+  /<\/[a-z][\w-]*>|<[a-z][\w-]*(?:\s[\w-]+="[^"]*")+\s*\/?>/i,
+  SQL_STATEMENT,
+  SHELL_COMMAND,
+  /^(?: {2,}|\t)\S/m,
+];
+
+// Number of code signals needed before a text counts as code
+const CODE_SIGNAL_THRESHOLD = 2;
+
+// Patterns that point at a language; the language with the most matches wins
+const LANGUAGE_SIGNALS = {
+  python: [/^\s*def \w+\(.*\)\s*(?:->\s*[\w[\], ]+)?:\s*$/m, /^\s*(?:from [\w.]+ )?import [\w.]+(?: as \w+)?\s*$/m, /^\s*(?:elif|except|with)\b.*:\s*$/m, /\bself\./, /\bprint\(/, /^\s*@\w+/m, /\b(?:None|True|False)\b/],
+  javascript: [/\b(?:const|let|var)\s+\w+\s*=/, /=>/, /\bfunction\s*\w*\s*\(/, /\bconsole\.\w+\(/, /\brequire\(['"]/, /===|!==/, /^\s*import .* from ['"]/m, /\bexport (?:default|const|function)\b/],
+  typescript: [/:\s*(?:string|number|boolean|any|unknown|void)\b/, /^\s*(?:export )?interface \w+/m, /^\s*(?:export )?type \w+\s*=/m, /<\w+>\(/, /\bas const\b/],
+  java: [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|void|int|String)\b/, /\bSystem\.out\./, /@Override\b/, /^\s*import java\./m, /\bnew \w+<.*>\(/],
+  csharp: [/^\s*using System/m, /\bnamespace \w+/, /\bConsole\.Write/, /\bpublic (?:async )?(?:Task|void|string|int)\b/, /\bvar \w+ = new\b/],
+  go: [/^\s*package \w+\s*$/m, /^\s*func (?:\(\w+ \*?\w+\) )?\w+\(/m, /:=/, /\bfmt\.\w+\(/, /\berr != nil\b/],
+  rust: [/^\s*(?:pub )?fn \w+/m, /\blet mut\b/, /\bprintln!\(/, /^\s*impl\b/m, /::<|&str\b|\bOption<|\bResult</, /^\s*use \w+::/m],
+  swift: [/^\s*import (?:Foundation|SwiftUI|UIKit|AppKit|Combine)\s*$/m, /\bguard let\b|\bif let\b/, /^\s*func \w+\(.*\)\s*(?:->\s*\w+\s*)?\{/m, /@(?:State|Published|objc|MainActor)\b/, /\bstruct \w+: \w+/],
+  c: [/^\s*#include\s*[<"]/m, /\bint main\s*\(/, /\bprintf\(/, /\bmalloc\(|\bsizeof\(/],
+  cpp: [/\bstd::/, /\bcout\s*<</, /^\s*template\s*</m, /\bnamespace \w+\s*\{/, /#include <(?:iostream|vector|string|map)>/],
+  ruby: [/^\s*def \w+(?:\(.*\))?\s*$/m, /^\s*end\s*$/m, /\bputs\b/, /\.each do \|/, /^\s*require ['"]/m, /\battr_accessor\b/],
+  php: [/<\?php/, /\$\w+\s*=/, /->\w+\(/, /\becho\b/, /\bfunction \w+\(\$/],
+  html: [/^\s*<!DOCTYPE html/im, /<\/(?:div|span|p|a|ul|li|table|body|html|head)>/i, /<(?:div|span|p|a|img|br|ul|li)(?:\s[^>]*)?>/i],
+  css: [/^\s*[.#]?[\w-]+(?:[\s>+~,.#:[\]="\w-]*)\s*\{\s*$/m, /^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, /@media\b|@import\b|@keyframes\b/],
+  shell: [SHELL_COMMAND, /^#!\/(?:usr\/)?bin\/(?:env )?(?:ba|z)?sh/, /\$\(|\$\{\w+\}/, /\|\s*(?:grep|awk|sed|xargs|sort|head|tail)\b/, /^\s*export \w+=/m, /^\s*(?:if|then|fi|do|done)\b/m],
+};
+
+// Pasteboard types that say what an item is on their own
+const TYPE_LANGUAGES = {
+  'public.python-script': 'python',
+  'public.shell-script': 'shell',
+  'public.swift-source': 'swift',
+  'public.c-source': 'c',
+  'public.c-plus-plus-source': 'cpp',
+  'public.objective-c-source': 'c',
+  'com.netscape.javascript-source': 'javascript',
+  'public.ruby-script': 'ruby',
+  'public.php-script': 'php',
+  'com.sun.java-source': 'java',
+};
+
+// The start of `text` that is classified (see CLASSIFY_BYTES)
+function classifiedSample(text) {
+  const sample = text.length > CLASSIFY_BYTES ? text.slice(0, CLASSIFY_BYTES) : text;
+  return Buffer.byteLength(sample, 'utf8') > CLASSIFY_BYTES
+    ? Buffer.from(sample, 'utf8').subarray(0, CLASSIFY_BYTES).toString('utf8')
+    : sample;
+}
+
+// Best-matching language for a code snippet, or null
+export function guessLanguage(text) {
+  let best = null;
+  let bestScore = 0;
+  for (const [language, patterns] of Object.entries(LANGUAGE_SIGNALS)) {
+    const score = patterns.filter(pattern => pattern.test(text)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+  // TypeScript is JavaScript plus type annotations
+  if (best === 'javascript' && LANGUAGE_SIGNALS.typescript.some(pattern => pattern.test(text))) return 'typescript';
+  return best;
+}
+
+function isJson(text, complete) {
+  if (!/^[[{]/.test(text) || (complete && !/[\]}]$/.test(text))) return false;
+  if (!complete) return /^(?:\{\s*"|\[\s*[{["\d-])/.test(text);
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// At least two lines, nearly all of them `key: value`, `- item` or comments
+function isYaml(text) {
+  const lines = text.split('\n').filter(line => line.trim() && !/^\s*#/.test(line) && line.trim() !== '---');
+  if (lines.length < 2) return false;
+  const keys = lines.filter(line => /^\s*(?:- )?["']?[\w.-]+["']?:(?:\s|$)/.test(line)).length;
+  const entries = lines.filter(line => /^\s*-\s+\S/.test(line) || /^\s*(?:- )?["']?[\w.-]+["']?:(?:\s|$)/.test(line)).length;
+  return keys >= 1 && entries / lines.length >= 0.8 && !/[;{}]\s*$/m.test(text);
+}
+
+function isPhone(text) {
+  if (!PHONE_PATTERN.test(text) || DATE_PATTERN.test(text) || IPV4_PATTERN.test(text)) return false;
+  const digits = text.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15;
+}
+
+// A single value on one line: returns its kind or null
+function classifyValue(text) {
+  if (EMAIL_PATTERN.test(text)) return 'email';
+  if (UUID_PATTERN.test(text)) return 'uuid';
+  if (COLOR_PATTERNS.some(pattern => pattern.test(text))) return 'color';
+  if (PATH_PATTERN.test(text) && !/\s{2,}/.test(text)) return 'file';
+  if (URL_PATTERN.test(text)) return 'url';
+  if (isPhone(text)) return 'phone';
+  if (NUMBER_PATTERN.test(text)) return 'number';
+  return null;
+}
+
+// types: the item's pasteboard types; text: its plain text (may be empty).
+// Returns { kind, tags, language } with language null unless the item is code.
+export function classifyContent(types, text = '') {
+  const result = (kind, language = null, extra = []) => ({ kind, tags: [kind, ...extra], language });
+
+  if (types.some(isImageType)) return result('image');
+  if (types.includes('public.file-url')) return result('file');
+  const typeLanguage = types.map(type => TYPE_LANGUAGES[type]).find(Boolean);
+  if (typeLanguage) return typeLanguage === 'shell' ? result('shell', 'shell', ['code']) : result('code', typeLanguage);
+  if (types.includes('public.json')) return result('json');
+
+  const full = (text || '').trim();
+  const sample = classifiedSample(full);
+  const trimmed = sample.trim();
+  if (!trimmed) return result(types.includes('public.url') ? 'url' : 'other');
+  if (types.includes('public.url') && !trimmed.includes('\n')) {
+    return result(EMAIL_PATTERN.test(trimmed) ? 'email' : 'url');
+  }
+
+  // Single values: URLs, e-mail addresses, colours, UUIDs, paths, numbers
+  if (!trimmed.includes('\n') && trimmed.length <= 2048) {
+    const kind = classifyValue(trimmed);
+    if (kind) return result(kind);
+  }
+
+  if (isJson(trimmed, sample.length === full.length)) return result('json');
+  if (SQL_STATEMENT.test(trimmed)) return result('sql', 'sql', ['code']);
+  if (isYaml(trimmed)) return result('yaml');
+
+  const signals = CODE_SIGNALS.filter(pattern => pattern.test(trimmed)).length;
+  // A one-line shell command is code on its own
+  const oneLineCommand = !trimmed.includes('\n') && SHELL_COMMAND.test(trimmed);
+  if (signals >= CODE_SIGNAL_THRESHOLD || oneLineCommand) {
+    const language = oneLineCommand ? 'shell' : guessLanguage(trimmed);
+    return language === 'shell' ? result('shell', 'shell', ['code']) : result('code', language);
+  }
+  return result('prose');
+}
+
+// "shell, code" or "code (python)", for item listings
+export function describeKinds({ tags, language }) {
+  return `${tags.join(', ')}${language && !tags.includes(language) ? ` (${language})` : ''}`;
+}
@@ -0,0 +1,54 @@
+// Pasteboard type (UTI) helpers shared by the search, export and formatting code
+
+export const IMAGE_TYPES = ['public.png', 'public.jpeg', 'public.tiff', 'com.apple.NSImage'];
+
+// Plain-text representations in order of preference
+export const PLAIN_TEXT_TYPES = ['public.utf8-plain-text', 'public.text'];
+
+export function isImageType(type) {
+  return IMAGE_TYPES.includes(type) || type.startsWith('image/');
+}
+
+// Decode a ZVALUE column into a string. Maccy stores every representation as a BLOB.
+export function decodeText(value) {
+  if (value === null || typeof value === 'undefined') return '';
+  return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+}
+
+// MIME type for a pasteboard type, used when content leaves the server as a
+// resource or file
+export function mimeTypeForType(type) {
+  switch (type) {
+    case 'public.png':
+      return 'image/png';
+    case 'public.jpeg':
+      return 'image/jpeg';
+    case 'public.tiff':
+      return 'image/tiff';
+    case 'public.html':
+      return 'text/html';
+    case 'public.rtf':
+      return 'text/rtf';
+    case 'public.url':
+    case 'public.file-url':
+      return 'text/uri-list';
+    case 'public.utf8-plain-text':
+    case 'public.text':
+      return 'text/plain';
+    default:
+      if (type.includes('/')) return type;
+      return 'application/octet-stream';
+  }
+}
+
+// Heuristic for custom pasteboard types: treat a BLOB as text if it is valid
+// UTF-8 without control characters other than whitespace
+export function isProbablyText(buffer) {
+  if (!Buffer.isBuffer(buffer)) return true;
+  const sample = buffer.subarray(0, 4096);
+  const text = sample.toString('utf8');
+  // A multi-byte character cut off at the sample boundary is not an error
+  if (text.slice(0, -1).includes('�')) return false;
+  // eslint-disable-next-line no-control-regex
+  return !/[\x00-\x08\x0E-\x1F]/.test(text);
+}
@@ -0,0 +1,45 @@
+// Opaque pagination cursors for the listing tools. A cursor records the position
+// of the last item on a page, (ZLASTCOPIEDAT, Z_PK), plus the score for ranked
+// orderings, so the next page continues after that item even if new items were
+// copied in between. `order` ties a cursor to the ordering that produced it.
+
+export function encodeCursor({ order, lastCopiedAt, id, score }) {
+  const payload = { o: order, t: lastCopiedAt, i: id };
+  if (typeof score === 'number') payload.s = score;
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor, order) {
+  if (cursor === null || typeof cursor === 'undefined' || cursor === '') return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor: pass the next_cursor value from a previous response unchanged');
+  }
+  if (!payload || typeof payload.t !== 'number' || !Number.isInteger(payload.i)) {
+    throw new Error('Invalid cursor: pass the next_cursor value from a previous response unchanged');
+  }
+  if (payload.o !== order) {
+    throw new Error(`Cursor was created for ${payload.o} ordering and cannot be used with ${order} ordering`);
+  }
+  if (order !== 'date' && typeof payload.s !== 'number') {
+    throw new Error('Invalid cursor: missing score for ranked ordering');
+  }
+
+  return { order: payload.o, lastCopiedAt: payload.t, id: payload.i, score: payload.s };
+}
+
+// Compare two positions in (score DESC, ZLASTCOPIEDAT DESC, Z_PK DESC) order;
+// returns true if `position` comes after `cursor`
+export function isAfterCursor(position, cursor) {
+  if (!cursor) return true;
+  if (typeof cursor.score === 'number' && position.score !== cursor.score) {
+    return position.score < cursor.score;
+  }
+  if (position.lastCopiedAt !== cursor.lastCopiedAt) {
+    return position.lastCopiedAt < cursor.lastCopiedAt;
+  }
+  return position.id < cursor.id;
+}
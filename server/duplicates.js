@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import { editDistance } from "./fuzzy.js";
+import { extractIndexText } from "./search-index.js";
+import { isImageType } from "./content-types.js";
+
+// Exact and near-duplicate detection for find_duplicates. Items are compared by
+// their normalized text (or image bytes for image-only items): identical hashes
+// form exact groups, and groups whose texts are similar enough are merged into
+// near-duplicate clusters.
+
+// Texts up to this length are compared by edit distance, longer ones by trigrams
+const EDIT_DISTANCE_MAX_LENGTH = 300;
+
+// Very short texts ("ok", "42") would match each other by chance
+const NEAR_MIN_LENGTH = 8;
+
+// Longest stretch of comparisons before yielding to the event loop, so a large
+// scan doesn't hold up other requests and the history watcher
+const YIELD_INTERVAL_MS = 20;
+
+// Whitespace-insensitive form used for hashing and comparison
+export function normalizeContent(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export function contentHash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Identity of an item's content, shared by find_duplicates and the archive:
+// { hash, text } from its normalized text (the title when it has no text
+// representation), or from its first image for image-only items. contentRows
+// are { ZTYPE, ZVALUE } rows in storage order. Null for items with neither.
+export function itemFingerprint(contentRows, title = '') {
+  const textRows = contentRows.filter(row => !isImageType(row.ZTYPE));
+  const text = normalizeContent(extractIndexText(textRows) || title || '');
+  if (text && textRows.length > 0) return { hash: `text:${contentHash(text)}`, text };
+
+  const image = contentRows.find(row => isImageType(row.ZTYPE) && row.ZVALUE !== null);
+  if (image) return { hash: `image:${contentHash(image.ZVALUE)}`, text: null };
+  return text ? { hash: `text:${contentHash(text)}`, text } : null;
+}
+
+function trigrams(text) {
+  const grams = new Set();
+  const padded = `  ${text.toLowerCase()} `;
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+function dice(a, b) {
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+// Similarity of two normalized texts in [0, 1]. Below `threshold` the value is
+// only known to be lower: the edit distance stops once it can't reach it.
+export function textSimilarity(a, b, threshold = 0) {
+  if (a === b) return 1;
+  const longer = Math.max(a.length, b.length);
+  if (longer === 0) return 1;
+  if (longer <= EDIT_DISTANCE_MAX_LENGTH) {
+    // The epsilon keeps (1 - 0.9) * 250 from flooring to 24
+    const maxDistance = Math.floor((1 - threshold) * longer + 1e-9);
+    return 1 - editDistance(a, b, maxDistance) / longer;
+  }
+  return dice(trigrams(a), trigrams(b));
+}
+
+// Group entries [{ id, hash, text }] (newest first; text is null for image-only
+// items) into clusters of two or more:
+//   [{ kind: 'exact' | 'near', ids: [id], similarity }]
+// `similarity` is the lowest similarity that joined the cluster (1 for exact).
+export async function clusterDuplicates(entries, { threshold = 0.9 } = {}) {
+  // Exact groups by hash, keeping the newest-first order
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.hash)) groups.set(entry.hash, { ids: [], text: entry.text });
+    groups.get(entry.hash).ids.push(entry.id);
+  }
+  const groupList = [...groups.values()];
+
+  // Union-find over groups for near-duplicate merging
+  const parent = groupList.map((_, i) => i);
+  const lowest = groupList.map(() => 1);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  if (threshold < 1) {
+    const candidates = groupList
+      .map((group, index) => ({ index, text: group.text }))
+      .filter(candidate => candidate.text && candidate.text.length >= NEAR_MIN_LENGTH)
+      .map(candidate => ({ ...candidate, grams: trigrams(candidate.text) }));
+
+    let chunkStart = Date.now();
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        const a = candidates[i];
+        const b = candidates[j];
+        // Already in the same cluster
+        const rootA = find(a.index);
+        const rootB = find(b.index);
+        if (rootA === rootB) continue;
+        // Edit-distance similarity can't exceed the length ratio
+        if (Math.min(a.text.length, b.text.length) / Math.max(a.text.length, b.text.length) < threshold) continue;
+        // Cheap trigram check before the quadratic edit distance
+        if (dice(a.grams, b.grams) < threshold - 0.25) continue;
+
+        if (Date.now() - chunkStart > YIELD_INTERVAL_MS) {
+          await new Promise(resolve => setImmediate(resolve));
+          chunkStart = Date.now();
+        }
+        const similarity = textSimilarity(a.text, b.text, threshold);
+        if (similarity < threshold) continue;
+
+        parent[rootB] = rootA;
+        lowest[rootA] = Math.min(lowest[rootA], lowest[rootB], similarity);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  groupList.forEach((group, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, { groups: 0, ids: [] });
+    const cluster = clusters.get(root);
+    cluster.groups++;
+    cluster.ids.push(...group.ids);
+  });
+
+  const order = new Map(entries.map((entry, index) => [entry.id, index]));
+  return [...clusters.entries()]
+    .filter(([, cluster]) => cluster.ids.length > 1)
+    .map(([root, cluster]) => ({
+      kind: cluster.groups === 1 ? 'exact' : 'near',
+      ids: cluster.ids.sort((a, b) => order.get(a) - order.get(b)),
+      similarity: cluster.groups === 1 ? 1 : Math.round(lowest[root] * 1000) / 1000,
+    }));
+}
+
+// Which entry of each cluster survives consolidation. keep: 'pinned' keeps the
+// newest pinned item when the cluster has one, otherwise the newest; 'recent'
+// always keeps the newest. Pinned items are never removed.
+export function planConsolidation(clusters, keep = 'pinned') {
+  if (!['pinned', 'recent'].includes(keep)) {
+    throw new Error(`Unknown keep option "${keep}"; use "pinned" or "recent"`);
+  }
+  return clusters
+    .map(cluster => {
+      const pinned = cluster.items.filter(item => item.ZPIN !== null);
+      const keeper = keep === 'pinned' && pinned.length > 0 ? pinned[0] : cluster.items[0];
+      return { cluster, keep: keeper, remove: cluster.items.filter(item => item !== keeper && item.ZPIN === null) };
+    })
+    .filter(plan => plan.remove.length > 0);
+}
@@ -0,0 +1,160 @@
+// Output formats for export_history. Each format turns the export into three
+// pieces of text: begin(meta) once, item(item, index) per exported item and
+// end(meta) once, so an export can be assembled (or written) item by item.
+//
+// Items have the shape built by ClipboardDB.exportHistory:
+//   { id, title, application, lastCopied, firstCopiedAt, lastCopiedAt, copyCount, pinned,
+//     content: { type: text }, images?: [{ type, file, bytes }], redacted?: [{ type, count }] }
+// meta is { exportedAt, itemCount, includeImages }. Formats with `pngImages` get
+// TIFF images written as PNG files.
+
+import { contentToMarkdown } from "./markdown.js";
+
+// File extension for an image written next to the export, from its MIME type
+export function imageExtension(mimeType) {
+  switch (mimeType) {
+    case 'image/png':
+      return 'png';
+    case 'image/jpeg':
+      return 'jpg';
+    case 'image/tiff':
+      return 'tiff';
+    case 'image/gif':
+      return 'gif';
+    case 'image/webp':
+      return 'webp';
+    case 'image/bmp':
+      return 'bmp';
+    default:
+      return 'bin';
+  }
+}
+
+// Plain text of an exported item: its plain-text representation, else its title
+function plainText(item) {
+  return item.content['public.utf8-plain-text'] || item.content['public.text'] || item.title || '';
+}
+
+// RFC 4180 field: quoted when it contains a comma, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRecord(fields) {
+  return fields.map(csvField).join(',') + '\r\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Relative image paths may contain spaces or other characters links can't hold
+function imageHref(file) {
+  return encodeURI(file);
+}
+
+const HTML_STYLE = `
+    body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1d1d1f; background: #f5f5f7; }
+    h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+    .summary { color: #6e6e73; margin-bottom: 2em; }
+    article { background: #fff; border-radius: 10px; padding: 1em 1.2em; margin-bottom: 1em; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+    header { display: flex; flex-wrap: wrap; gap: 0.8em; color: #6e6e73; font-size: 0.9em; margin-bottom: 0.6em; }
+    header .app { color: #1d1d1f; font-weight: 600; }
+    .badge { background: #ffd60a; color: #1d1d1f; border-radius: 4px; padding: 0 0.4em; }
+    .redacted { background: #ff9f0a; }
+    pre { white-space: pre-wrap; word-break: break-word; background: #f5f5f7; border-radius: 6px; padding: 0.8em; margin: 0; font: 12px/1.5 ui-monospace, Menlo, monospace; }
+    img { max-width: 100%; border-radius: 6px; margin-top: 0.6em; }
+    .binary { color: #6e6e73; font-style: italic; }
+`;
+
+export const EXPORT_FORMATS = {
+  json: {
+    extension: 'json',
+    begin: () => '[',
+    // Same layout as JSON.stringify(items, null, 2)
+    item: (item, index) => `${index > 0 ? ',' : ''}\n  ${JSON.stringify(item, null, 2).replace(/\n/g, '\n  ')}`,
+    end: meta => (meta.itemCount > 0 ? '\n]\n' : ']\n'),
+  },
+
+  ndjson: {
+    extension: 'ndjson',
+    begin: () => '',
+    item: item => `${JSON.stringify(item)}\n`,
+    end: () => '',
+  },
+
+  csv: {
+    extension: 'csv',
+    begin: meta => csvRecord(['ID', 'Title', 'Application', 'LastCopied', 'CopyCount', 'Pinned', 'Content', ...(meta.includeImages ? ['Images'] : [])]),
+    item: (item, index, meta) => csvRecord([
+      item.id, item.title, item.application, item.lastCopied, item.copyCount, item.pinned, plainText(item),
+      ...(meta.includeImages ? [(item.images || []).map(image => image.file).join(' ')] : []),
+    ]),
+    end: () => '',
+  },
+
+  txt: {
+    extension: 'txt',
+    begin: () => '',
+    item: (item, index) => `${index > 0 ? '\n\n' : ''}[${item.lastCopied}] ${item.application}\n${plainText(item)}\n` +
+      (item.images || []).map(image => `[Image: ${image.file}]\n`).join('') +
+      '='.repeat(50),
+    end: () => '',
+  },
+
+  // HTML and RTF content is converted to Markdown; other items fall back to plain text
+  markdown: {
+    extension: 'md',
+    begin: meta => `# Clipboard history\n\nExported ${meta.exportedAt} — ${meta.itemCount} items\n\n`,
+    item: (item, index) => {
+      const content = contentToMarkdown(item.content) || item.title || '';
+      const images = (item.images || []).map(image => `\n![${image.type}](${imageHref(image.file)})\n`).join('');
+      return `${index > 0 ? '\n---\n\n' : ''}## ${item.application || 'Unknown application'} — ${item.lastCopied} [ID: ${item.id}]\n\n` +
+             `Copied ${item.copyCount} times${item.pinned ? ' · pinned' : ''}\n\n${content}\n${images}`;
+    },
+    end: () => '',
+  },
+
+  // Single page with inline styles; text is shown escaped, never as live HTML
+  html: {
+    extension: 'html',
+    // Browsers can't show TIFF
+    pngImages: true,
+    begin: meta => `<!DOCTYPE html>\n<html lang="en">\n<head>\n  <meta charset="utf-8">\n  <title>Clipboard history</title>\n` +
+      `  <style>${HTML_STYLE}  </style>\n</head>\n<body>\n  <h1>Clipboard history</h1>\n` +
+      `  <p class="summary">Exported ${escapeHtml(meta.exportedAt)} — ${meta.itemCount} items</p>\n`,
+    item: item => {
+      const badges = [
+        item.pinned ? '<span class="badge">pinned</span>' : '',
+        item.redacted ? `<span class="badge redacted">redacted: ${escapeHtml(item.redacted.map(({ type, count }) => `${type} ×${count}`).join(', '))}</span>` : '',
+      ].join('');
+      const text = plainText(item);
+      const binaries = Object.entries(item.content)
+        .filter(([type, value]) => /^\[Binary data: \d+ bytes\]$/.test(value) && !(item.images || []).some(image => image.type === type))
+        .map(([type, value]) => `    <p class="binary">${escapeHtml(type)}: ${escapeHtml(value)}</p>\n`).join('');
+      return `  <article id="item-${item.id}">\n` +
+        `    <header><span class="app">${escapeHtml(item.application || 'Unknown application')}</span>` +
+        `<span>${escapeHtml(item.lastCopied)}</span><span>copied ${item.copyCount}×</span><span>ID ${item.id}</span>${badges}</header>\n` +
+        (text ? `    <pre>${escapeHtml(text)}</pre>\n` : '') +
+        (item.images || []).map(image => `    <img src="${escapeHtml(imageHref(image.file))}" alt="${escapeHtml(image.type)}">\n`).join('') +
+        binaries +
+        `  </article>\n`;
+    },
+    end: () => '</body>\n</html>\n',
+  },
+};
+
+export function getExporter(format) {
+  const name = String(format).toLowerCase();
+  const exporter = EXPORT_FORMATS[name === 'md' ? 'markdown' : name];
+  if (!exporter) {
+    throw new Error(`Unsupported format: ${format}. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return exporter;
+}
@@ -0,0 +1,123 @@
+// Typo-tolerant matching for search_clipboard's fuzzy mode. Query and item text
+// are split into word tokens; every query token is paired with its closest item
+// token, so word order does not matter, misspellings cost one edit each and a
+// query token that is the start of a longer word still scores highly.
+
+// Longest text considered per item, so one pasted log file can't stall a search
+const MAX_TEXT_LENGTH = 20000;
+
+// Lowercase, strip diacritics and split on anything that isn't a letter or digit
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+// With `maxDistance`, only cells within that distance of the diagonal are
+// computed, and maxDistance + 1 is returned as soon as the distance is known
+// to exceed it.
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (a === b) return 0;
+  // Shared ends don't change the distance
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  a = a.slice(start, endA);
+  b = b.slice(start, endB);
+
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Cells outside the band hold a value larger than any distance
+  const outside = a.length + b.length + 1;
+  const band = Math.min(Math.max(a.length, b.length), maxDistance);
+  let prevPrev = new Int32Array(b.length + 1).fill(outside);
+  let prev = new Int32Array(b.length + 1).fill(outside);
+  let current = new Int32Array(b.length + 1);
+  for (let j = 0; j <= Math.min(b.length, band); j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    // The rows are reused, so only the cells just outside this row's band
+    // (the ones the next row reads) are reset
+    const from = Math.max(1, i - band);
+    const to = Math.min(b.length, i + band);
+    current[0] = i <= band ? i : outside;
+    current[from - 1] = from > 1 ? outside : current[0];
+    if (to < b.length) current[to + 1] = outside;
+    let rowMin = current[0];
+    const charA = a.charCodeAt(i - 1);
+    for (let j = from; j <= to; j++) {
+      const charB = b.charCodeAt(j - 1);
+      let value = prev[j - 1] + (charA === charB ? 0 : 1);
+      if (prev[j] + 1 < value) value = prev[j] + 1;
+      if (current[j - 1] + 1 < value) value = current[j - 1] + 1;
+      if (i > 1 && j > 1 && charA === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === charB && prevPrev[j - 2] + 1 < value) {
+        value = prevPrev[j - 2] + 1;
+      }
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [prevPrev, prev, current] = [prev, current, prevPrev];
+  }
+  return Math.min(prev[b.length], maxDistance + 1);
+}
+
+// Similarity of two tokens in [0, 1]
+export function tokenSimilarity(queryToken, candidate) {
+  if (queryToken === candidate) return 1;
+
+  // Partial word: "kube" -> "kubectl"
+  if (queryToken.length >= 3 && candidate.startsWith(queryToken)) {
+    return 0.85 + 0.15 * (queryToken.length / candidate.length);
+  }
+
+  const longest = Math.max(queryToken.length, candidate.length);
+  return 1 - editDistance(queryToken, candidate) / longest;
+}
+
+// Score `text` against pre-tokenized query tokens. The score is the average of
+// each query token's best similarity, weighted by token length so that short
+// tokens like "-n" count for less than distinctive words.
+export function fuzzyScore(queryTokens, text) {
+  if (queryTokens.length === 0) return { score: 0, terms: [] };
+  const candidates = [...new Set(tokenize(text.slice(0, MAX_TEXT_LENGTH)))];
+  if (candidates.length === 0) return { score: 0, terms: [] };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  const terms = [];
+
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    let bestToken = null;
+    for (const candidate of candidates) {
+      // Upper bound from the length difference alone; skip hopeless candidates
+      const isPrefix = queryToken.length >= 3 && candidate.startsWith(queryToken);
+      const longest = Math.max(queryToken.length, candidate.length);
+      if (!isPrefix && 1 - Math.abs(queryToken.length - candidate.length) / longest <= best) continue;
+
+      const similarity = tokenSimilarity(queryToken, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestToken = candidate;
+        if (best === 1) break;
+      }
+    }
+
+    weighted += best * queryToken.length;
+    totalWeight += queryToken.length;
+    terms.push({ query: queryToken, matched: bestToken, similarity: Math.round(best * 1000) / 1000 });
+  }
+
+  return { score: Math.round((weighted / totalWeight) * 1000) / 1000, terms };
+}
@@ -0,0 +1,296 @@
+import { isPng, pngDimensions, decodePng, encodePng } from "./png.js";
+import { isJpeg, jpegDimensions, decodeJpeg, encodeJpeg } from "./jpeg.js";
+import { isTiff, tiffDimensions, decodeTiff } from "./tiff.js";
+
+// Image preparation for tool responses. Clipboard images are identified by
+// their bytes (Maccy's type labels aren't reliable: com.apple.NSImage may hold
+// anything), then either passed through when the client can render them and
+// they fit the limits, or decoded, scaled down and re-encoded as PNG or JPEG.
+
+export const IMAGE_MODES = ['none', 'thumbnail', 'full'];
+
+// Defaults for the "images" config section
+export const DEFAULT_IMAGE_LIMITS = {
+  thumbnailSize: 256,      // longest side of a thumbnail, in pixels
+  maxDimension: 2048,      // longest side of a full-size image
+  maxBytes: 1024 * 1024,   // encoded size of one image (before base64)
+  maxPixels: 40000000,     // larger images are not decoded at all
+  jpegQuality: 80,
+};
+
+const FORMAT_MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', tiff: 'image/tiff', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp' };
+
+// Formats MCP clients can display as they are
+const RENDERABLE = ['png', 'jpeg', 'gif', 'webp'];
+
+// Image format from the leading bytes, or null
+export function sniffImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  if (isPng(buffer)) return 'png';
+  if (isJpeg(buffer)) return 'jpeg';
+  if (isTiff(buffer)) return 'tiff';
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.length >= 26 && buffer.toString('latin1', 0, 2) === 'BM') return 'bmp';
+  return null;
+}
+
+// MIME type of image data judged from its bytes, or null when it isn't a known image format
+export function imageMimeType(buffer) {
+  return FORMAT_MIME_TYPES[sniffImageFormat(buffer)] || null;
+}
+
+// Width and height from the file header, without decoding; null if unknown
+export function imageDimensions(buffer, format = sniffImageFormat(buffer)) {
+  try {
+    switch (format) {
+      case 'png':
+        return pngDimensions(buffer);
+      case 'jpeg':
+        return jpegDimensions(buffer);
+      case 'tiff':
+        return tiffDimensions(buffer);
+      case 'gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'bmp':
+        return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+      case 'webp': {
+        const chunk = buffer.toString('latin1', 12, 16);
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        if (chunk === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        return null;
+      }
+      default:
+        return null;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+// Scale an RGBA image down to width x height by averaging the source area
+// each target pixel covers. Colours are weighted by alpha so transparent
+// pixels don't darken the edges around them.
+export function resizeImage(image, width, height) {
+  if (width === image.width && height === image.height) return image;
+  const spans = (source, target) => {
+    const scale = source / target;
+    return Array.from({ length: target }, (_, i) => {
+      const start = i * scale;
+      const end = (i + 1) * scale;
+      const first = Math.floor(start);
+      const weights = [];
+      for (let s = first; s < Math.min(source, Math.ceil(end)); s++) {
+        weights.push((Math.min(end, s + 1) - Math.max(start, s)) / scale);
+      }
+      return { first, weights };
+    });
+  };
+  const columns = spans(image.width, width);
+  const rows = spans(image.height, height);
+
+  // Horizontal pass into premultiplied floats, then the vertical pass
+  const temp = new Float32Array(width * image.height * 4);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { first, weights } = columns[x];
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let i = 0; i < weights.length; i++) {
+        const at = (y * image.width + first + i) * 4;
+        const weight = weights[i] * image.data[at + 3];
+        r += image.data[at] * weight;
+        g += image.data[at + 1] * weight;
+        b += image.data[at + 2] * weight;
+        a += weight;
+      }
+      const out = (y * width + x) * 4;
+      temp[out] = r;
+      temp[out + 1] = g;
+      temp[out + 2] = b;
+      temp[out + 3] = a;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const { first, weights } = rows[y];
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let i = 0; i < weights.length; i++) {
+        const at = ((first + i) * width + x) * 4;
+        r += temp[at] * weights[i];
+        g += temp[at + 1] * weights[i];
+        b += temp[at + 2] * weights[i];
+        a += temp[at + 3] * weights[i];
+      }
+      const out = (y * width + x) * 4;
+      if (a > 0) {
+        data[out] = Math.min(255, Math.round(r / a));
+        data[out + 1] = Math.min(255, Math.round(g / a));
+        data[out + 2] = Math.min(255, Math.round(b / a));
+      }
+      data[out + 3] = Math.min(255, Math.round(a));
+    }
+  }
+  return { width, height, data };
+}
+
+// Apply an EXIF/TIFF orientation (1-8) so the image is stored upright
+export function orientImage(image, orientation = 1) {
+  if (!orientation || orientation === 1 || orientation > 8) return image;
+  const { width, height } = image;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const data = new Uint8Array(image.data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let dx;
+      let dy;
+      switch (orientation) {
+        case 2: dx = width - 1 - x; dy = y; break;
+        case 3: dx = width - 1 - x; dy = height - 1 - y; break;
+        case 4: dx = x; dy = height - 1 - y; break;
+        case 5: dx = y; dy = x; break;
+        case 6: dx = height - 1 - y; dy = x; break;
+        case 7: dx = height - 1 - y; dy = width - 1 - x; break;
+        default: dx = y; dy = width - 1 - x;
+      }
+      const from = (y * width + x) * 4;
+      const to = (dy * outWidth + dx) * 4;
+      data[to] = image.data[from];
+      data[to + 1] = image.data[from + 1];
+      data[to + 2] = image.data[from + 2];
+      data[to + 3] = image.data[from + 3];
+    }
+  }
+  return { width: outWidth, height: outHeight, data };
+}
+
+function isOpaque(image) {
+  for (let i = 3; i < image.data.length; i += 4) {
+    if (image.data[i] !== 255) return false;
+  }
+  return true;
+}
+
+// Largest size with the same aspect ratio whose longest side is at most `limit`
+function fitWithin(width, height, limit) {
+  const scale = Math.min(1, limit / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+export class ImageProcessor {
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_IMAGE_LIMITS };
+    for (const [key, value] of Object.entries(options || {})) {
+      if (!(key in DEFAULT_IMAGE_LIMITS)) {
+        throw new Error(`Unknown images option "${key}". Available: ${Object.keys(DEFAULT_IMAGE_LIMITS).join(', ')}`);
+      }
+      if (!Number.isInteger(value) || value < 1 || (key === 'jpegQuality' && value > 100)) {
+        throw new Error(`images.${key} must be a positive integer${key === 'jpegQuality' ? ' from 1 to 100' : ''}`);
+      }
+      this.limits[key] = value;
+    }
+    if (this.limits.thumbnailSize > this.limits.maxDimension) {
+      throw new Error('images.thumbnailSize cannot be larger than images.maxDimension');
+    }
+  }
+
+  decode(buffer, format) {
+    const options = { maxPixels: this.limits.maxPixels };
+    switch (format) {
+      case 'png':
+        return decodePng(buffer, options);
+      case 'jpeg':
+        return decodeJpeg(buffer, options);
+      case 'tiff':
+        return decodeTiff(buffer, options);
+      default:
+        throw new Error(`${format ? format.toUpperCase() : 'Unrecognized'} images can't be converted`);
+    }
+  }
+
+  // Lossless sources stay PNG unless that is over the size limit and the
+  // image has no transparency; JPEG sources stay JPEG.
+  encode(image, sourceFormat) {
+    const opaque = isOpaque(image);
+    if (opaque && sourceFormat === 'jpeg') {
+      return { data: encodeJpeg(image, this.limits.jpegQuality), mimeType: 'image/jpeg' };
+    }
+    const png = encodePng(image);
+    if (png.length <= this.limits.maxBytes || !opaque) return { data: png, mimeType: 'image/png' };
+    return { data: encodeJpeg(image, this.limits.jpegQuality), mimeType: 'image/jpeg' };
+  }
+
+  // Prepare a stored image for a response. mode: 'thumbnail' (longest side at
+  // most thumbnailSize) or 'full' (at most maxDimension). Returns
+  //   { data, mimeType, width, height, converted, original: { format, width, height, bytes } }
+  // and throws with a readable reason when the image can't be shown.
+  prepare(buffer, mode = 'thumbnail') {
+    if (!['thumbnail', 'full'].includes(mode)) throw new Error(`Unknown image mode "${mode}"`);
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new Error('no image data');
+
+    const format = sniffImageFormat(buffer);
+    if (!format) throw new Error('unrecognized image data');
+    const dimensions = imageDimensions(buffer, format);
+    const original = { format, width: dimensions?.width ?? null, height: dimensions?.height ?? null, bytes: buffer.length };
+    const limit = mode === 'thumbnail' ? this.limits.thumbnailSize : this.limits.maxDimension;
+
+    // Already displayable and within the limits: send the original bytes
+    const fits = dimensions && Math.max(dimensions.width, dimensions.height) <= limit;
+    if (RENDERABLE.includes(format) && buffer.length <= this.limits.maxBytes && (fits || !['png', 'jpeg'].includes(format))) {
+      return { data: buffer, mimeType: FORMAT_MIME_TYPES[format], width: original.width, height: original.height, converted: false, original };
+    }
+    if (!['png', 'jpeg', 'tiff'].includes(format)) {
+      throw new Error(`${format.toUpperCase()} image of ${formatBytes(buffer.length)} can't be converted or reduced`);
+    }
+
+    const decoded = this.decode(buffer, format);
+    original.width = decoded.width;
+    original.height = decoded.height;
+    // Scaling happens before rotating, which doesn't change the longest side
+    let target = limit;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const size = fitWithin(decoded.width, decoded.height, target);
+      const image = orientImage(resizeImage(decoded, size.width, size.height), decoded.orientation);
+      const encoded = this.encode(image, format);
+      if (encoded.data.length <= this.limits.maxBytes) {
+        return { ...encoded, width: image.width, height: image.height, converted: true, original };
+      }
+      // Shrink in proportion to the overshoot, with some margin
+      target = Math.floor(Math.max(size.width, size.height) * Math.sqrt(this.limits.maxBytes / encoded.data.length) * 0.9);
+      if (target < 16) break;
+    }
+    throw new Error(`image can't be reduced below the ${formatBytes(this.limits.maxBytes)} limit`);
+  }
+
+  // Full-size PNG of a TIFF image, for exports opened in a browser, which can't
+  // show TIFF. Throws when the image can't be decoded.
+  tiffToPng(buffer) {
+    const decoded = this.decode(buffer, 'tiff');
+    return encodePng(orientImage(decoded, decoded.orientation));
+  }
+
+  // One-line description of a prepared image, e.g. "TIFF 2880×1800, 4.1 MB → PNG 256×160, 41 KB"
+  describe(prepared) {
+    const { original } = prepared;
+    const source = `${original.format.toUpperCase()}${original.width ? ` ${original.width}×${original.height}` : ''}, ${formatBytes(original.bytes)}`;
+    if (!prepared.converted) return source;
+    return `${source} → ${prepared.mimeType.split('/')[1].toUpperCase()} ${prepared.width}×${prepared.height}, ${formatBytes(prepared.data.length)}`;
+  }
+}
@@ -0,0 +1,223 @@
+// Loads export_history JSON and NDJSON files (optionally gzipped) back into an
+// archive-format database. Items are deduplicated on their content fingerprint:
+// an item already stored with the same application and first-copy time is
+// skipped, one stored with different metadata is a conflict. Exports are
+// redacted, so an entry with masked secrets is also compared with the stored
+// items masked the same way.
+
+import fsSync from "fs";
+import fs from "fs/promises";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+import { isImageType, decodeText } from "./content-types.js";
+import { itemFingerprint } from "./duplicates.js";
+
+// Seconds between the Unix epoch and the Core Data reference date (2001-01-01)
+const MAC_EPOCH_OFFSET = 978307200;
+
+// Items are written in batches, one transaction each
+const IMPORT_BATCH_SIZE = 200;
+
+// Conflicts and invalid entries listed individually in the report
+const MAX_REPORTED = 50;
+
+// Exported items carry ISO timestamps; older exports only the formatted lastCopied
+function macTimestamp(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time / 1000 - MAC_EPOCH_OFFSET;
+}
+
+// Yield the items of an export file. A file starting with "[" is a JSON array
+// (read whole); anything else is NDJSON, read line by line.
+export async function* readExportItems(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  const magic = Buffer.alloc(2);
+  await handle.read(magic, 0, 2, 0);
+  await handle.close();
+
+  let stream = fsSync.createReadStream(filePath);
+  if (magic[0] === 0x1f && magic[1] === 0x8b) stream = stream.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  let arrayText = null;
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (arrayText !== null) {
+      arrayText.push(line);
+      continue;
+    }
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith('[')) {
+      arrayText = [line];
+      continue;
+    }
+    try {
+      yield { position: `line ${lineNumber}`, entry: JSON.parse(trimmed) };
+    } catch (error) {
+      yield { position: `line ${lineNumber}`, error: `invalid JSON (${error.message})` };
+    }
+  }
+
+  if (arrayText !== null) {
+    let entries;
+    try {
+      entries = JSON.parse(arrayText.join('\n'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) throw new Error(`${filePath} is not a JSON array of items`);
+    for (const [index, entry] of entries.entries()) {
+      yield { position: `item ${index + 1}`, entry };
+    }
+  }
+}
+
+// Turn an exported item into a ZHISTORYITEM row and its content rows. Images
+// are read back from the files an include_images export wrote next to it.
+async function toArchiveItem(entry, baseDir, counts) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error('not an item object');
+
+  const lastCopiedAt = macTimestamp(entry.lastCopiedAt) ?? macTimestamp(entry.lastCopied);
+  if (lastCopiedAt === null) throw new Error('no valid lastCopiedAt or lastCopied timestamp');
+  const firstCopiedAt = macTimestamp(entry.firstCopiedAt) ?? lastCopiedAt;
+
+  const images = new Map((Array.isArray(entry.images) ? entry.images : []).map(image => [image.type, image]));
+  const contentRows = [];
+  let notExported = 0;
+  let missing = 0;
+  for (const [type, value] of Object.entries(entry.content || {})) {
+    if (!isImageType(type)) {
+      contentRows.push({ ZTYPE: type, ZVALUE: Buffer.from(String(value), 'utf8') });
+      continue;
+    }
+    // Without include_images an export only records the image size
+    const image = images.get(type);
+    if (!image) {
+      notExported++;
+      continue;
+    }
+    try {
+      contentRows.push({ ZTYPE: type, ZVALUE: await fs.readFile(path.resolve(baseDir, image.file)) });
+    } catch (error) {
+      missing++;
+    }
+  }
+  // An image item whose image is gone would come back as an empty entry
+  if (contentRows.length === 0 && notExported > 0) throw new Error('image item exported without include_images');
+  if (contentRows.length === 0 && missing > 0) throw new Error('image file not found next to the export');
+  counts.imagesNotExported += notExported;
+  counts.missingImages += missing;
+
+  return {
+    item: {
+      ZFIRSTCOPIEDAT: firstCopiedAt,
+      ZLASTCOPIEDAT: lastCopiedAt,
+      ZNUMBEROFCOPIES: Number.isInteger(entry.copyCount) && entry.copyCount > 0 ? entry.copyCount : 1,
+      ZAPPLICATION: typeof entry.application === 'string' ? entry.application : null,
+      // Pin keys belong to Maccy's live history, so imported items are unpinned
+      ZPIN: null,
+      ZTITLE: typeof entry.title === 'string' ? entry.title : null
+    },
+    contentRows
+  };
+}
+
+// Whether `archive` already holds the item a redacted export entry was made
+// from: its masked secrets no longer hash like the original, so the stored
+// items with the same application and first-copy time are masked with
+// `redactor` and fingerprinted again
+async function hasRedactedOriginal(archive, item, fingerprint, redactor) {
+  const candidates = await archive.findByFirstCopy(item.ZAPPLICATION, item.ZFIRSTCOPIEDAT);
+  return candidates.some(candidate => {
+    const rows = candidate.contentRows.map(row => isImageType(row.ZTYPE) || row.ZVALUE === null
+      ? row
+      : { ...row, ZVALUE: Buffer.from(redactor.redactText(decodeText(row.ZVALUE)).text, 'utf8') });
+    return itemFingerprint(rows, redactor.redactText(candidate.ZTITLE || '').text)?.hash === fingerprint.hash;
+  });
+}
+
+// Import filePath into `archive` (a HistoryArchive). onConflict: 'skip' keeps
+// the stored item, 'keep_both' imports the exported one as well. `redactor` is
+// the Redactor the export was written with, to recognize redacted entries of
+// items that are already stored. Returns
+//   { imported, skipped, conflicts: [{ position, title, existingIds, action }],
+//     invalid: [{ position, reason }], conflictCount, invalidCount,
+//     redacted, imagesNotExported, missingImages }
+export async function importHistory(archive, filePath, { onConflict = 'skip', redactor = null } = {}) {
+  if (!['skip', 'keep_both'].includes(onConflict)) {
+    throw new Error(`Unknown on_conflict "${onConflict}"; use "skip" or "keep_both"`);
+  }
+  const resolvedPath = path.resolve(filePath);
+  try {
+    await fs.access(resolvedPath);
+  } catch (error) {
+    throw new Error(`File not found: ${resolvedPath}`);
+  }
+
+  await archive.indexHashes();
+
+  const report = {
+    imported: 0, skipped: 0, conflicts: [], invalid: [], conflictCount: 0, invalidCount: 0,
+    redacted: 0, imagesNotExported: 0, missingImages: 0
+  };
+  const noteInvalid = (position, reason) => {
+    report.invalidCount++;
+    if (report.invalid.length < MAX_REPORTED) report.invalid.push({ position, reason });
+  };
+
+  const importBatch = batch => archive.transaction(async () => {
+    for (const { position, item, contentRows, fingerprint, redacted } of batch) {
+      const existing = await archive.findByHash(fingerprint.hash);
+      const same = existing.find(row => row.ZAPPLICATION === item.ZAPPLICATION &&
+        Math.abs(row.ZFIRSTCOPIEDAT - item.ZFIRSTCOPIEDAT) < 1);
+      if (same || (redacted && redactor && await hasRedactedOriginal(archive, item, fingerprint, redactor))) {
+        report.skipped++;
+        continue;
+      }
+      if (existing.length > 0) {
+        report.conflictCount++;
+        if (report.conflicts.length < MAX_REPORTED) {
+          report.conflicts.push({ position, title: item.ZTITLE, existingIds: existing.map(row => row.id), action: onConflict === 'skip' ? 'skipped' : 'imported' });
+        }
+        if (onConflict === 'skip') continue;
+      }
+      await archive.insertItem(item, contentRows);
+      report.imported++;
+      if (redacted) report.redacted++;
+    }
+  });
+
+  const baseDir = path.dirname(resolvedPath);
+  let batch = [];
+  for await (const { position, entry, error } of readExportItems(resolvedPath)) {
+    if (error) {
+      noteInvalid(position, error);
+      continue;
+    }
+    let converted;
+    try {
+      converted = await toArchiveItem(entry, baseDir, report);
+    } catch (conversionError) {
+      noteInvalid(position, conversionError.message);
+      continue;
+    }
+    const fingerprint = itemFingerprint(converted.contentRows, converted.item.ZTITLE || '');
+    if (!fingerprint) {
+      noteInvalid(position, 'item has no content');
+      continue;
+    }
+
+    batch.push({ position, ...converted, fingerprint, redacted: Array.isArray(entry.redacted) && entry.redacted.length > 0 });
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      await importBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await importBatch(batch);
+
+  return report;
+}
@@ -5,14 +5,43 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import sqlite3 from "sqlite3";
 import { promisify } from "util";
-import os from "os";
 import path from "path";
-import { execSync } from "child_process";
 import fs from "fs/promises";
 import fsSync from "fs";
+import crypto from "crypto";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import { loadConfig, expandHome, DEFAULT_CONFIG_PATH } from "./config.js";
+import { IMAGE_TYPES, PLAIN_TEXT_TYPES, isImageType, decodeText, isProbablyText, mimeTypeForType } from "./content-types.js";
+import { compileSearchRegex, matchTexts } from "./regex-search.js";
+import { SearchIndex, extractIndexText } from "./search-index.js";
+import { KindCache } from "./kind-cache.js";
+import { tokenize, fuzzyScore } from "./fuzzy.js";
+import { createClipboardWriter } from "./clipboard-writers.js";
+import { encodeCursor, decodeCursor, isAfterCursor } from "./cursor.js";
+import { HistoryWatcher } from "./watcher.js";
+import { HistoryArchive } from "./archive.js";
+import { importHistory } from "./importer.js";
+import { RESOURCE_TEMPLATES, itemUri, pinnedUri, parseResourceUri, describeItem, readItemContent } from "./resources.js";
+import { contentToMarkdown } from "./markdown.js";
+import { Redactor, describeRedactions } from "./redaction.js";
+import { PrivacyRules } from "./privacy.js";
+import { itemFingerprint, clusterDuplicates, planConsolidation } from "./duplicates.js";
+import { LinkCollector, groupLinksByDomain } from "./links.js";
+import { MACCY_PIN_KEYS, isValidPinKey, parsePinKey, freePinKeys } from "./pins.js";
+import { CONTENT_KINDS, CLASSIFY_BYTES, classifyContent, describeKinds } from "./content-kinds.js";
+import { getExporter, imageExtension, EXPORT_FORMATS } from "./exporters.js";
+import { ImageProcessor, IMAGE_MODES, imageMimeType } from "./images.js";
+import { OUTPUT_SCHEMAS } from "./output-schemas.js";
+import { ResponseLimits, ResponseBudget, truncateMiddle, fittingLength, contentSize } from "./budget.js";
 
 // Logging utility
 function logToFile(level, message, data = null) {
@@ -51,17 +80,170 @@ function logToFile(level, message, data = null) {
   }
 }
 
-// Maccy database path
-const MACCY_DB_PATH = path.join(
-  os.homedir(),
-  "Library/Containers/org.p0deje.Maccy/Data/Library/Application Support/Maccy/Storage.sqlite"
-);
+// Server configuration (database path etc.) from CLI flags, environment and config file
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logToFile('error', 'Failed to load configuration', { error: error.message });
+  process.exit(1);
+}
+
+// Long-term archive of Maccy's history (see archive.js), opened on first use
+const archivePath = config.archive?.path || path.join(config.dataDir, 'archive.sqlite');
+let archive = null;
+function getArchive() {
+  if (!archive) {
+    archive = new HistoryArchive(archivePath);
+  }
+  return archive;
+}
+
+// Most items find_duplicates compares: the comparison is quadratic in it
+const MAX_DUPLICATE_SCAN = 2000;
+
+// Tools that read history and take a `source` argument
+const SOURCE_TOOLS = ['search_clipboard', 'get_recent_items', 'get_items_by_app', 'get_item', 'get_clipboard_stats', 'extract_links', 'export_history', 'copy_to_clipboard'];
+
+// Schema for the `source` argument of SOURCE_TOOLS
+const SOURCE_PROPERTY = {
+  type: "string",
+  enum: ["maccy", "archive", "both"],
+  description: "Where to read from: Maccy's database (default), the long-term archive, or both (the archive after syncing it with Maccy). Item IDs from the archive are archive IDs; pass the same source to get_item and copy_to_clipboard",
+  default: "maccy",
+};
+
+// Shared by every tool that can return images
+function imageModeProperty(defaultMode) {
+  return {
+    type: "string",
+    enum: IMAGE_MODES,
+    description: `How to return images: 'none', 'thumbnail' (scaled down, PNG or JPEG) or 'full' (converted to PNG or JPEG when needed and capped by the configured size limits) (default: ${defaultMode})`,
+    default: defaultMode,
+  };
+}
+
+// image_mode wins over the older boolean include_images / exclude_images flags
+function resolveImageMode(imageMode, includeImages, defaultMode) {
+  if (imageMode !== undefined) {
+    if (!IMAGE_MODES.includes(imageMode)) {
+      throw new Error(`Unknown image_mode "${imageMode}"; use ${IMAGE_MODES.join(', ')}`);
+    }
+    return imageMode;
+  }
+  return includeImages === false ? 'none' : defaultMode;
+}
+
+// Filter on what items are (see content-kinds.js), shared by the listing tools
+const KIND_PROPERTY = {
+  oneOf: [
+    { type: "string", enum: CONTENT_KINDS },
+    { type: "array", items: { type: "string", enum: CONTENT_KINDS }, minItems: 1 },
+  ],
+  description: `Only items tagged with this kind, or with any of these kinds: ${CONTENT_KINDS.join(', ')}. 'code' also matches SQL and shell commands`,
+};
+
+// The `kind` argument as a list of kinds, or null when not given
+function resolveKinds(kind) {
+  if (kind === undefined || kind === null) return null;
+  const kinds = Array.isArray(kind) ? kind : [kind];
+  if (kinds.length === 0) throw new Error(`kind must name at least one of ${CONTENT_KINDS.join(', ')}`);
+  const unknown = kinds.find(value => !CONTENT_KINDS.includes(value));
+  if (unknown !== undefined) throw new Error(`Unknown kind "${unknown}"; use ${CONTENT_KINDS.join(', ')}`);
+  return kinds;
+}
+
+// Size controls shared by the tools that return item content
+const MAX_CHARS_PROPERTY = {
+  type: "number",
+  description: "Longest text to show per item, in characters; longer text keeps its beginning and end and says how to fetch the omitted part with get_item. 0 for no limit (default: the responses.maxItemChars setting, 4000 unless configured)",
+};
+const MAX_RESPONSE_TOKENS_PROPERTY = {
+  type: "number",
+  description: "Size budget for the whole response in tokens (about 4 bytes each); items beyond it are left for the next page (default: the responses.maxBytes setting, 256 KB unless configured)",
+};
+
+// Full-text indexes kept in the server's own data directory, one for Maccy's
+// database and one for the archive, opened on first use
+const searchIndexes = new Map();
+function getSearchIndex(dbPath = config.dbPath) {
+  if (!searchIndexes.has(dbPath)) {
+    const fileName = dbPath === archivePath ? 'archive-search-index.sqlite' : 'search-index.sqlite';
+    searchIndexes.set(dbPath, new SearchIndex(path.join(config.dataDir, fileName), { redactor: getRedactor() }));
+  }
+  return searchIndexes.get(dbPath);
+}
+
+// Item classifications cached in the data directory, one cache for Maccy's
+// database and one for the archive, opened on first use
+const kindCaches = new Map();
+function getKindCache(dbPath = config.dbPath) {
+  if (!kindCaches.has(dbPath)) {
+    const fileName = dbPath === archivePath ? 'archive-kinds.sqlite' : 'kinds.sqlite';
+    kindCaches.set(dbPath, new KindCache(path.join(config.dataDir, fileName)));
+  }
+  return kindCaches.get(dbPath);
+}
+
+// Clipboard backend chosen from the "clipboard" config section, created on first use
+let clipboardWriter = null;
+function getClipboardWriter() {
+  if (!clipboardWriter) {
+    clipboardWriter = createClipboardWriter(config.clipboard);
+  }
+  return clipboardWriter;
+}
+
+// Secret masking configured by the "redaction" config section, created on first use
+let redactor = null;
+function getRedactor() {
+  if (!redactor) {
+    redactor = new Redactor(config.redaction);
+  }
+  return redactor;
+}
+
+// Items hidden by the "privacy" config section, created on first use
+let privacyRules = null;
+function getPrivacyRules() {
+  if (!privacyRules) {
+    privacyRules = new PrivacyRules(config.privacy);
+  }
+  return privacyRules;
+}
+
+// Response size limits from the "responses" config section, created on first use
+let responseLimits = null;
+function getResponseLimits() {
+  if (!responseLimits) {
+    responseLimits = new ResponseLimits(config.responses);
+  }
+  return responseLimits;
+}
+
+// Thumbnailing and conversion limits from the "images" config section, created on first use
+let imageProcessor = null;
+function getImageProcessor() {
+  if (!imageProcessor) {
+    imageProcessor = new ImageProcessor(config.images);
+  }
+  return imageProcessor;
+}
+
+// LIKE pattern matching `text` anywhere, with its own % and _ taken literally
+// (use with ESCAPE '\')
+function likeContains(text) {
+  return `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+}
 
 // SQLite database wrapper with promises
 class ClipboardDB {
-  constructor(readOnly = true) {
+  constructor(readOnly = true, dbPath = config.dbPath, privacy = getPrivacyRules()) {
     const mode = readOnly ? sqlite3.OPEN_READONLY : (sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
-    this.db = new sqlite3.Database(MACCY_DB_PATH, mode);
+    this.dbPath = dbPath;
+    this.privacy = privacy;
+    this.privacyFilter = null;
+    this.db = new sqlite3.Database(dbPath, mode);
     
     // Configure database to handle BLOBs properly
     this.db.configure('busyTimeout', 10000);
@@ -89,6 +271,11 @@ class ClipboardDB {
     return new Date(unixTimestamp * 1000);
   }
 
+  // Maccy timestamp as an ISO 8601 string, for structured output
+  isoDate(maccyTimestamp) {
+    return maccyTimestamp === null || maccyTimestamp === undefined ? null : this.convertTimestamp(maccyTimestamp).toISOString();
+  }
+
   // Format date for display
   formatDate(date) {
     return date.toLocaleString("en-US", {
@@ -103,29 +290,30 @@ class ClipboardDB {
     });
   }
 
-  async searchClipboard(query, limit = 10, useRegex = false, dateRange = null, appFilter = null) {
-    // First, search for matching items
-    let sql = `
-      SELECT DISTINCT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
-      FROM ZHISTORYITEM h 
-      LEFT JOIN ZHISTORYITEMCONTENT c ON h.Z_PK = c.ZITEM
-      WHERE 1=1
-    `;
-    const params = [];
-    
-    // Add search condition - search in title and text content only
-    if (useRegex) {
-      // Note: REGEXP might not be available in all SQLite builds
-      sql += ` AND (h.ZTITLE LIKE ? OR (c.ZTYPE = 'public.utf8-plain-text' AND c.ZVALUE LIKE ?))`;
-      // For now, fallback to LIKE with % wildcards for regex-like behavior
-      params.push(`%${query}%`, `%${query}%`);
-    } else {
-      sql += ` AND (h.ZTITLE LIKE ? OR (c.ZTYPE = 'public.utf8-plain-text' AND c.ZVALUE LIKE ?))`;
-      const searchPattern = `%${query}%`;
-      params.push(searchPattern, searchPattern);
+  // WHERE fragment (alias h) hiding items excluded by the privacy rules. Every
+  // query over ZHISTORYITEM includes it; computed once per connection.
+  privacyClause() {
+    if (!this.privacyFilter) {
+      this.privacyFilter = this.privacy.filterClause(this, 'h');
     }
-    
-    // Add date range filter
+    return this.privacyFilter;
+  }
+
+  // Whether an item exists and isn't hidden by the privacy rules. Builds a fresh
+  // clause: the memoized one predates items copied while this connection is open.
+  async isItemVisible(id) {
+    const privacy = await this.privacy.filterClause(this, 'h');
+    return Boolean(await this.get(`SELECT 1 as found FROM ZHISTORYITEM h WHERE h.Z_PK = ? ${privacy.sql}`, [id, ...privacy.params]));
+  }
+
+  // Build the privacy / date range / application / cursor WHERE fragment shared by the listing queries.
+  // `after` is a decoded date-order cursor: only items older than that position match.
+  // `ids`, when given, restricts the clause to those items (e.g. from idsOfKinds)
+  async buildFilterClause(dateRange = null, appFilter = null, after = null, ids = null) {
+    const privacy = await this.privacyClause();
+    let sql = privacy.sql;
+    const params = [...privacy.params];
+
     if (dateRange) {
       const { since, until } = dateRange;
       if (since) {
@@ -137,81 +325,323 @@ class ClipboardDB {
         params.push((until.getTime() / 1000) - 978307200);
       }
     }
-    
-    // Add app filter
+
     if (appFilter) {
       sql += ` AND h.ZAPPLICATION = ?`;
       params.push(appFilter);
     }
+
+    if (after) {
+      sql += ` AND (h.ZLASTCOPIEDAT < ? OR (h.ZLASTCOPIEDAT = ? AND h.Z_PK < ?))`;
+      params.push(after.lastCopiedAt, after.lastCopiedAt, after.id);
+    }
+
+    if (ids) {
+      // Inlined rather than bound: the list can be longer than SQLite's parameter limit
+      sql += ids.length > 0 ? ` AND h.Z_PK IN (${ids.map(id => Math.trunc(Number(id))).join(', ')})` : ` AND 0`;
+    }
+
+    return { sql, params };
+  }
+
+  // Opaque cursor pointing just after a raw ZHISTORYITEM row
+  cursorFor(item, order = 'date', score) {
+    return encodeCursor({ order, lastCopiedAt: item.ZLASTCOPIEDAT, id: item.id, score });
+  }
+
+  // Load every content type for a ZHISTORYITEM row into the item shape used by the tools
+  async loadItemContent(item) {
+    const contentSql = `
+      SELECT ZTYPE, ZVALUE 
+      FROM ZHISTORYITEMCONTENT 
+      WHERE ZITEM = ?
+    `;
+    const contentRows = await this.all(contentSql, [item.id]);
+    
+    const itemData = {
+      id: item.id,
+      title: item.ZTITLE,
+      application: item.ZAPPLICATION,
+      lastCopied: this.formatDate(this.convertTimestamp(item.ZLASTCOPIEDAT)),
+      lastCopiedAt: this.isoDate(item.ZLASTCOPIEDAT),
+      copyCount: item.ZNUMBEROFCOPIES,
+      pinned: item.ZPIN !== null,
+      pinKey: item.ZPIN,
+      cursor: this.cursorFor(item),
+      content: {}
+    };
+    
+    // Group all content types for this item
+    for (const contentRow of contentRows) {
+      if (contentRow.ZVALUE !== null) {
+        // Check if it's binary data (Buffer) - SQLite returns BLOB as Buffer
+        if (Buffer.isBuffer(contentRow.ZVALUE)) {
+          // Keep as Buffer for binary data (typically images)
+          itemData.content[contentRow.ZTYPE] = contentRow.ZVALUE;
+        } else {
+          // Convert to string for text content and sanitize
+          itemData.content[contentRow.ZTYPE] = this.sanitizeText(contentRow.ZVALUE.toString());
+        }
+      }
+    }
+    
+    return itemData;
+  }
+
+  // Returns { items, nextCursor }; nextCursor is null on the last page
+  async searchClipboard(query, limit = 10, useRegex = false, dateRange = null, appFilter = null, options = {}) {
+    // A kind filter becomes the list of matching item IDs, which every search path accepts
+    const ids = options.kinds ? await this.idsOfKinds(options.kinds, dateRange, appFilter) : null;
+    if (useRegex) {
+      return this.regexSearch(query, limit, dateRange, appFilter, { ...options, ids });
+    }
+    if (options.fuzzy) {
+      return this.fuzzySearch(query, limit, dateRange, appFilter, { threshold: options.fuzzyThreshold, cursor: options.cursor, ids });
+    }
+    if (options.orderBy === 'relevance') {
+      return this.relevanceSearch(query, limit, dateRange, appFilter, { searchIndex: options.searchIndex, cursor: options.cursor, ids });
+    }
+
+    // First, search for matching items
+    let sql = `
+      SELECT DISTINCT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+      FROM ZHISTORYITEM h 
+      LEFT JOIN ZHISTORYITEMCONTENT c ON h.Z_PK = c.ZITEM
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    // Add search condition - search in title and text content only
+    sql += ` AND (h.ZTITLE LIKE ? OR (c.ZTYPE = 'public.utf8-plain-text' AND c.ZVALUE LIKE ?))`;
+    const searchPattern = `%${query}%`;
+    params.push(searchPattern, searchPattern);
+    
+    // Add date range, app and cursor filters
+    const filter = await this.buildFilterClause(dateRange, appFilter, decodeCursor(options.cursor, 'date'), ids);
+    sql += filter.sql;
+    params.push(...filter.params);
     
-    sql += ` ORDER BY h.ZLASTCOPIEDAT DESC LIMIT ?`;
-    params.push(limit);
+    // One extra row tells us whether there is a next page
+    sql += ` ORDER BY h.ZLASTCOPIEDAT DESC, h.Z_PK DESC LIMIT ?`;
+    params.push(limit + 1);
     
     const historyItems = await this.all(sql, params);
+    const pageItems = historyItems.slice(0, limit);
     
     // Then get all content for these items
     const results = [];
-    for (const item of historyItems) {
-      const contentSql = `
-        SELECT ZTYPE, ZVALUE 
-        FROM ZHISTORYITEMCONTENT 
-        WHERE ZITEM = ?
-      `;
-      const contentRows = await this.all(contentSql, [item.id]);
-      
-      const itemData = {
-        id: item.id,
-        title: item.ZTITLE,
-        application: item.ZAPPLICATION,
-        lastCopied: this.formatDate(this.convertTimestamp(item.ZLASTCOPIEDAT)),
-        copyCount: item.ZNUMBEROFCOPIES,
-        pinned: item.ZPIN !== null,
-        content: {}
-      };
-      
-      // Group all content types for this item
-      for (const contentRow of contentRows) {
-        if (contentRow.ZVALUE !== null) {
-          // Check if it's binary data (Buffer) - SQLite returns BLOB as Buffer
-          if (Buffer.isBuffer(contentRow.ZVALUE)) {
-            // Keep as Buffer for binary data (typically images)
-            itemData.content[contentRow.ZTYPE] = contentRow.ZVALUE;
-          } else {
-            // Convert to string for text content and sanitize
-            itemData.content[contentRow.ZTYPE] = this.sanitizeText(contentRow.ZVALUE.toString());
-          }
+    for (const item of pageItems) {
+      results.push(await this.loadItemContent(item));
+    }
+    
+    return {
+      items: results,
+      nextCursor: historyItems.length > limit ? this.cursorFor(pageItems[pageItems.length - 1]) : null
+    };
+  }
+
+  // Full-text search through the server's FTS5 side index, ordered by BM25 relevance
+  async relevanceSearch(query, limit = 10, dateRange = null, appFilter = null, { searchIndex = getSearchIndex(this.dbPath), cursor = null, ids = null } = {}) {
+    const after = decodeCursor(cursor, 'relevance');
+    const privacy = await this.privacyClause();
+    await searchIndex.sync(this);
+    const hits = await searchIndex.search(query, { limit: limit + 1, dateRange, appFilter, after, ids });
+    const pageHits = hits.slice(0, limit);
+
+    const results = [];
+    for (const hit of pageHits) {
+      const item = await this.get(`
+        SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+        FROM ZHISTORYITEM h
+        WHERE h.Z_PK = ? ${privacy.sql}
+      `, [hit.id, ...privacy.params]);
+      // The item may have been removed from Maccy (or hidden) since the index was synced
+      if (!item) continue;
+
+      const itemData = await this.loadItemContent(item);
+      itemData.score = Math.round(hit.score * 1000) / 1000;
+      itemData.snippet = (hit.snippet || hit.titleHighlight || '').replace(/\s+/g, ' ');
+      itemData.cursor = encodeCursor({ order: 'relevance', lastCopiedAt: hit.lastCopiedAt, id: hit.id, score: hit.score });
+      results.push(itemData);
+    }
+
+    const lastHit = pageHits[pageHits.length - 1];
+    return {
+      items: results,
+      nextCursor: hits.length > limit
+        ? encodeCursor({ order: 'relevance', lastCopiedAt: lastHit.lastCopiedAt, id: lastHit.id, score: lastHit.score })
+        : null
+    };
+  }
+
+  // Scan history newest-first in batches, yielding each batch of ZHISTORYITEM rows
+  // together with their text representations (no image data is loaded).
+  // Starts after the decoded date-order cursor `after`, if given, and covers only
+  // the items in `ids` when that is given.
+  async *scanTextBatches(dateRange = null, appFilter = null, after = null, { ids = null, batchSize = 200 } = {}) {
+    let position = after;
+
+    while (true) {
+      const filter = await this.buildFilterClause(dateRange, appFilter, position, ids);
+      const historyItems = await this.all(`
+        SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZFIRSTCOPIEDAT, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+        FROM ZHISTORYITEM h
+        WHERE 1=1 ${filter.sql}
+        ORDER BY h.ZLASTCOPIEDAT DESC, h.Z_PK DESC
+        LIMIT ?
+      `, [...filter.params, batchSize]);
+      if (historyItems.length === 0) return;
+      const last = historyItems[historyItems.length - 1];
+      position = { lastCopiedAt: last.ZLASTCOPIEDAT, id: last.id };
+
+      const batchIds = historyItems.map(item => item.id);
+      const contentRows = await this.all(`
+        SELECT ZITEM, ZTYPE, ZVALUE
+        FROM ZHISTORYITEMCONTENT
+        WHERE ZITEM IN (${batchIds.map(() => '?').join(', ')})
+          AND ZVALUE IS NOT NULL
+      `, batchIds);
+
+      const textRows = contentRows.filter(row => !isImageType(row.ZTYPE));
+      yield { historyItems, textRows };
+    }
+  }
+
+  // JavaScript regex search over titles and every text content type. SQLite has no
+  // REGEXP function, so items are scanned newest-first in batches and matched in JS.
+  // Each batch is matched under `timeoutMs`, which stops runaway patterns; once the
+  // page has taken `budgetMs`, the matches so far are returned with a cursor to
+  // the unscanned rest and `partial` set.
+  async regexSearch(pattern, limit = 10, dateRange = null, appFilter = null, { flags = '', contextChars = 40, timeoutMs = config.regexTimeoutMs || 2000, budgetMs = config.regexBudgetMs || 10000, cursor = null, ids = null } = {}) {
+    const regex = compileSearchRegex(pattern, flags);
+    const after = decodeCursor(cursor, 'date');
+    const deadline = Date.now() + budgetMs;
+    const results = [];
+    let lastItem = null;
+    let lastScanned = null;
+
+    for await (const { historyItems, textRows } of this.scanTextBatches(dateRange, appFilter, after, { ids })) {
+      if (lastScanned && Date.now() >= deadline) {
+        return { items: results, nextCursor: this.cursorFor(lastScanned), partial: true };
+      }
+
+      const fields = [];
+      for (const item of historyItems) {
+        if (item.ZTITLE) {
+          fields.push({ id: item.id, field: 'title', text: this.sanitizeText(item.ZTITLE) });
         }
       }
-      
+      for (const row of textRows) {
+        fields.push({ id: row.ZITEM, field: row.ZTYPE, text: this.sanitizeText(decodeText(row.ZVALUE)) });
+      }
+
+      // Secrets are located in the whole field, so a context window that cuts
+      // one in half still masks it
+      const redactor = getRedactor();
+      const secrets = redactor.enabled ? fields.map(field => redactor.findSecrets(field.text)) : null;
+      const fieldMatches = matchTexts(regex, fields.map(field => field.text), { contextChars, timeoutMs, secrets });
+
+      const matchesById = new Map();
+      fields.forEach((field, index) => {
+        const { matches, total } = fieldMatches[index];
+        if (total === 0) return;
+        const entry = matchesById.get(field.id) || { total: 0, spans: [] };
+        entry.total += total;
+        entry.spans.push(...matches.map(match => ({ field: field.field, ...match })));
+        matchesById.set(field.id, entry);
+      });
+
+      for (const item of historyItems) {
+        const entry = matchesById.get(item.id);
+        if (!entry) continue;
+        // A match beyond the page means there is a next page
+        if (results.length >= limit) {
+          return { items: results, nextCursor: this.cursorFor(lastItem) };
+        }
+        const itemData = await this.loadItemContent(item);
+        itemData.matches = entry.spans;
+        itemData.matchCount = entry.total;
+        results.push(itemData);
+        lastItem = item;
+      }
+      lastScanned = historyItems[historyItems.length - 1];
+    }
+
+    return { items: results, nextCursor: null };
+  }
+
+  // Typo-tolerant search: every item within the filters is scored against the
+  // query tokens and those at or above `threshold` are returned, best first
+  async fuzzySearch(query, limit = 10, dateRange = null, appFilter = null, { threshold = 0.65, cursor = null, ids = null } = {}) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+      throw new Error('Fuzzy search query must contain at least one word');
+    }
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      throw new Error('fuzzy_threshold must be a number between 0 and 1');
+    }
+    const after = decodeCursor(cursor, 'fuzzy');
+
+    const candidates = [];
+    for await (const { historyItems, textRows } of this.scanTextBatches(dateRange, appFilter, null, { ids })) {
+      const rowsByItem = new Map();
+      for (const row of textRows) {
+        if (!rowsByItem.has(row.ZITEM)) rowsByItem.set(row.ZITEM, []);
+        rowsByItem.get(row.ZITEM).push(row);
+      }
+
+      for (const item of historyItems) {
+        const text = `${item.ZTITLE || ''}\n${extractIndexText(rowsByItem.get(item.id) || [])}`;
+        const { score, terms } = fuzzyScore(queryTokens, text);
+        if (score >= threshold && isAfterCursor({ score, lastCopiedAt: item.ZLASTCOPIEDAT, id: item.id }, after)) {
+          candidates.push({ item, score, terms });
+        }
+      }
+    }
+
+    // Best score first, then newest first, matching the cursor's ordering
+    candidates.sort((a, b) => (b.score - a.score) ||
+      (b.item.ZLASTCOPIEDAT - a.item.ZLASTCOPIEDAT) ||
+      (b.item.id - a.item.id));
+
+    const page = candidates.slice(0, limit);
+    const results = [];
+    for (const { item, score, terms } of page) {
+      const itemData = await this.loadItemContent(item);
+      itemData.similarity = score;
+      itemData.matchedTerms = terms;
+      itemData.cursor = this.cursorFor(item, 'fuzzy', score);
       results.push(itemData);
     }
-    
-    return results;
+
+    const last = page[page.length - 1];
+    return {
+      items: results,
+      nextCursor: candidates.length > limit ? this.cursorFor(last.item, 'fuzzy', last.score) : null
+    };
   }
 
-  async getRecentItems(limit = 10, application = null, excludeImages = false) {
+  // Returns { items, nextCursor }; nextCursor is null on the last page
+  async getRecentItems(limit = 10, application = null, excludeImages = false, cursor = null, kinds = null) {
     // First get the history items
-    // Fetch extra items to account for ones that might be filtered out
-    const fetchLimit = excludeImages ? limit * 3 : limit;
+    // Fetch extra items to account for ones that might be filtered out,
+    // plus one to tell whether there is a next page
+    const fetchLimit = excludeImages ? limit * 3 + 1 : limit + 1;
+    const ids = kinds ? await this.idsOfKinds(kinds, null, application) : null;
+    const filter = await this.buildFilterClause(null, application, decodeCursor(cursor, 'date'), ids);
     
-    let sql = `
+    const sql = `
       SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
       FROM ZHISTORYITEM h
+      WHERE 1=1 ${filter.sql}
+      ORDER BY h.ZLASTCOPIEDAT DESC, h.Z_PK DESC LIMIT ?
     `;
-    const params = [];
-    
-    if (application) {
-      sql += ` WHERE h.ZAPPLICATION = ?`;
-      params.push(application);
-    }
-    
-    sql += ` ORDER BY h.ZLASTCOPIEDAT DESC LIMIT ?`;
-    params.push(fetchLimit);
-    
-    const historyItems = await this.all(sql, params);
+    const historyItems = await this.all(sql, [...filter.params, fetchLimit]);
     
     // Then get content for these items, optionally excluding images
     const results = [];
+    let lastItem = null;
+    let hasMore = historyItems.length === fetchLimit;
     for (const item of historyItems) {
       let contentSql = `
         SELECT ZTYPE, ZVALUE 
@@ -231,8 +661,11 @@ class ClipboardDB {
         title: item.ZTITLE,
         application: item.ZAPPLICATION,
         lastCopied: this.formatDate(this.convertTimestamp(item.ZLASTCOPIEDAT)),
+        lastCopiedAt: this.isoDate(item.ZLASTCOPIEDAT),
         copyCount: item.ZNUMBEROFCOPIES,
         pinned: item.ZPIN !== null,
+        pinKey: item.ZPIN,
+        cursor: this.cursorFor(item),
         content: {}
       };
       
@@ -264,58 +697,194 @@ class ClipboardDB {
       
       // Only include items that have content after filtering (or if we have a title)
       if (Object.keys(itemData.content).length > 0 || itemData.title) {
-        results.push(itemData);
-        
         // Stop if we've collected enough items
         if (results.length >= limit) {
+          hasMore = true;
           break;
         }
+        
+        results.push(itemData);
+        lastItem = item;
       }
     }
     
-    return results;
-  }
-
-  async getStatistics() {
-    const totalItems = await this.get(`SELECT COUNT(*) as count FROM ZHISTORYITEM`);
-    const topApps = await this.all(`
-      SELECT ZAPPLICATION as app, COUNT(*) as count 
-      FROM ZHISTORYITEM 
-      GROUP BY ZAPPLICATION 
-      ORDER BY count DESC 
-      LIMIT 5
-    `);
-    const oldestItem = await this.get(`
-      SELECT MIN(ZLASTCOPIEDAT) as oldest FROM ZHISTORYITEM
-    `);
-    const newestItem = await this.get(`
-      SELECT MAX(ZLASTCOPIEDAT) as newest FROM ZHISTORYITEM
-    `);
+    return {
+      items: results,
+      nextCursor: hasMore && lastItem ? this.cursorFor(lastItem) : null
+    };
+  }
+
+  // Usage analytics over the items matching the optional date range and
+  // application. Histograms use local time; `top` limits the ranked lists.
+  async getStatistics({ dateRange = null, application = null, top = 10 } = {}) {
+    const filter = await this.buildFilterClause(dateRange, application);
+    const where = `WHERE 1=1 ${filter.sql}`;
+    const localTime = `h.ZLASTCOPIEDAT + 978307200, 'unixepoch', 'localtime'`;
+
+    const totals = await this.get(`
+      SELECT COUNT(*) as count, TOTAL(h.ZNUMBEROFCOPIES) as copies,
+             SUM(h.ZPIN IS NOT NULL) as pinned,
+             MIN(h.ZLASTCOPIEDAT) as oldest, MAX(h.ZLASTCOPIEDAT) as newest
+      FROM ZHISTORYITEM h ${where}
+    `, filter.params);
+
+    const applications = await this.all(`
+      SELECT h.ZAPPLICATION as app, COUNT(*) as count, TOTAL(h.ZNUMBEROFCOPIES) as copies,
+             SUM(h.ZPIN IS NOT NULL) as pinned,
+             TOTAL((SELECT SUM(LENGTH(c.ZVALUE)) FROM ZHISTORYITEMCONTENT c WHERE c.ZITEM = h.Z_PK)) as bytes
+      FROM ZHISTORYITEM h ${where}
+      GROUP BY h.ZAPPLICATION
+      ORDER BY count DESC, copies DESC
+    `, filter.params);
+
+    const contentTypes = await this.all(`
+      SELECT c.ZTYPE as type, COUNT(DISTINCT c.ZITEM) as count, TOTAL(LENGTH(c.ZVALUE)) as bytes
+      FROM ZHISTORYITEMCONTENT c
+      JOIN ZHISTORYITEM h ON h.Z_PK = c.ZITEM
+      ${where}
+      GROUP BY c.ZTYPE
+      ORDER BY count DESC
+    `, filter.params);
+
+    const perDay = await this.all(`
+      SELECT strftime('%Y-%m-%d', ${localTime}) as day, COUNT(*) as count
+      FROM ZHISTORYITEM h ${where}
+      GROUP BY day
+      ORDER BY day
+    `, filter.params);
+
+    const hourRows = await this.all(`
+      SELECT CAST(strftime('%H', ${localTime}) AS INTEGER) as hour, COUNT(*) as count
+      FROM ZHISTORYITEM h ${where}
+      GROUP BY hour
+    `, filter.params);
+    const perHour = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+    for (const row of hourRows) perHour[row.hour].count = row.count;
+
+    const mostCopied = await this.all(`
+      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZNUMBEROFCOPIES, h.ZLASTCOPIEDAT, h.ZPIN
+      FROM ZHISTORYITEM h ${where} AND h.ZNUMBEROFCOPIES > 1
+      ORDER BY h.ZNUMBEROFCOPIES DESC, h.ZLASTCOPIEDAT DESC
+      LIMIT ?
+    `, [...filter.params, top]);
+
+    // Each item counts once, under its primary kind; code is also counted by language
+    const kinds = Object.fromEntries(CONTENT_KINDS.map(kind => [kind, 0]));
+    const languages = {};
+    for (const item of await this.itemKinds(dateRange, application)) {
+      kinds[item.kind]++;
+      if (item.language) languages[item.language] = (languages[item.language] || 0) + 1;
+    }
 
     return {
-      totalItems: totalItems.count,
-      topApplications: topApps.map(app => ({
+      totalItems: totals.count,
+      totalCopies: totals.copies,
+      pinnedItems: totals.pinned || 0,
+      oldestItem: totals.oldest !== null ? this.formatDate(this.convertTimestamp(totals.oldest)) : null,
+      newestItem: totals.newest !== null ? this.formatDate(this.convertTimestamp(totals.newest)) : null,
+      oldestItemAt: this.isoDate(totals.oldest),
+      newestItemAt: this.isoDate(totals.newest),
+      topApplications: applications.slice(0, top).map(app => ({
         application: app.app,
-        itemCount: app.count
+        itemCount: app.count,
+        copyCount: app.copies,
+        pinnedCount: app.pinned || 0
       })),
-      oldestItem: oldestItem.oldest ? this.formatDate(this.convertTimestamp(oldestItem.oldest)) : null,
-      newestItem: newestItem.newest ? this.formatDate(this.convertTimestamp(newestItem.newest)) : null
+      storageByApplication: [...applications]
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, top)
+        .map(app => ({ application: app.app, bytes: app.bytes, itemCount: app.count })),
+      contentTypes: contentTypes.map(row => ({ type: row.type, itemCount: row.count, bytes: row.bytes })),
+      kinds,
+      languages: Object.fromEntries(Object.entries(languages).sort((a, b) => b[1] - a[1])),
+      perDay,
+      perHour,
+      mostCopied: mostCopied.map(item => ({
+        id: item.id,
+        title: this.sanitizeText(item.ZTITLE),
+        application: item.ZAPPLICATION,
+        copyCount: item.ZNUMBEROFCOPIES,
+        lastCopied: this.formatDate(this.convertTimestamp(item.ZLASTCOPIEDAT)),
+        lastCopiedAt: this.isoDate(item.ZLASTCOPIEDAT),
+        pinned: item.ZPIN !== null
+      }))
     };
   }
 
-  async getItemsByApplication(application, limit = 10) {
-    return this.getRecentItems(limit, application, false);
+  // Classification (see content-kinds.js) of every matching item as
+  // [{ id, kind, tags, language }]. Classifications come from the kind cache,
+  // which only reclassifies items that changed since the last call.
+  async itemKinds(dateRange = null, appFilter = null) {
+    const cache = getKindCache(this.dbPath);
+    await cache.sync(this);
+    const classifications = await cache.classifications();
+    const ids = await this.filteredIds(dateRange, appFilter);
+    return ids.filter(id => classifications.has(id)).map(id => ({ id, ...classifications.get(id) }));
+  }
+
+  // IDs of the items within the privacy, date and application filters
+  async filteredIds(dateRange = null, appFilter = null) {
+    const filter = await this.buildFilterClause(dateRange, appFilter);
+    const rows = await this.all(`SELECT h.Z_PK as id FROM ZHISTORYITEM h WHERE 1=1 ${filter.sql}`, filter.params);
+    return rows.map(row => row.id);
+  }
+
+  // Columns loaded to classify an item: its types and the start of its plain
+  // text. Binds PLAIN_TEXT_TYPES.
+  kindColumns() {
+    return `(SELECT GROUP_CONCAT(c.ZTYPE, char(31)) FROM ZHISTORYITEMCONTENT c WHERE c.ZITEM = h.Z_PK) as types,
+            (SELECT SUBSTR(c.ZVALUE, 1, ${CLASSIFY_BYTES}) FROM ZHISTORYITEMCONTENT c
+             WHERE c.ZITEM = h.Z_PK AND c.ZTYPE IN (${PLAIN_TEXT_TYPES.map(() => '?').join(', ')}) LIMIT 1) as text`;
+  }
+
+  classifyRow(row) {
+    const types = row.types ? row.types.split('\u001f') : [];
+    return classifyContent(types, decodeText(row.text));
+  }
+
+  // Classification of one item, or null if it does not exist
+  async classifyItem(id) {
+    const row = await this.get(`
+      SELECT ${this.kindColumns()}
+      FROM ZHISTORYITEM h
+      WHERE h.Z_PK = ?
+    `, [...PLAIN_TEXT_TYPES, id]);
+    return row ? this.classifyRow(row) : null;
+  }
+
+  // IDs of the items within the filters tagged with any of `kinds`
+  async idsOfKinds(kinds, dateRange = null, appFilter = null) {
+    const cache = getKindCache(this.dbPath);
+    await cache.sync(this);
+    const tagged = await cache.idsTagged(kinds);
+    // The cache holds every visible item, so only date and application filters narrow it
+    if (!dateRange && !appFilter) return tagged;
+    const taggedIds = new Set(tagged);
+    return (await this.filteredIds(dateRange, appFilter)).filter(id => taggedIds.has(id));
+  }
+
+  // Active privacy rules and how many items they currently hide
+  async getPrivacySummary() {
+    const privacy = await this.privacyClause();
+    const total = await this.get(`SELECT COUNT(*) as count FROM ZHISTORYITEM`);
+    const visible = await this.get(`SELECT COUNT(*) as count FROM ZHISTORYITEM h WHERE 1=1 ${privacy.sql}`, privacy.params);
+    return { rules: this.privacy.describe(), hiddenCount: total.count - visible.count };
+  }
+
+  async getItemsByApplication(application, limit = 10, cursor = null, kinds = null) {
+    return this.getRecentItems(limit, application, false, cursor, kinds);
   }
 
   async getItemById(id) {
+    const privacy = await this.privacyClause();
     const sql = `
       SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN,
              c.ZTYPE, c.ZVALUE
       FROM ZHISTORYITEM h 
       LEFT JOIN ZHISTORYITEMCONTENT c ON h.Z_PK = c.ZITEM
-      WHERE h.Z_PK = ?
+      WHERE h.Z_PK = ? ${privacy.sql}
     `;
-    const results = await this.all(sql, [id]);
+    const results = await this.all(sql, [id, ...privacy.params]);
     
     if (results.length === 0) return null;
     
@@ -325,8 +894,10 @@ class ClipboardDB {
       title: this.sanitizeText(results[0].ZTITLE),
       application: results[0].ZAPPLICATION,
       lastCopied: this.formatDate(this.convertTimestamp(results[0].ZLASTCOPIEDAT)),
+      lastCopiedAt: this.isoDate(results[0].ZLASTCOPIEDAT),
       copyCount: results[0].ZNUMBEROFCOPIES,
       pinned: results[0].ZPIN !== null,
+      pinKey: results[0].ZPIN,
       content: {}
     };
     
@@ -349,22 +920,100 @@ class ClipboardDB {
     return item;
   }
 
-  async copyToClipboard(itemId) {
+  // Every stored representation of an item as raw values with byte sizes,
+  // optionally restricted to `types`. Returns null if the item doesn't exist.
+  async getItemRepresentations(id, types = null) {
+    const privacy = await this.privacyClause();
+    const row = await this.get(`
+      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+      FROM ZHISTORYITEM h
+      WHERE h.Z_PK = ? ${privacy.sql}
+    `, [id, ...privacy.params]);
+    if (!row) return null;
+
+    let sql = `
+      SELECT ZTYPE, ZVALUE, LENGTH(ZVALUE) as size
+      FROM ZHISTORYITEMCONTENT
+      WHERE ZITEM = ?
+    `;
+    const params = [id];
+    if (types && types.length > 0) {
+      sql += ` AND ZTYPE IN (${types.map(() => '?').join(', ')})`;
+      params.push(...types);
+    }
+    sql += ` ORDER BY Z_PK`;
+    const contentRows = await this.all(sql, params);
+    const allTypes = await this.all(`SELECT ZTYPE FROM ZHISTORYITEMCONTENT WHERE ZITEM = ?`, [id]);
+
+    return {
+      id: row.id,
+      title: this.sanitizeText(row.ZTITLE),
+      application: row.ZAPPLICATION,
+      lastCopied: this.formatDate(this.convertTimestamp(row.ZLASTCOPIEDAT)),
+      lastCopiedAt: this.isoDate(row.ZLASTCOPIEDAT),
+      copyCount: row.ZNUMBEROFCOPIES,
+      pinned: row.ZPIN !== null,
+      pinKey: row.ZPIN,
+      availableTypes: allTypes.map(contentRow => contentRow.ZTYPE),
+      representations: contentRows.map(contentRow => {
+        const value = contentRow.ZVALUE;
+        const isImage = isImageType(contentRow.ZTYPE);
+        const isText = !isImage && value !== null && isProbablyText(value);
+        return {
+          type: contentRow.ZTYPE,
+          size: contentRow.size || 0,
+          kind: value === null ? 'empty' : isImage ? 'image' : isText ? 'text' : 'binary',
+          value: value === null ? null : isText ? this.sanitizeText(decodeText(value)) : Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8')
+        };
+      })
+    };
+  }
+
+  async getItemByPin(pin) {
+    const privacy = await this.privacyClause();
+    const row = await this.get(`SELECT h.Z_PK as id FROM ZHISTORYITEM h WHERE h.ZPIN = ? ${privacy.sql}`, [pin, ...privacy.params]);
+    return row ? this.getItemById(row.id) : null;
+  }
+
+  // Raw ZHISTORYITEM rows (no content), newest first, for resource listings
+  async listItemRows(limit = 50, cursor = null) {
+    const filter = await this.buildFilterClause(null, null, decodeCursor(cursor, 'date'));
+    const rows = await this.all(`
+      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZPIN
+      FROM ZHISTORYITEM h
+      WHERE 1=1 ${filter.sql}
+      ORDER BY h.ZLASTCOPIEDAT DESC, h.Z_PK DESC LIMIT ?
+    `, [...filter.params, limit + 1]);
+    const page = rows.slice(0, limit);
+    return { rows: page, nextCursor: rows.length > limit ? this.cursorFor(page[page.length - 1]) : null };
+  }
+
+  async getPinnedRows() {
+    const privacy = await this.privacyClause();
+    return this.all(`
+      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZPIN
+      FROM ZHISTORYITEM h
+      WHERE h.ZPIN IS NOT NULL ${privacy.sql}
+      ORDER BY h.ZPIN
+    `, privacy.params);
+  }
+
+  async copyToClipboard(itemId, writer = getClipboardWriter()) {
     const item = await this.getItemById(itemId);
     if (!item) throw new Error(`Item with ID ${itemId} not found`);
 
     // Prioritize image content if available
-    const imageContent = item.content['public.png'] ||
-                       item.content['public.jpeg'] ||
-                       item.content['public.tiff'];
-
-    if (imageContent && Buffer.isBuffer(imageContent)) {
-      // Use a temporary file to copy image data
-      const tempPath = path.join(os.tmpdir(), `maccy-temp-${Date.now()}.png`);
-      await fs.writeFile(tempPath, imageContent);
-      execSync(`osascript -e 'set the clipboard to (read (POSIX file "${tempPath}") as TIFF picture)'`);
-      await fs.unlink(tempPath);
-      return { success: true, content: `Image of ${imageContent.length} bytes copied to clipboard.` };
+    const imageType = ['public.png', 'public.jpeg', 'public.tiff'].find(type => Buffer.isBuffer(item.content[type]));
+
+    if (imageType) {
+      const imageContent = item.content[imageType];
+      const mimeType = imageMimeType(imageContent) || mimeTypeForType(imageType);
+      try {
+        await writer.writeImage(imageContent, mimeType);
+      } catch (error) {
+        throw new Error(`Failed to copy image to clipboard (${writer.name}): ${error.message}`);
+      }
+      return { success: true, backend: writer.name, kind: 'image', mimeType, bytes: imageContent.length, content: `Image of ${imageContent.length} bytes copied to clipboard.` };
     }
 
     // Fallback to text content
@@ -374,122 +1023,432 @@ class ClipboardDB {
 
     if (!textContent) throw new Error('No content found to copy');
 
-    // Use pbcopy to set clipboard on macOS
     try {
-      execSync('pbcopy', { input: textContent.toString(), encoding: 'utf8' });
-      return { success: true, content: textContent.toString() };
+      await writer.writeText(textContent.toString());
+      return { success: true, backend: writer.name, kind: 'text', bytes: Buffer.byteLength(textContent.toString(), 'utf8'), content: textContent.toString() };
     } catch (error) {
-      throw new Error(`Failed to copy to clipboard: ${error.message}`);
+      throw new Error(`Failed to copy to clipboard (${writer.name}): ${error.message}`);
     }
   }
 
-  async pinItem(itemId) {
-    const sql = `UPDATE ZHISTORYITEM SET ZPIN = ? WHERE Z_PK = ?`;
-    await this.run(sql, [new Date().toISOString(), itemId]);
-    return { success: true, itemId, action: 'pinned' };
+  // ZPIN of a visible item; throws when the item doesn't exist or is hidden
+  async getPinKey(itemId) {
+    if (!(await this.isItemVisible(itemId))) throw new Error(`Item with ID ${itemId} not found`);
+    return (await this.get(`SELECT ZPIN FROM ZHISTORYITEM WHERE Z_PK = ?`, [itemId])).ZPIN;
   }
 
-  async unpinItem(itemId) {
-    const sql = `UPDATE ZHISTORYITEM SET ZPIN = NULL WHERE Z_PK = ?`;
-    await this.run(sql, [itemId]);
-    return { success: true, itemId, action: 'unpinned' };
-  }
+  // Pin an item under `key`, or under the first free key when none is given
+  // (see pins.js). An item that already has a valid key keeps it unless another
+  // is requested; invalid values, such as the timestamps older versions of this
+  // server wrote, are replaced. Returns { itemId, key, previousKey, changed }.
+  async pinItem(itemId, key = null) {
+    const previousKey = await this.getPinKey(itemId);
+    // Keys are unique across the whole history, including items hidden by privacy rules
+    const taken = await this.all(`SELECT Z_PK as id, ZPIN FROM ZHISTORYITEM WHERE ZPIN IS NOT NULL AND Z_PK != ?`, [itemId]);
+    const free = freePinKeys(taken.map(row => row.ZPIN));
 
-
-  async exportHistory(filePath, format = 'json', dateRange = null) {
-    // Validate file path
-    const resolvedPath = path.resolve(filePath);
-    const dir = path.dirname(resolvedPath);
-    
-    try {
-      await fs.access(dir);
-    } catch (error) {
-      throw new Error(`Directory does not exist: ${dir}`);
+    let pinKey;
+    if (key !== null && key !== undefined) {
+      pinKey = parsePinKey(key);
+      const owner = taken.find(row => row.ZPIN === pinKey);
+      if (owner) {
+        // An item hidden by the privacy rules is not named
+        const ownerName = await this.isItemVisible(owner.id) ? `item ${owner.id}` : 'another item';
+        throw new Error(`Pin key "${pinKey}" is already used by ${ownerName}; unpin it first or choose a free key (${free.join(', ') || 'none left'})`);
+      }
+    } else if (isValidPinKey(previousKey)) {
+      pinKey = previousKey;
+    } else if (free.length > 0) {
+      pinKey = free[0];
+    } else {
+      throw new Error(`All ${MACCY_PIN_KEYS.length} pin keys are in use; unpin an item first`);
     }
-    
+    if (pinKey === previousKey) return { itemId, key: pinKey, previousKey, changed: false };
+
+    // The key may have been taken since it was chosen, e.g. by Maccy itself
+    const changes = await this.runChanges(`
+      UPDATE ZHISTORYITEM SET ZPIN = ?
+      WHERE Z_PK = ? AND NOT EXISTS (SELECT 1 FROM ZHISTORYITEM WHERE ZPIN = ? AND Z_PK != ?)
+    `, [pinKey, itemId, pinKey, itemId]);
+    if (changes === 0) throw new Error(`Pin key "${pinKey}" was taken while pinning item ${itemId}; try again`);
+    return { itemId, key: pinKey, previousKey, changed: true };
+  }
+
+  // Returns { itemId, previousKey }; previousKey is null when the item wasn't pinned
+  async unpinItem(itemId) {
+    const previousKey = await this.getPinKey(itemId);
+    if (previousKey !== null) {
+      await this.run(`UPDATE ZHISTORYITEM SET ZPIN = NULL WHERE Z_PK = ?`, [itemId]);
+    }
+    return { itemId, previousKey };
+  }
+
+  // Pinned items in key order, those whose ZPIN isn't a valid Maccy key last,
+  // plus the keys still free for pin_item
+  async listPinned() {
+    const privacy = await this.privacyClause();
+    const rows = await this.all(`
+      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+      FROM ZHISTORYITEM h
+      WHERE h.ZPIN IS NOT NULL ${privacy.sql}
+    `, privacy.params);
+    const order = row => isValidPinKey(row.ZPIN) ? MACCY_PIN_KEYS.indexOf(row.ZPIN) : MACCY_PIN_KEYS.length;
+    rows.sort((a, b) => order(a) - order(b) || b.ZLASTCOPIEDAT - a.ZLASTCOPIEDAT);
+    const allKeys = await this.all(`SELECT ZPIN FROM ZHISTORYITEM WHERE ZPIN IS NOT NULL`);
+    return { rows, freeKeys: freePinKeys(allKeys.map(row => row.ZPIN)) };
+  }
+
+  // Items matching a delete/purge selector, newest first. Pinned items are set
+  // aside in `pinned` unless includePinned is set; requested IDs that don't
+  // exist (or are hidden by the privacy rules) are listed in `missingIds`.
+  async selectItemsForDeletion({ ids = null, query = null, application = null, dateRange = null, contentType = null, includePinned = false } = {}) {
+    const filter = await this.buildFilterClause(dateRange, application);
     let sql = `
-      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN,
-             c.ZTYPE, c.ZVALUE
-      FROM ZHISTORYITEM h 
-      LEFT JOIN ZHISTORYITEMCONTENT c ON h.Z_PK = c.ZITEM
-      WHERE 1=1
+      SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZFIRSTCOPIEDAT, h.ZLASTCOPIEDAT, h.ZPIN
+      FROM ZHISTORYITEM h
+      WHERE 1=1 ${filter.sql}
     `;
-    const params = [];
-    
-    if (dateRange) {
-      const { since, until } = dateRange;
-      if (since) {
-        sql += ` AND h.ZLASTCOPIEDAT >= ?`;
-        params.push((since.getTime() / 1000) - 978307200);
+    const params = [...filter.params];
+
+    if (ids) {
+      sql += ` AND h.Z_PK IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+    if (query) {
+      sql += ` AND (h.ZTITLE LIKE ? ESCAPE '\\' OR EXISTS (
+        SELECT 1 FROM ZHISTORYITEMCONTENT qc
+        WHERE qc.ZITEM = h.Z_PK AND qc.ZTYPE IN ('public.utf8-plain-text', 'public.text') AND qc.ZVALUE LIKE ? ESCAPE '\\'
+      ))`;
+      params.push(likeContains(query), likeContains(query));
+    }
+    if (contentType) {
+      sql += ` AND EXISTS (SELECT 1 FROM ZHISTORYITEMCONTENT tc WHERE tc.ZITEM = h.Z_PK AND tc.ZTYPE = ?)`;
+      params.push(contentType);
+    }
+    sql += ` ORDER BY h.ZLASTCOPIEDAT DESC, h.Z_PK DESC`;
+
+    const rows = await this.all(sql, params);
+    const found = new Set(rows.map(row => row.id));
+    return {
+      items: rows.filter(row => includePinned || row.ZPIN === null),
+      pinned: rows.filter(row => !includePinned && row.ZPIN !== null),
+      missingIds: (ids || []).filter(id => !found.has(id)),
+    };
+  }
+
+  // Exact and near-duplicate clusters among the newest `scanLimit` items. Items are
+  // compared by their normalized text (title if they have none) or, for image-only
+  // items, by their image bytes. Returns { scanned, clusters } where each cluster
+  // is { kind, similarity, items: [row] } with raw ZHISTORYITEM rows, newest first.
+  async findDuplicates({ threshold = 0.9, application = null, dateRange = null, scanLimit = 500 } = {}) {
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      throw new Error('threshold must be a number between 0 and 1');
+    }
+    if (!Number.isInteger(scanLimit) || scanLimit < 1 || scanLimit > MAX_DUPLICATE_SCAN) {
+      throw new Error(`scan_limit must be an integer between 1 and ${MAX_DUPLICATE_SCAN}`);
+    }
+
+    const entries = [];
+    const rowsById = new Map();
+    for await (const { historyItems, textRows } of this.scanTextBatches(dateRange, application)) {
+      const rowsByItem = new Map();
+      for (const row of textRows) {
+        if (!rowsByItem.has(row.ZITEM)) rowsByItem.set(row.ZITEM, []);
+        rowsByItem.get(row.ZITEM).push(row);
       }
-      if (until) {
-        sql += ` AND h.ZLASTCOPIEDAT <= ?`;
-        params.push((until.getTime() / 1000) - 978307200);
+
+      const imageOnly = historyItems.filter(item => !rowsByItem.has(item.id)).map(item => item.id);
+      if (imageOnly.length > 0) {
+        const imageRows = await this.all(`
+          SELECT ZITEM, ZTYPE, ZVALUE FROM ZHISTORYITEMCONTENT
+          WHERE ZITEM IN (${imageOnly.map(() => '?').join(', ')})
+            AND ZTYPE IN (${IMAGE_TYPES.map(() => '?').join(', ')}) AND ZVALUE IS NOT NULL
+          ORDER BY Z_PK
+        `, [...imageOnly, ...IMAGE_TYPES]);
+        for (const row of imageRows) {
+          if (!rowsByItem.has(row.ZITEM)) rowsByItem.set(row.ZITEM, []);
+          rowsByItem.get(row.ZITEM).push(row);
+        }
+      }
+
+      for (const item of historyItems) {
+        if (entries.length >= scanLimit) break;
+        const fingerprint = itemFingerprint(rowsByItem.get(item.id) || [], this.sanitizeText(item.ZTITLE));
+        if (!fingerprint) continue;
+        entries.push({ id: item.id, ...fingerprint });
+        rowsById.set(item.id, item);
       }
+      if (entries.length >= scanLimit) break;
     }
-    
-    sql += ` ORDER BY h.ZLASTCOPIEDAT DESC`;
-    const results = await this.all(sql, params);
-    
-    // Group results by item ID
-    const items = {};
-    for (const row of results) {
-      if (!items[row.id]) {
-        items[row.id] = {
-          id: row.id,
-          title: this.sanitizeText(row.ZTITLE),
-          application: row.ZAPPLICATION,
-          lastCopied: this.formatDate(this.convertTimestamp(row.ZLASTCOPIEDAT)),
-          copyCount: row.ZNUMBEROFCOPIES,
-          pinned: row.ZPIN !== null,
-          content: {}
-        };
+
+    const clusters = (await clusterDuplicates(entries, { threshold })).map(cluster => ({
+      kind: cluster.kind,
+      similarity: cluster.similarity,
+      items: cluster.ids.map(id => rowsById.get(id))
+    }));
+    return { scanned: entries.length, clusters };
+  }
+
+  // Links in the text, HTML and URL representations of matching items (see
+  // links.js), most recently copied first. Times are Maccy timestamps.
+  async extractLinks({ application = null, dateRange = null } = {}) {
+    const collector = new LinkCollector();
+    let scanned = 0;
+    for await (const { historyItems, textRows } of this.scanTextBatches(dateRange, application)) {
+      const rowsByItem = new Map();
+      for (const row of textRows) {
+        if (!rowsByItem.has(row.ZITEM)) rowsByItem.set(row.ZITEM, []);
+        rowsByItem.get(row.ZITEM).push(row);
       }
-      if (row.ZTYPE && row.ZVALUE) {
+      for (const item of historyItems) {
+        scanned++;
+        const times = { id: item.id, firstCopiedAt: item.ZFIRSTCOPIEDAT ?? item.ZLASTCOPIEDAT, lastCopiedAt: item.ZLASTCOPIEDAT };
+        collector.add(times, rowsByItem.get(item.id) || []);
+      }
+    }
+    return { scanned, links: collector.links() };
+  }
+
+  // Consistent single-file copy of the database (WAL included) taken before any
+  // delete. Only the newest `keep` backups of this database are kept (0 keeps all).
+  async backupDatabase(backupDir, keep = config.backupsToKeep ?? 10) {
+    await fs.mkdir(backupDir, { recursive: true });
+    const name = path.basename(this.dbPath, path.extname(this.dbPath));
+    const backupPath = path.join(backupDir, `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}.sqlite`);
+    await this.run(`VACUUM INTO ?`, [backupPath]);
+
+    if (keep > 0) {
+      // The timestamps in the names sort chronologically
+      const backups = (await fs.readdir(backupDir))
+        .filter(file => file.startsWith(`${name}-`) && /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.sqlite$/.test(file.slice(name.length + 1)))
+        .sort();
+      for (const file of backups.slice(0, -keep)) {
+        await fs.rm(path.join(backupDir, file), { force: true });
+      }
+    }
+    return backupPath;
+  }
+
+  // Delete items and their content rows in one transaction, after a backup.
+  // `merges` ([{ keepId, mergedIds }]) first folds the copy counts and first-copy
+  // times of mergedIds into the kept item, for duplicate consolidation.
+  async deleteItems(ids, { backupDir, merges = [] }) {
+    const backupPath = await this.backupDatabase(backupDir);
+
+    let deletedItems = 0;
+    let deletedContents = 0;
+    await this.run('BEGIN IMMEDIATE');
+    try {
+      for (const { keepId, mergedIds } of merges) {
+        const group = [keepId, ...mergedIds];
+        const placeholders = group.map(() => '?').join(', ');
+        await this.run(`
+          UPDATE ZHISTORYITEM
+          SET ZNUMBEROFCOPIES = (SELECT SUM(ZNUMBEROFCOPIES) FROM ZHISTORYITEM WHERE Z_PK IN (${placeholders})),
+              ZFIRSTCOPIEDAT = (SELECT MIN(ZFIRSTCOPIEDAT) FROM ZHISTORYITEM WHERE Z_PK IN (${placeholders}))
+          WHERE Z_PK = ?
+        `, [...group, ...group, keepId]);
+      }
+      // Stay well below SQLite's bound-parameter limit
+      for (let i = 0; i < ids.length; i += 500) {
+        const batch = ids.slice(i, i + 500);
+        const placeholders = batch.map(() => '?').join(', ');
+        deletedContents += await this.runChanges(`DELETE FROM ZHISTORYITEMCONTENT WHERE ZITEM IN (${placeholders})`, batch);
+        deletedItems += await this.runChanges(`DELETE FROM ZHISTORYITEM WHERE Z_PK IN (${placeholders})`, batch);
+      }
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+
+    return { backupPath, deletedItems, deletedContents };
+  }
+
+  // Run a statement and resolve with the number of rows it changed
+  runChanges(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        if (error) reject(error);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+
+  // Items for an export, newest first, in batches of `batchSize`. Only one batch of
+  // text is held at a time, and image blobs are read and written one by one, so
+  // memory use doesn't grow with the history. With `imageDir`, images are written
+  // there and listed in item.images; otherwise they appear as their size only.
+  // `tiffToPng` converts TIFF images before they are written.
+  async *exportBatches(dateRange = null, { application = null, contentType = null, pinned = null, imageDir = null, tiffToPng = null, batchSize = 100 } = {}) {
+    let position = null;
+
+    while (true) {
+      const query = await this.exportQuery(dateRange, { application, contentType, pinned, after: position });
+      const historyItems = await this.all(`
+        SELECT h.Z_PK as id, h.ZTITLE, h.ZAPPLICATION, h.ZFIRSTCOPIEDAT, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, h.ZPIN
+        FROM ZHISTORYITEM h
+        WHERE 1=1 ${query.sql}
+        ORDER BY h.ZLASTCOPIEDAT DESC, h.Z_PK DESC
+        LIMIT ?
+      `, [...query.params, batchSize]);
+      if (historyItems.length === 0) return;
+      const last = historyItems[historyItems.length - 1];
+      position = { lastCopiedAt: last.ZLASTCOPIEDAT, id: last.id };
+
+      // Image values are left out here and fetched individually below
+      const ids = historyItems.map(item => item.id);
+      const imageCondition = `ZTYPE IN (${IMAGE_TYPES.map(() => '?').join(', ')}) OR ZTYPE LIKE 'image/%'`;
+      const contentRows = await this.all(`
+        SELECT Z_PK as contentId, ZITEM, ZTYPE, LENGTH(ZVALUE) as size,
+               CASE WHEN ${imageCondition} THEN NULL ELSE ZVALUE END as ZVALUE
+        FROM ZHISTORYITEMCONTENT
+        WHERE ZITEM IN (${ids.map(() => '?').join(', ')}) AND ZVALUE IS NOT NULL
+        ORDER BY Z_PK
+      `, [...IMAGE_TYPES, ...ids]);
+
+      const items = new Map(historyItems.map(row => [row.id, {
+        id: row.id,
+        title: this.sanitizeText(row.ZTITLE),
+        application: row.ZAPPLICATION,
+        lastCopied: this.formatDate(this.convertTimestamp(row.ZLASTCOPIEDAT)),
+        // Exact timestamps, so import_history can restore them
+        firstCopiedAt: this.convertTimestamp(row.ZFIRSTCOPIEDAT ?? row.ZLASTCOPIEDAT).toISOString(),
+        lastCopiedAt: this.convertTimestamp(row.ZLASTCOPIEDAT).toISOString(),
+        copyCount: row.ZNUMBEROFCOPIES,
+        pinned: row.ZPIN !== null,
+        content: {}
+      }]));
+
+      for (const row of contentRows) {
+        const item = items.get(row.ZITEM);
+        if (!isImageType(row.ZTYPE)) {
+          item.content[row.ZTYPE] = this.sanitizeText(row.ZVALUE?.toString() || row.ZVALUE);
+          continue;
+        }
         // For binary data (images), include metadata but not raw data in export
-        if (row.ZTYPE === 'public.png' || row.ZTYPE === 'public.jpeg' || 
-            row.ZTYPE === 'public.tiff' || row.ZTYPE.startsWith('image/')) {
-          items[row.id].content[row.ZTYPE] = `[Binary data: ${row.ZVALUE.length} bytes]`;
-        } else {
-          items[row.id].content[row.ZTYPE] = this.sanitizeText(row.ZVALUE?.toString() || row.ZVALUE);
+        item.content[row.ZTYPE] = `[Binary data: ${row.size} bytes]`;
+        if (imageDir) {
+          item.images = item.images || [];
+          const image = await this.get(`SELECT ZVALUE FROM ZHISTORYITEMCONTENT WHERE Z_PK = ?`, [row.contentId]);
+          let data = image.ZVALUE;
+          let mimeType = imageMimeType(data) || mimeTypeForType(row.ZTYPE);
+          if (tiffToPng && mimeType === 'image/tiff') {
+            try {
+              data = tiffToPng(data);
+              mimeType = 'image/png';
+            } catch (error) {
+              // Unsupported TIFF variants are written as they are
+            }
+          }
+          const fileName = `${row.ZITEM}${item.images.length > 0 ? `-${item.images.length + 1}` : ''}.${imageExtension(mimeType)}`;
+          await fs.writeFile(path.join(imageDir, fileName), data);
+          item.images.push({ type: row.ZTYPE, file: `${path.basename(imageDir)}/${fileName}`, bytes: data.length });
         }
       }
+
+      yield [...items.values()];
     }
-    
-    const itemArray = Object.values(items);
-    let exportData;
-    
-    switch (format.toLowerCase()) {
-      case 'json':
-        exportData = JSON.stringify(itemArray, null, 2);
-        break;
-      case 'csv':
-        const csvHeader = 'ID,Title,Application,LastCopied,CopyCount,Pinned,Content\n';
-        const csvRows = itemArray.map(item => {
-          const content = item.content['public.utf8-plain-text'] || item.title || '';
-          const escapedContent = `"${content.replace(/"/g, '""')}"`;
-          return `${item.id},"${item.title}","${item.application}","${item.lastCopied}",${item.copyCount},${item.pinned},${escapedContent}`;
-        }).join('\n');
-        exportData = csvHeader + csvRows;
-        break;
-      case 'txt':
-        exportData = itemArray.map(item => {
-          const content = item.content['public.utf8-plain-text'] || item.title || '';
-          return `[${item.lastCopied}] ${item.application}\n${content}\n${'='.repeat(50)}`;
-        }).join('\n\n');
-        break;
-      default:
-        throw new Error(`Unsupported format: ${format}. Supported formats: json, csv, txt`);
+  }
+
+  // WHERE fragment for the items an export selects (see exportHistory's options)
+  async exportQuery(dateRange, { application = null, contentType = null, pinned = null, after = null } = {}) {
+    const filter = await this.buildFilterClause(dateRange, application, after);
+    let sql = filter.sql;
+    const params = [...filter.params];
+
+    if (contentType) {
+      sql += ` AND EXISTS (SELECT 1 FROM ZHISTORYITEMCONTENT tc WHERE tc.ZITEM = h.Z_PK AND tc.ZTYPE = ?)`;
+      params.push(contentType);
+    }
+    if (pinned !== null) {
+      sql += pinned ? ` AND h.ZPIN IS NOT NULL` : ` AND h.ZPIN IS NULL`;
     }
+    return { sql, params };
+  }
+
+  // Write the matching history to filePath in one of the formats in exporters.js.
+  // The file is streamed out batch by batch. options:
+  //   redactor      - masks secrets in every exported item
+  //   application   - only items from this bundle identifier
+  //   contentType   - only items storing this pasteboard type
+  //   pinned        - true for pinned items only, false for unpinned only
+  //   includeImages - write image blobs to a "<name>_images" directory next to
+  //                   the export and reference them from it
+  //   imageProcessor - converts TIFF images for formats shown in a browser
+  //   gzip          - compress the export (".gz" is appended to the file name)
+  //   onProgress    - awaited with (exported, total) after every batch
+  async exportHistory(filePath, format = 'json', dateRange = null, options = {}) {
+    const { redactor = null, application = null, contentType = null, pinned = null, includeImages = false, imageProcessor = null, gzip = false, onProgress = null } = options;
+    const exporter = getExporter(format);
+
+    // Validate file path
+    let resolvedPath = path.resolve(filePath);
+    if (gzip && !resolvedPath.endsWith('.gz')) resolvedPath += '.gz';
+    const dir = path.dirname(resolvedPath);
     
-    // Write to file
-    await fs.writeFile(resolvedPath, exportData, 'utf8');
+    try {
+      await fs.access(dir);
+    } catch (error) {
+      throw new Error(`Directory does not exist: ${dir}`);
+    }
+
+    const selection = { application, contentType, pinned };
+    const query = await this.exportQuery(dateRange, selection);
+    const { count: total } = await this.get(`SELECT COUNT(*) as count FROM ZHISTORYITEM h WHERE 1=1 ${query.sql}`, query.params);
+
+    // Images go to a sibling directory named after the export file
+    const baseName = path.basename(resolvedPath).replace(/\.gz$/, '');
+    const imageDir = includeImages ? path.join(dir, `${path.basename(baseName, path.extname(baseName))}_images`) : null;
+    if (imageDir) await fs.mkdir(imageDir, { recursive: true });
+
+    const meta = { exportedAt: this.formatDate(new Date()), itemCount: total, includeImages };
+    const tiffToPng = exporter.pngImages && imageProcessor ? buffer => imageProcessor.tiffToPng(buffer) : null;
+    const result = { itemCount: 0, redactedCount: 0, imageCount: 0, uncompressedSize: 0 };
+    const db = this;
+    async function* chunks() {
+      yield exporter.begin(meta);
+      for await (const batch of db.exportBatches(dateRange, { ...selection, imageDir, tiffToPng })) {
+        for (let item of batch) {
+          if (redactor) {
+            const { redactions, ...redacted } = redactor.redactItem(item);
+            item = redactions.length > 0 ? { ...redacted, redacted: redactions } : redacted;
+          }
+          if (item.redacted) result.redactedCount++;
+          result.imageCount += (item.images || []).length;
+          yield exporter.item(item, result.itemCount++, meta);
+        }
+        if (onProgress) await onProgress(result.itemCount, Math.max(total, result.itemCount));
+      }
+      meta.itemCount = result.itemCount;
+      yield exporter.end(meta);
+    }
+    async function* encode(source) {
+      for await (const chunk of source) {
+        const buffer = Buffer.from(chunk, 'utf8');
+        result.uncompressedSize += buffer.length;
+        yield buffer;
+      }
+    }
+
+    try {
+      await pipeline(chunks, encode, ...(gzip ? [zlib.createGzip()] : []), fsSync.createWriteStream(resolvedPath));
+    } catch (error) {
+      // Don't leave a truncated export behind
+      await fs.rm(resolvedPath, { force: true });
+      throw error;
+    }
     
     return {
       success: true,
       filePath: resolvedPath,
-      itemCount: itemArray.length,
-      fileSize: Buffer.byteLength(exportData, 'utf8')
+      itemCount: result.itemCount,
+      redactedCount: result.redactedCount,
+      imageCount: result.imageCount,
+      imageDir,
+      fileSize: (await fs.stat(resolvedPath)).size,
+      uncompressedSize: result.uncompressedSize
     };
   }
 
@@ -506,6 +1465,10 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {
+        subscribe: true,
+        listChanged: true,
+      },
     },
   },
 );
@@ -513,6 +1476,7 @@ const server = new Server(
 // Handle tool listing
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
+    // Each tool's structuredContent is described in output-schemas.js
     tools: [
       {
         name: "search_clipboard",
@@ -529,11 +1493,46 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Maximum number of results to return (default: 10)",
               default: 10,
             },
+            cursor: {
+              type: "string",
+              description: "Opaque next_cursor value from a previous response, to fetch the next page",
+            },
+            format: {
+              type: "string",
+              enum: ["text", "markdown"],
+              description: "How to show item content: 'text' (plain text) or 'markdown' (HTML and RTF converted to Markdown with links, lists, tables and code blocks) (default: text)",
+              default: "text",
+            },
             use_regex: {
               type: "boolean",
-              description: "Use regex pattern matching (default: false)",
+              description: "Treat query as a JavaScript regular expression matched against titles and all text content types (default: false)",
               default: false,
             },
+            regex_flags: {
+              type: "string",
+              description: "Regex flags when use_regex is true: i (case-insensitive), m (multiline), s (dot matches newline), u (unicode)",
+            },
+            context_chars: {
+              type: "number",
+              description: "Characters of surrounding context to show around each regex match (default: 40)",
+              default: 40,
+            },
+            fuzzy: {
+              type: "boolean",
+              description: "Typo-tolerant matching that ignores word order and accepts partial words; results carry a similarity score (default: false)",
+              default: false,
+            },
+            fuzzy_threshold: {
+              type: "number",
+              description: "Minimum similarity (0-1) for fuzzy results; lower is looser (default: 0.65)",
+              default: 0.65,
+            },
+            order_by: {
+              type: "string",
+              enum: ["date", "relevance"],
+              description: "Result ordering (default: date). 'relevance' runs a full-text query (words, \"exact phrases\", prefix*, AND/OR/NOT) and ranks by BM25 score with highlighted snippets",
+              default: "date",
+            },
             app_filter: {
               type: "string",
               description: "Filter by application bundle identifier",
@@ -546,6 +1545,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "ISO date string - only return items copied before this date",
             },
+            kind: KIND_PROPERTY,
+            image_mode: imageModeProperty("thumbnail"),
+            max_chars: MAX_CHARS_PROPERTY,
+            max_response_tokens: MAX_RESPONSE_TOKENS_PROPERTY,
+            source: SOURCE_PROPERTY,
           },
           required: ["query"],
         },
@@ -561,15 +1565,30 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Maximum number of items to return (default: 10)",
               default: 10,
             },
+            cursor: {
+              type: "string",
+              description: "Opaque next_cursor value from a previous response, to fetch the next page",
+            },
+            format: {
+              type: "string",
+              enum: ["text", "markdown"],
+              description: "How to show item content: 'text' (plain text) or 'markdown' (HTML and RTF converted to Markdown with links, lists, tables and code blocks) (default: text)",
+              default: "text",
+            },
             application: {
               type: "string",
               description: "Filter by application that copied the item",
             },
             exclude_images: {
               type: "boolean",
-              description: "Exclude images from the results (default: false)",
+              description: "Leave image representations out of the results entirely (default: false)",
               default: false,
             },
+            kind: KIND_PROPERTY,
+            image_mode: imageModeProperty("thumbnail"),
+            max_chars: MAX_CHARS_PROPERTY,
+            max_response_tokens: MAX_RESPONSE_TOKENS_PROPERTY,
+            source: SOURCE_PROPERTY,
           },
         },
       },
@@ -583,13 +1602,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "number",
               description: "ID of the clipboard item to copy",
             },
+            source: SOURCE_PROPERTY,
           },
           required: ["item_id"],
         },
       },
       {
         name: "pin_item",
-        description: "Pin a clipboard item for persistence",
+        description: `Pin a clipboard item the way Maccy does: under a single-letter shortcut key (one of ${MACCY_PIN_KEYS.join(', ')}), unique across the history. Without \`key\` the first free key is used; an item that is already pinned keeps its key. Give \`item_id\`, or \`query\` to pin the most recent item containing that text`,
         inputSchema: {
           type: "object",
           properties: {
@@ -597,8 +1617,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "number",
               description: "ID of the clipboard item to pin",
             },
+            query: {
+              type: "string",
+              description: "Pin the most recent item whose title or text contains this (instead of item_id)",
+            },
+            application: {
+              type: "string",
+              description: "With query: only match items from this application bundle identifier",
+            },
+            key: {
+              type: "string",
+              description: "Shortcut key to pin under; fails if another item already uses it (default: the first free key)",
+            },
           },
-          required: ["item_id"],
+        },
+      },
+      {
+        name: "list_pinned",
+        description: "List pinned clipboard items by shortcut key, with the keys still free. Pins whose key Maccy can't use (e.g. left by older versions of this server) are flagged; pin_item repairs them",
+        inputSchema: {
+          type: "object",
+          properties: {},
         },
       },
       {
@@ -615,6 +1654,150 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["item_id"],
         },
       },
+      {
+        name: "delete_items",
+        description: "Delete clipboard items from Maccy's history (e.g. a leaked secret), along with their copies in the archive. Without `confirm` this is a dry run that lists what would be deleted and returns a confirmation token; call again with that token to delete. The database is backed up before anything is deleted",
+        inputSchema: {
+          type: "object",
+          properties: {
+            item_ids: {
+              type: "array",
+              items: { type: "number" },
+              description: "IDs of the items to delete",
+            },
+            query: {
+              type: "string",
+              description: "Delete items whose title or plain text contains this text",
+            },
+            application: {
+              type: "string",
+              description: "Only items copied from this application bundle identifier",
+            },
+            content_type: {
+              type: "string",
+              description: "Only items that store this content type (e.g. public.png)",
+            },
+            since: {
+              type: "string",
+              description: "ISO date string - only items copied since this date",
+            },
+            until: {
+              type: "string",
+              description: "ISO date string - only items copied before this date",
+            },
+            include_pinned: {
+              type: "boolean",
+              description: "Also delete pinned items that match (default: false - pinned items are never touched)",
+              default: false,
+            },
+            keep_archived: {
+              type: "boolean",
+              description: "Only delete from Maccy and keep the items' copies in the archive (default: false)",
+              default: false,
+            },
+            confirm: {
+              type: "string",
+              description: "Confirmation token from a dry run of the same selection; performs the deletion",
+            },
+          },
+        },
+      },
+      {
+        name: "purge_history",
+        description: "Delete all clipboard history matching optional filters (age, application, content type), keeping pinned items, along with their copies in the archive. Without `confirm` this is a dry run that reports what would be deleted and returns a confirmation token; call again with that token to purge. The database is backed up first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            older_than_days: {
+              type: "number",
+              description: "Only items last copied more than this many days ago",
+            },
+            application: {
+              type: "string",
+              description: "Only items copied from this application bundle identifier",
+            },
+            content_type: {
+              type: "string",
+              description: "Only items that store this content type (e.g. public.tiff)",
+            },
+            since: {
+              type: "string",
+              description: "ISO date string - only items copied since this date",
+            },
+            until: {
+              type: "string",
+              description: "ISO date string - only items copied before this date",
+            },
+            include_pinned: {
+              type: "boolean",
+              description: "Also delete pinned items (default: false - pinned items are never touched)",
+              default: false,
+            },
+            keep_archived: {
+              type: "boolean",
+              description: "Only delete from Maccy and keep the items' copies in the archive (default: false)",
+              default: false,
+            },
+            confirm: {
+              type: "string",
+              description: "Confirmation token from a dry run of the same filters; performs the purge",
+            },
+          },
+        },
+      },
+      {
+        name: "find_duplicates",
+        description: "Find clipboard items copied more than once: exact duplicates (same content ignoring whitespace) and near-duplicates (small edits) above a similarity threshold. Optionally consolidate each cluster into one entry, keeping the pinned or most recent item and adding up copy counts",
+        inputSchema: {
+          type: "object",
+          properties: {
+            threshold: {
+              type: "number",
+              description: "Minimum similarity (0-1) for near-duplicates; 1 finds exact duplicates only (default: 0.9)",
+              default: 0.9,
+            },
+            application: {
+              type: "string",
+              description: "Only look at items from this application bundle identifier",
+            },
+            since: {
+              type: "string",
+              description: "ISO date string - only items copied since this date",
+            },
+            until: {
+              type: "string",
+              description: "ISO date string - only items copied before this date",
+            },
+            scan_limit: {
+              type: "number",
+              description: `How many of the newest items to compare (default: 500, at most ${MAX_DUPLICATE_SCAN})`,
+              default: 500,
+              minimum: 1,
+              maximum: MAX_DUPLICATE_SCAN,
+            },
+            consolidate: {
+              type: "boolean",
+              description: "Merge each cluster into one item and delete the others. Without `confirm` this only previews the plan and returns a confirmation token (default: false)",
+              default: false,
+            },
+            keep: {
+              type: "string",
+              enum: ["pinned", "recent"],
+              description: "Which item of a cluster to keep when consolidating: the pinned one if any, or the most recent (default: pinned). Pinned items are never deleted",
+              default: "pinned",
+            },
+            keep_archived: {
+              type: "boolean",
+              description: "When consolidating, keep the archive's copies of the deleted items (default: false)",
+              default: false,
+            },
+            confirm: {
+              type: "string",
+              description: "Confirmation token from a consolidation preview; performs the consolidation (the database is backed up first)",
+            },
+          },
+        },
+      },
       {
         name: "export_history",
         description: "Export clipboard history to a local file",
@@ -627,8 +1810,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             format: {
               type: "string",
-              enum: ["json", "csv", "txt"],
-              description: "Export format (default: json)",
+              enum: Object.keys(EXPORT_FORMATS),
+              description: "Export format (default: json). 'ndjson' writes one JSON object per line, 'csv' follows RFC 4180, 'markdown' writes a Markdown document with HTML and RTF content converted to Markdown, 'html' writes a self-contained HTML report",
               default: "json",
             },
             since: {
@@ -639,18 +1822,199 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "ISO date string - only export items before this date",
             },
+            application: {
+              type: "string",
+              description: "Only export items from this application bundle identifier",
+            },
+            content_type: {
+              type: "string",
+              description: "Only export items storing this pasteboard type (e.g. public.png, public.html)",
+            },
+            pinned: {
+              type: "boolean",
+              description: "true exports only pinned items, false only unpinned items (default: both)",
+            },
+            include_images: {
+              type: "boolean",
+              description: "Write image data to a '<file name>_images' directory next to the export and reference the files from it (default: false, images are listed by size only)",
+              default: false,
+            },
+            gzip: {
+              type: "boolean",
+              description: "Compress the export with gzip; '.gz' is appended to the file name (default: false)",
+              default: false,
+            },
+            source: SOURCE_PROPERTY,
           },
           required: ["file_path"],
         },
       },
       {
         name: "get_clipboard_stats",
-        description: "Get clipboard usage statistics",
+        description: "Get clipboard usage statistics: totals, pinned counts, top applications with storage size, breakdown by content type, kind (URL, e-mail, JSON, code, image…) and code language, most re-copied items and per-day/per-hour histograms. Returns a readable report, with the same data as structured content",
+        inputSchema: {
+          type: "object",
+          properties: {
+            application: {
+              type: "string",
+              description: "Only count items from this application bundle identifier",
+            },
+            since: {
+              type: "string",
+              description: "ISO date string - only items copied since this date",
+            },
+            until: {
+              type: "string",
+              description: "ISO date string - only items copied before this date",
+            },
+            top: {
+              type: "number",
+              description: "Length of the ranked lists (applications, storage, most re-copied items) (default: 10, max: 100)",
+              default: 10,
+            },
+            source: SOURCE_PROPERTY,
+          },
+        },
+      },
+      {
+        name: "extract_links",
+        description: "List the links found in copied text, HTML and URLs, e.g. to answer \"what was that link I copied last week?\". URLs are normalized and deduplicated, tracking parameters (utm_*, fbclid, gclid…) are removed, and links are grouped by domain with their first and last copy time and the IDs of the items they came from",
+        inputSchema: {
+          type: "object",
+          properties: {
+            application: {
+              type: "string",
+              description: "Only look at items from this application bundle identifier",
+            },
+            since: {
+              type: "string",
+              description: "ISO date string - only items copied since this date",
+            },
+            until: {
+              type: "string",
+              description: "ISO date string - only items copied before this date",
+            },
+            domain: {
+              type: "string",
+              description: "Only links to this domain or its subdomains, e.g. github.com",
+            },
+            limit: {
+              type: "number",
+              description: "Most links to list, most recently copied first (default: 100, max: 1000)",
+              default: 100,
+            },
+            source: SOURCE_PROPERTY,
+          },
+        },
+      },
+      {
+        name: "get_privacy_rules",
+        description: "Show the privacy rules that hide clipboard items from every tool (applications, content types, time windows, patterns) and how many items they currently hide",
         inputSchema: {
           type: "object",
           properties: {},
         },
       },
+      {
+        name: "sync_archive",
+        description: "Copy new clipboard items (with all their content types, original timestamps and applications) from Maccy into the server's long-term archive, so they stay searchable after Maccy drops them. Read tools then accept source: \"archive\" or \"both\"",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "import_history",
+        description: "Import a JSON or NDJSON file written by export_history (optionally gzipped, with images from an include_images export) into the long-term archive or a fixture database. Items already stored are skipped by content; items whose content is stored with different metadata are reported as conflicts",
+        inputSchema: {
+          type: "object",
+          properties: {
+            file_path: {
+              type: "string",
+              description: "Export file to import (e.g., ~/Desktop/clipboard_export.json)",
+            },
+            db_path: {
+              type: "string",
+              description: "Maccy-schema database to import into instead of the archive, e.g. a fixture database; created if missing. Maccy's own database is refused",
+            },
+            on_conflict: {
+              type: "string",
+              enum: ["skip", "keep_both"],
+              description: "What to do with an item whose content is already stored with a different application or first-copy time: keep only the stored one (skip) or import it as well (keep_both) (default: skip)",
+              default: "skip",
+            },
+          },
+          required: ["file_path"],
+        },
+      },
+      {
+        name: "wait_for_next_copy",
+        description: "Wait until the user copies something new, then return that clipboard item. Use it for 'copy it and I'll pick it up' workflows",
+        inputSchema: {
+          type: "object",
+          properties: {
+            timeout_seconds: {
+              type: "number",
+              description: "How long to wait before giving up (default: 60, max: 600)",
+              default: 60,
+            },
+            application: {
+              type: "string",
+              description: "Only react to copies from this application bundle identifier",
+            },
+            include_images: {
+              type: "boolean",
+              description: "Include image content in the result (default: true); false is the same as image_mode 'none'",
+              default: true,
+            },
+            kind: KIND_PROPERTY,
+            image_mode: imageModeProperty("thumbnail"),
+            max_chars: MAX_CHARS_PROPERTY,
+            max_response_tokens: MAX_RESPONSE_TOKENS_PROPERTY,
+          },
+        },
+      },
+      {
+        name: "get_item",
+        description: "Get every stored representation of a single clipboard item (plain text, HTML, RTF, file URLs, source URL, images and custom types), each with its byte size",
+        inputSchema: {
+          type: "object",
+          properties: {
+            item_id: {
+              type: "number",
+              description: "ID of the clipboard item",
+            },
+            types: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only return these content types (e.g. [\"public.html\", \"public.rtf\"]); default: all",
+            },
+            include_images: {
+              type: "boolean",
+              description: "Include image representations as image content (default: true); false is the same as image_mode 'none'",
+              default: true,
+            },
+            reveal_secrets: {
+              type: "boolean",
+              description: "Show this item's content without masking detected secrets (API keys, tokens, private keys, card numbers). Only set this when the user explicitly asks for the secret (default: false)",
+              default: false,
+            },
+            image_mode: imageModeProperty("full"),
+            offset: {
+              type: "number",
+              description: "Start of the text to return from each text representation, in characters (as given by a truncation marker) (default: 0)",
+              default: 0,
+            },
+            length: {
+              type: "number",
+              description: "Number of characters to return from each text representation, starting at offset (default: the rest of the text)",
+            },
+            max_response_tokens: MAX_RESPONSE_TOKENS_PROPERTY,
+            source: SOURCE_PROPERTY,
+          },
+          required: ["item_id"],
+        },
+      },
       {
         name: "get_items_by_app",
         description: "Get clipboard items from specific application",
@@ -666,110 +2030,668 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Maximum number of items to return (default: 10)",
               default: 10,
             },
+            cursor: {
+              type: "string",
+              description: "Opaque next_cursor value from a previous response, to fetch the next page",
+            },
+            format: {
+              type: "string",
+              enum: ["text", "markdown"],
+              description: "How to show item content: 'text' (plain text) or 'markdown' (HTML and RTF converted to Markdown with links, lists, tables and code blocks) (default: text)",
+              default: "text",
+            },
+            kind: KIND_PROPERTY,
+            image_mode: imageModeProperty("none"),
+            max_chars: MAX_CHARS_PROPERTY,
+            max_response_tokens: MAX_RESPONSE_TOKENS_PROPERTY,
+            source: SOURCE_PROPERTY,
           },
           required: ["application"],
         },
       },
-    ],
+    ].map(tool => ({ ...tool, outputSchema: OUTPUT_SCHEMAS[tool.name] })),
+  };
+});
+
+// Background archiving ("archive": { "background": true } in the config file):
+// the archive is synced at startup and shortly after Maccy's history changes
+let archiveSyncTimer = null;
+function scheduleArchiveSync(delayMs = config.archive?.syncDelayMs ?? 2000) {
+  clearTimeout(archiveSyncTimer);
+  archiveSyncTimer = setTimeout(async () => {
+    try {
+      const result = await syncArchive();
+      logToFile('debug', 'Background archive sync finished', result);
+    } catch (error) {
+      logToFile('warn', 'Background archive sync failed', { error: error.message });
+    }
+  }, delayMs);
+  archiveSyncTimer.unref();
+}
+
+// Background watcher that notices when Maccy writes new, updated or deleted items
+const watcher = new HistoryWatcher({
+  dbPath: config.dbPath,
+  openDb: () => new ClipboardDB(true),
+  intervalMs: config.watchIntervalMs ?? 1000,
+  log: logToFile
+});
+
+// Resource URIs clients subscribed to via resources/subscribe
+const resourceSubscriptions = new Set();
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  parseResourceUri(request.params.uri);
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+// Turn history changes into resource list-changed/updated notifications
+watcher.on('change', async (change) => {
+  logToFile('debug', 'Clipboard history changed', change);
+  const changedIds = new Set([...change.added, ...change.updated, ...change.removed]);
+
+  try {
+    await server.sendResourceListChanged();
+    for (const uri of resourceSubscriptions) {
+      const target = parseResourceUri(uri);
+      // Pin keys can move between items, so any change may affect a pinned URI
+      if (target.kind === 'pinned' || changedIds.has(target.id)) {
+        await server.sendResourceUpdated({ uri });
+      }
+    }
+  } catch (error) {
+    logToFile('warn', 'Failed to send change notifications', { error: error.message });
+  }
+
+  if (config.archive?.background && (change.added.length > 0 || change.updated.length > 0)) {
+    scheduleArchiveSync();
+  }
+});
+
+// Items per resources/list page
+const RESOURCE_PAGE_SIZE = 50;
+
+// Resource names are built from titles, which can contain secrets too
+function redactRow(row) {
+  return { ...row, ZTITLE: getRedactor().redactText(row.ZTITLE).text };
+}
+
+// Handle resource listing: pinned items first, then history newest first, paginated
+server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+  const db = new ClipboardDB(true);
+  const formatTimestamp = timestamp => db.formatDate(db.convertTimestamp(timestamp));
+
+  try {
+    const cursor = request.params?.cursor;
+    const resources = [];
+
+    if (!cursor) {
+      for (const row of await db.getPinnedRows()) {
+        resources.push(describeItem(redactRow(row), pinnedUri(row.ZPIN), formatTimestamp));
+      }
+    }
+
+    const { rows, nextCursor } = await db.listItemRows(RESOURCE_PAGE_SIZE, cursor);
+    for (const row of rows) {
+      resources.push(describeItem(redactRow(row), itemUri(row.id), formatTimestamp));
+    }
+
+    return nextCursor ? { resources, nextCursor } : { resources };
+  } catch (error) {
+    logToFile('error', 'Resource listing failed', { error: error.message });
+    throw error;
+  } finally {
+    db?.close();
+  }
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+});
+
+// Handle resource reads for maccy://item/{id}[/{uti}] and maccy://pinned/{pin}
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const db = new ClipboardDB(true);
+
+  try {
+    const target = parseResourceUri(uri);
+    const item = target.kind === 'pinned' ? await db.getItemByPin(target.pin) : await db.getItemById(target.id);
+    if (!item) {
+      throw new Error(target.kind === 'pinned' ? `No item pinned as "${target.pin}"` : `Item with ID ${target.id} not found`);
+    }
+
+    return { contents: readItemContent(getRedactor().redactItem(item), uri, target.type) };
+  } catch (error) {
+    logToFile('error', `Resource read failed: ${uri}`, { error: error.message });
+    throw error;
+  } finally {
+    db?.close();
+  }
+});
+
+// Order in which an item's image representations are tried for display
+const IMAGE_PREFERENCE = ['public.png', 'public.jpeg', 'public.tiff'];
+
+// The first of an item's images that can be prepared for `imageMode`:
+// { type, prepared } or, when none can, { type, error } for the first one
+function prepareItemImage(contentByType, imageMode) {
+  const rank = type => (IMAGE_PREFERENCE.includes(type) ? IMAGE_PREFERENCE.indexOf(type) : IMAGE_PREFERENCE.length);
+  const candidates = Object.entries(contentByType)
+    .filter(([type, value]) => isImageType(type) && Buffer.isBuffer(value))
+    .sort(([a], [b]) => rank(a) - rank(b));
+  let failure = null;
+  for (const [type, value] of candidates) {
+    try {
+      return { type, prepared: getImageProcessor().prepare(value, imageMode) };
+    } catch (error) {
+      logToFile('debug', `Image ${type} could not be prepared`, { error: error.message });
+      failure = failure || { type, error: error.message };
+    }
+  }
+  return failure;
+}
+
+// Line put in place of the middle of a long text. With the representation's
+// type the omitted range can be read back with get_item's offset and length.
+function omissionMarker(itemId, omitted, type = null) {
+  return type
+    ? `[… ${omitted.length} characters omitted; get_item with item_id ${itemId}, types ["${type}"], offset ${omitted.offset}, length ${omitted.length} returns them …]`
+    : `[… ${omitted.length} characters omitted; get_item with item_id ${itemId} returns the full content …]`;
+}
+
+// Bytes stored for an item's content values
+function contentBytes(contentByType) {
+  return Object.values(contentByType || {}).reduce((sum, value) =>
+    sum + (Buffer.isBuffer(value) ? value.length : Buffer.byteLength(String(value ?? ''), 'utf8')), 0);
+}
+
+// What an item is (see content-kinds.js), judged from its unredacted content the
+// same way ClipboardDB.classifyItem does for the kind filter
+function classifyItemContent(contentByType) {
+  const content = contentByType && typeof contentByType === 'object' ? contentByType : {};
+  const textType = PLAIN_TEXT_TYPES.find(type => content[type]);
+  return classifyContent(Object.keys(content), decodeText(textType ? content[textType] : null));
+}
+
+// " 📌 Pinned (key b)" after an item's copy count; ZPIN values Maccy can't use as
+// a shortcut (see pins.js) are called out so pin_item can repair them
+function pinLabel(item) {
+  if (!item.pinned) return '';
+  if (item.pinKey === undefined) return ' 📌 Pinned';
+  return isValidPinKey(item.pinKey) ? ` 📌 Pinned (key ${item.pinKey})` : ' 📌 Pinned (invalid key; pin_item assigns a valid one)';
+}
+
+// Structured description of a prepared image (the data itself goes in the image content part)
+function imageRecord(type, prepared) {
+  return {
+    type,
+    mimeType: prepared.mimeType,
+    width: prepared.width ?? null,
+    height: prepared.height ?? null,
+    bytes: prepared.data.length,
+    converted: prepared.converted,
+    original: prepared.original,
+  };
+}
+
+// Helper function to format clipboard items with image support. imageMode is
+// one of IMAGE_MODES; an item's image representations are usually the same
+// picture in several formats, so only the first one that can be shown is sent.
+// Text longer than maxChars keeps its beginning and end around an omission marker.
+// Returns { content, record }: the content parts and the item's structuredContent entry.
+function formatClipboardItem(item, imageMode = 'none', format = 'text', maxChars = Infinity) {
+  try {
+    logToFile('debug', `Formatting clipboard item ${item.id}`, {
+      itemId: item.id,
+      imageMode,
+      format,
+      contentKeys: item.content ? Object.keys(item.content) : [],
+      hasTitle: !!item.title
+    });
+    const size = contentBytes(item.content);
+    const classification = classifyItemContent(item.content);
+    item = getRedactor().redactItem(item);
+    const content = [];
+    // Add text description
+    const textType = item.content && typeof item.content === 'object'
+      ? PLAIN_TEXT_TYPES.find(type => item.content[type]) : null;
+    let textContent = (item.content && typeof item.content === 'object' ?
+      item.content[textType] || item.title :
+      item.content) || item.title;
+    // Maccy usually stores text as a BLOB
+    if (Buffer.isBuffer(textContent)) textContent = decodeText(textContent);
+    // Only rich text needs converting; plain text is already valid Markdown
+    let markdown = format === 'markdown' && item.content && typeof item.content === 'object' &&
+      (item.content['public.html'] || item.content['public.rtf']) ? contentToMarkdown(item.content) : null;
+    // Offsets into converted Markdown don't match any stored text, so its marker has no range
+    let omitted = null;
+    if (markdown) {
+      ({ text: markdown, omitted } = truncateMiddle(markdown, maxChars, range => omissionMarker(item.id, range)));
+      if (omitted) omitted.type = null;
+    } else if (typeof textContent === 'string') {
+      ({ text: textContent, omitted } = truncateMiddle(textContent, maxChars, range => omissionMarker(item.id, range, textType)));
+      if (omitted) omitted.type = textType || null;
+    }
+
+    // Count different content types
+    const contentTypes = item.content && typeof item.content === 'object' ? Object.keys(item.content) : [];
+    const hasImages = contentTypes.some(isImageType);
+    const image = hasImages && imageMode !== 'none' ? prepareItemImage(item.content, imageMode) : null;
+    // Fuzzy matches: show which query words were matched to a different word
+    const corrections = (item.matchedTerms || [])
+      .filter(term => term.matched && term.matched !== term.query)
+      .map(term => `${term.query} → ${term.matched}`);
+    content.push({
+      type: "text",
+      text: `📋 **${item.application}** (${item.lastCopied}) [ID: ${item.id}]\n` +
+            (markdown ? `   Content (Markdown):\n\n${markdown}\n\n` : `   Content: ${textContent}\n`) +
+            `   Content Types: ${contentTypes.join(', ')}\n` +
+            `   🏷️ Tags: ${describeKinds(classification)}\n` +
+            `   Copied ${item.copyCount} times${pinLabel(item)}${hasImages ? ' 🖼️ Has Images' : ''}\n` +
+            (typeof item.similarity === 'number' ?
+              `   Similarity: ${item.similarity}${corrections.length > 0 ? ` (${corrections.join(', ')})` : ''}\n` : '') +
+            (typeof item.score === 'number' ? `   Relevance: ${item.score}${item.snippet ? ` — ${item.snippet}` : ''}\n` : '') +
+            (item.matches && item.matches.length > 0 ?
+              `   Matches (${item.matchCount}):\n` +
+              item.matches.map(match => `     • ${match.field} [${match.start}-${match.end}]: ${match.context}\n`).join('') :
+              '') +
+            (item.redactions?.length > 0 ?
+              `   🔒 Redacted: ${describeRedactions(item.redactions)} (get_item with reveal_secrets: true shows the original)\n` : '') +
+            (image?.prepared ? `   🖼️ Image (${image.type}): ${getImageProcessor().describe(image.prepared)}\n` : '') +
+            (image?.error ? `   🖼️ Image (${image.type}) not shown: ${image.error}\n` : '')
+    });
+    if (image?.prepared) {
+      content.push({ type: "image", data: image.prepared.data.toString('base64'), mimeType: image.prepared.mimeType });
+    }
+
+    const record = {
+      id: item.id,
+      application: item.application ?? null,
+      title: item.title ?? null,
+      lastCopiedAt: item.lastCopiedAt,
+      copyCount: item.copyCount,
+      pinned: item.pinned,
+      pinKey: item.pinKey ?? null,
+      contentTypes,
+      ...classification,
+      size,
+      text: typeof (markdown || textContent) === 'string' ? markdown || textContent : null,
+      format: markdown ? 'markdown' : 'text',
+      omitted,
+    };
+    if (image) record.image = image.prepared ? imageRecord(image.type, image.prepared) : { type: image.type, error: image.error };
+    if (item.redactions?.length > 0) record.redactions = item.redactions;
+    for (const key of ['score', 'snippet', 'similarity', 'matchedTerms', 'matchCount', 'matches']) {
+      if (item[key] !== undefined) record[key] = item[key];
+    }
+
+    logToFile('debug', `Clipboard item formatted successfully`, {
+      itemId: item.id,
+      contentParts: content.length,
+      hasImages: content.some(c => c.type === 'image')
+    });
+    return { content, record };
+  } catch (error) {
+    logToFile('error', `Error formatting clipboard item ${item.id}`, {
+      itemId: item.id,
+      error: error.message,
+      stack: error.stack
+    });
+    // Return a safe fallback
+    return {
+      content: [{
+        type: "text",
+        text: `⚠️ Error formatting item ${item.id}: ${error.message}\n`
+      }],
+      record: { id: item.id, error: error.message }
+    };
+  }
+}
+
+// Room kept for the marker that ends a cut-off representation
+const CONTINUATION_MARKER_BYTES = 512;
+
+// Format the output of get_item: a header plus one block per representation.
+// `range` ({ offset, length }) selects part of each text representation;
+// representations beyond maxBytes are cut off or skipped with a note saying
+// how to fetch them. Returns { content, structured } where structured is the
+// item's structuredContent; both share the budget.
+function formatItemRepresentations(item, imageMode = 'full', revealSecrets = false, { range = null, maxBytes = Infinity } = {}) {
+  if (!revealSecrets) item = getRedactor().redactItem(item);
+  const content = [{
+    type: "text",
+    text: `📋 **${item.application}** (${item.lastCopied}) [ID: ${item.id}]\n` +
+          `   Title: ${item.title}\n` +
+          `   Copied ${item.copyCount} times${pinLabel(item)}\n` +
+          `   Stored types: ${item.availableTypes.join(', ') || 'none'}\n` +
+          (item.classification ? `   🏷️ Tags: ${describeKinds(item.classification)}\n` : '') +
+          (item.redactions?.length > 0 ?
+            `   🔒 Redacted: ${describeRedactions(item.redactions)} (pass reveal_secrets: true to show the original)\n` : '')
+  }];
+  const representations = [];
+
+  const budget = new ResponseBudget(maxBytes, content);
+  for (const representation of item.representations) {
+    let header = `\n🔹 **${representation.type}** — ${representation.size} bytes`;
+    const record = { type: representation.type, size: representation.size, kind: representation.kind };
+    switch (representation.kind) {
+      case 'text': {
+        const text = representation.value;
+        const start = Math.min(range?.offset ?? 0, text.length);
+        const end = range?.length !== undefined ? Math.min(start + range.length, text.length) : text.length;
+        if (range) header += `, characters ${start}–${end} of ${text.length}`;
+        // The text is sent twice, in the content part and in the record
+        const available = budget.remaining - contentSize({ type: "text", text: `${header}\n\n` }) - CONTINUATION_MARKER_BYTES;
+        const shown = fittingLength(text.slice(start, end), Math.floor(available / 2));
+        const nextOffset = start + shown < end ? start + shown : null;
+        Object.assign(record, { length: text.length, start, end: start + shown, nextOffset, text: text.slice(start, start + shown) });
+        if (shown === 0 && start < end) {
+          budget.add(content, [{
+            type: "text",
+            text: `${header}\n[not shown: response budget reached; get_item with item_id ${item.id}, types ["${representation.type}"], offset ${start} and a larger max_response_tokens returns it]\n`
+          }]);
+        } else if (nextOffset !== null) {
+          budget.add(content, [{
+            type: "text",
+            text: `${header}\n${record.text}\n[… response budget reached after ${shown} characters; continue with get_item item_id ${item.id}, types ["${representation.type}"], offset ${nextOffset} …]\n`
+          }]);
+        } else {
+          budget.add(content, [{ type: "text", text: `${header}\n${record.text}\n` }]);
+        }
+        break;
+      }
+      case 'image': {
+        record.mimeType = imageMimeType(representation.value);
+        if (imageMode === 'none') {
+          budget.add(content, [{ type: "text", text: `${header} (${record.mimeType || 'unrecognized image data'})\n` }]);
+          break;
+        }
+        try {
+          const prepared = getImageProcessor().prepare(representation.value, imageMode);
+          const parts = [
+            { type: "text", text: `${header} (${getImageProcessor().describe(prepared)})\n` },
+            { type: "image", data: prepared.data.toString('base64'), mimeType: prepared.mimeType },
+          ];
+          if (budget.fits(parts)) {
+            budget.add(content, parts);
+            record.image = imageRecord(representation.type, prepared);
+          } else {
+            const error = `${formatBytes(prepared.data.length)} is more than the response budget has left`;
+            budget.add(content, [{
+              type: "text",
+              text: `${header} (image not shown: ${error}; use image_mode 'thumbnail', fewer types or a larger max_response_tokens)\n`
+            }]);
+            record.image = { type: representation.type, error };
+          }
+        } catch (error) {
+          budget.add(content, [{ type: "text", text: `${header} (image not shown: ${error.message})\n` }]);
+          record.image = { type: representation.type, error: error.message };
+        }
+        break;
+      }
+      case 'binary':
+        record.firstBytes = representation.value.subarray(0, 32).toString('hex');
+        budget.add(content, [{
+          type: "text",
+          text: `${header} (binary, first bytes: ${record.firstBytes})\n`
+        }]);
+        break;
+      default:
+        budget.add(content, [{ type: "text", text: `${header} (empty)\n` }]);
+    }
+    budget.count([record]);
+    representations.push(record);
+  }
+
+  return {
+    content,
+    structured: {
+      id: item.id,
+      application: item.application ?? null,
+      title: item.title ?? null,
+      lastCopiedAt: item.lastCopiedAt,
+      copyCount: item.copyCount,
+      pinned: item.pinned,
+      pinKey: item.pinKey ?? null,
+      availableTypes: item.availableTypes,
+      ...item.classification,
+      redactions: item.redactions || [],
+      representations
+    }
   };
-});
+}
 
-// Helper function to format clipboard items with image support
-function formatClipboardItem(item, includeImages = false) {
-  try {
-    logToFile('debug', `Formatting clipboard item ${item.id}`, {
-      itemId: item.id,
-      includeImages,
-      contentKeys: item.content ? Object.keys(item.content) : [],
-      hasTitle: !!item.title
-    });
-    const content = [];
-    // Add text description
-    const textContent = (item.content && typeof item.content === 'object' ?
-      item.content['public.utf8-plain-text'] || item.content['public.text'] || item.title :
-      item.content) || item.title;
+// Token tying a delete/purge confirmation to the exact set of items its dry run selected
+function deletionToken(toolName, ids) {
+  return crypto.createHash('sha256').update(`${toolName}:${[...ids].sort((a, b) => a - b).join(',')}`).digest('hex').slice(0, 12);
+}
 
-    // Count different content types
-    const contentTypes = item.content && typeof item.content === 'object' ? Object.keys(item.content) : [];
-    const hasImages = contentTypes.some(type =>
-      type === 'public.png' || type === 'public.jpeg' || type === 'public.tiff' ||
-      type.startsWith('image/') || type === 'com.apple.NSImage'
-    );
+// Dry-run listing for delete_items / purge_history, capped at 50 lines
+function formatDeletionPreview(rows, db) {
+  const lines = rows.slice(0, 50).map(row => {
+    const title = getRedactor().redactText(db.sanitizeText(row.ZTITLE).replace(/\s+/g, ' ').trim()).text;
+    return `• [ID: ${row.id}] ${row.ZAPPLICATION || 'unknown application'} (${db.formatDate(db.convertTimestamp(row.ZLASTCOPIEDAT))}) ` +
+           `${title.length > 80 ? `${title.slice(0, 77)}...` : title}`;
+  });
+  if (rows.length > 50) lines.push(`…and ${rows.length - 50} more`);
+  return lines.join('\n') + '\n';
+}
+
+// Structured entry for a raw ZHISTORYITEM row, with the title masked like the text
+function rowRecord(row, db) {
+  return {
+    id: row.id,
+    application: row.ZAPPLICATION ?? null,
+    title: getRedactor().redactText(db.sanitizeText(row.ZTITLE)).text,
+    lastCopiedAt: db.isoDate(row.ZLASTCOPIEDAT),
+    ...(row.ZNUMBEROFCOPIES !== undefined ? { copyCount: row.ZNUMBEROFCOPIES } : {}),
+    pinned: row.ZPIN !== null,
+  };
+}
+
+// One find_duplicates cluster; with a consolidation plan, marks what is kept and deleted
+function formatDuplicateCluster(cluster, db, plan = null) {
+  const copies = cluster.items.reduce((sum, item) => sum + (item.ZNUMBEROFCOPIES || 0), 0);
+  const header = cluster.kind === 'exact'
+    ? `🔁 **Exact duplicates** (${cluster.items.length} items, ${copies} copies)`
+    : `≈ **Near duplicates** (${cluster.items.length} items, ${copies} copies, similarity ≥ ${cluster.similarity})`;
+
+  const lines = cluster.items.map(item => {
+    const title = getRedactor().redactText(db.sanitizeText(item.ZTITLE).replace(/\s+/g, ' ').trim()).text;
+    const action = !plan ? '' : item === plan.keep ? ' ✅ keep' : plan.remove.includes(item) ? ' 🗑️ delete' : ' 📌 pinned, kept';
+    return `   • [ID: ${item.id}] ${item.ZAPPLICATION || 'unknown application'} (${db.formatDate(db.convertTimestamp(item.ZLASTCOPIEDAT))}) ` +
+           `× ${item.ZNUMBEROFCOPIES}${item.ZPIN !== null ? ' 📌' : ''}${action} — ${title.length > 60 ? `${title.slice(0, 57)}...` : title}`;
+  });
+  return `${header}\n${lines.join('\n')}\n`;
+}
+
+// Human-readable byte count (B, KB, MB, GB)
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Text bar scaled against the largest value in a histogram
+function formatBar(count, max, width = 20) {
+  return '█'.repeat(max > 0 ? Math.round((count / max) * width) : 0) || (count > 0 ? '▏' : '');
+}
+
+// Text report for extract_links: one section per domain
+function formatLinks(domains, { scanned, itemsWithLinks, total, filters }, db) {
+  const shown = domains.reduce((sum, group) => sum + group.links.length, 0);
+  const lines = [`🔗 **Links**${filters.length > 0 ? ` (${filters.join(', ')})` : ''}\n`];
+  if (total === 0) {
+    lines.push(`No links found in ${scanned} items.`);
+    return lines.join('\n');
+  }
+  lines.push(`${total} unique ${total === 1 ? 'link' : 'links'} from ${itemsWithLinks} of ${scanned} items` +
+             (shown < total ? `; showing the ${shown} most recently copied` : ''));
+
+  const date = iso => db.formatDate(new Date(iso));
+  for (const group of domains) {
+    lines.push(`\n**${group.domain}** (${group.links.length})`);
+    for (const link of group.links) {
+      const copied = link.firstCopiedAt === link.lastCopiedAt
+        ? `copied ${date(link.lastCopiedAt)}`
+        : `first copied ${date(link.firstCopiedAt)}, last ${date(link.lastCopiedAt)}`;
+      lines.push(`• ${link.url}\n  ${copied} — ${link.itemIds.length === 1 ? 'item' : 'items'} ${link.itemIds.join(', ')}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Text report for get_clipboard_stats; the per-day histogram shows the last 31 days with copies
+function formatStatistics(stats, filters) {
+  const lines = [`📊 **Clipboard Statistics**${filters.length > 0 ? ` (${filters.join(', ')})` : ''}\n`];
+  lines.push(`Total Items: ${stats.totalItems} (${stats.totalCopies} copies, ${stats.pinnedItems} pinned)`);
+  lines.push(`Date Range: ${stats.oldestItem} → ${stats.newestItem}`);
+  if (stats.totalItems === 0) return lines.join('\n');
+
+  lines.push(`\n**Top Applications:**`);
+  for (const app of stats.topApplications) {
+    lines.push(`• ${app.application || 'unknown application'}: ${app.itemCount} items, ${app.copyCount} copies` +
+               (app.pinnedCount > 0 ? `, ${app.pinnedCount} pinned` : ''));
+  }
+
+  lines.push(`\n**Storage by Application:**`);
+  for (const app of stats.storageByApplication) {
+    lines.push(`• ${app.application || 'unknown application'}: ${formatBytes(app.bytes)}`);
+  }
+
+  lines.push(`\n**Kinds:**`);
+  for (const [kind, count] of Object.entries(stats.kinds)) {
+    if (count > 0) lines.push(`• ${kind}: ${count}`);
+  }
+
+  if (Object.keys(stats.languages).length > 0) {
+    lines.push(`\n**Code Languages:**`);
+    for (const [language, count] of Object.entries(stats.languages)) lines.push(`• ${language}: ${count}`);
+  }
+
+  lines.push(`\n**Content Types:**`);
+  for (const type of stats.contentTypes) {
+    lines.push(`• ${type.type}: ${type.itemCount} items, ${formatBytes(type.bytes)}`);
+  }
+
+  if (stats.mostCopied.length > 0) {
+    lines.push(`\n**Most Re-copied:**`);
+    for (const item of stats.mostCopied) {
+      const title = item.title.replace(/\s+/g, ' ').trim();
+      lines.push(`• [ID: ${item.id}] × ${item.copyCount}${item.pinned ? ' 📌' : ''} — ${title.length > 60 ? `${title.slice(0, 57)}...` : title}`);
+    }
+  }
+
+  const days = stats.perDay.slice(-31);
+  const maxDay = Math.max(...days.map(day => day.count));
+  lines.push(`\n**Items per Day${stats.perDay.length > days.length ? ` (last ${days.length} active days)` : ''}:**`);
+  for (const day of days) lines.push(`${day.day} ${formatBar(day.count, maxDay)} ${day.count}`);
+
+  const maxHour = Math.max(...stats.perHour.map(hour => hour.count));
+  lines.push(`\n**Items per Hour (local time):**`);
+  for (const hour of stats.perHour) {
+    lines.push(`${String(hour.hour).padStart(2, '0')}:00 ${formatBar(hour.count, maxHour)} ${hour.count}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Trailing pagination hint for listing tools; nothing on the last page
+function formatNextCursor(nextCursor) {
+  if (!nextCursor) return [];
+  return [{
+    type: "text",
+    text: `More items available. next_cursor: ${nextCursor}\n(pass it as "cursor" with the same arguments to fetch the next page)\n`
+  }];
+}
+
+// Room kept at the end of a page for the budget note and next_cursor
+const PAGE_TRAILER_BYTES = 1024;
+
+// Append a page of items to `content` within the response budget (see
+// budget.js), which also covers the items' structured records. Items that
+// don't fit are left for the next page, so the returned nextCursor then points
+// just after the last item shown. The first item is always shown, without its
+// image and with less text if that is what it takes.
+// Returns { records, nextCursor, budgetReached }.
+function formatItemPage(content, items, nextCursor, { imageMode = 'none', format = 'text', limits }) {
+  const budget = new ResponseBudget(limits.maxBytes - PAGE_TRAILER_BYTES, content);
+  const records = [];
+  const fits = formatted => budget.fits([...formatted.content, formatted.record]);
+  for (const item of items) {
+    let formatted = formatClipboardItem(item, imageMode, format, limits.maxItemChars);
+    if (!fits(formatted)) {
+      if (records.length > 0) break;
+      let maxChars = Math.min(limits.maxItemChars, budget.remaining);
+      formatted = formatClipboardItem(item, 'none', format, maxChars);
+      while (!fits(formatted) && maxChars > 200) {
+        maxChars = Math.floor(maxChars / 2);
+        formatted = formatClipboardItem(item, 'none', format, maxChars);
+      }
+    }
+    budget.add(content, formatted.content);
+    budget.count([formatted.record]);
+    records.push(formatted.record);
+  }
+  const shown = records.length;
+
+  if (shown < items.length) {
+    const rest = items.slice(shown);
+    const resume = items[shown - 1].cursor;
     content.push({
       type: "text",
-      text: `📋 **${item.application}** (${item.lastCopied}) [ID: ${item.id}]\n` +
-            `   Content: ${textContent}\n` +
-            `   Content Types: ${contentTypes.join(', ')}\n` +
-            `   Copied ${item.copyCount} times${item.pinned ? ' 📌 Pinned' : ''}${hasImages ? ' 🖼️ Has Images' : ''}\n`
+      text: `✂️ Response budget reached: showing ${shown} of ${items.length} items. ` +
+            (resume ? 'The rest follow from next_cursor.' : `Not shown: IDs ${rest.map(item => item.id).join(', ')} (fetch them with get_item).`) +
+            ` Pass a larger max_response_tokens or a smaller max_chars to fit more per response.\n`
     });
-    // Add images if present and requested
-    if (includeImages && hasImages && item.content && typeof item.content === 'object') {
-      for (const [contentType, value] of Object.entries(item.content)) {
-        if (contentType === 'public.png' || contentType === 'public.jpeg' ||
-            contentType === 'public.tiff' || contentType.startsWith('image/') ||
-            contentType === 'com.apple.NSImage') {
-          try {
-            // Handle different possible value types
-            let base64Data;
-            if (Buffer.isBuffer(value)) {
-              base64Data = value.toString('base64');
-            } else if (typeof value === 'string') {
-              // Value might be a hex string or already base64
-              base64Data = Buffer.from(value, 'binary').toString('base64');
-            } else if (value && typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
-              // Handle JSON-serialized Buffer
-              base64Data = Buffer.from(value.data).toString('base64');
-            } else {
-              throw new Error(`Unknown value type: ${typeof value}`);
-            }
-            logToFile('debug', `Processing image data`, {
-              itemId: item.id,
-              contentType,
-              originalSize: value?.length || 0,
-              base64Size: base64Data?.length || 0,
-            });
-            // Add a smaller, resized version of the image to the response
-            content.push({
-              type: "image",
-              data: base64Data,
-              mimeType: contentType === 'public.png' ? 'image/png' :
-                       contentType === 'public.jpeg' ? 'image/jpeg' :
-                       contentType === 'public.tiff' ? 'image/tiff' :
-                       contentType === 'com.apple.NSImage' ? 'image/png' :
-                       contentType,
-              width: 100, // Resize the image to a thumbnail
-            });
-          } catch (error) {
-            content.push({
-              type: "text",
-              text: `   📷 Image content (${contentType}) - Size: ${value?.length || 0} bytes [Error: ${error.message}]\n`
-            });
-          }
-        }
+    if (resume) nextCursor = resume;
+  }
+  return { records, nextCursor, budgetReached: shown < items.length };
+}
+
+// Copy new Maccy items into the archive
+async function syncArchive() {
+  const maccyDb = new ClipboardDB(true);
+  try {
+    return await getArchive().sync(maccyDb);
+  } finally {
+    maccyDb.close();
+  }
+}
+
+// Read-only connection for a `source` argument. "both" reads the archive once
+// it holds everything currently in Maccy.
+async function openSourceDb(source = 'maccy') {
+  switch (source) {
+    case 'maccy':
+      return new ClipboardDB(true);
+    case 'both':
+      await syncArchive();
+      return new ClipboardDB(true, archivePath);
+    case 'archive':
+      if (!fsSync.existsSync(archivePath)) {
+        throw new Error(`No archive at ${archivePath} yet. Run sync_archive first`);
       }
-    }
-    logToFile('debug', `Clipboard item formatted successfully`, {
-      itemId: item.id,
-      contentParts: content.length,
-      hasImages: content.some(c => c.type === 'image')
-    });
-    return content;
-  } catch (error) {
-    logToFile('error', `Error formatting clipboard item ${item.id}`, {
-      itemId: item.id,
-      error: error.message,
-      stack: error.stack
-    });
-    // Return a safe fallback
-    return [{
-      type: "text",
-      text: `⚠️ Error formatting item ${item.id}: ${error.message}\n`
-    }];
+      return new ClipboardDB(true, archivePath);
+    default:
+      throw new Error(`Unknown source "${source}"; use maccy, archive or both`);
   }
 }
 
 // Handle tool execution
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const requestId = Math.random().toString(36).substr(2, 9);
   
   logToFile('info', `Tool call started: ${request.params.name}`, {
@@ -778,13 +2700,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     arguments: request.params.arguments
   });
   
-  const readOnly = !['copy_to_clipboard', 'pin_item', 'unpin_item'].includes(request.params.name);
-  const db = new ClipboardDB(readOnly);
+  // find_duplicates only writes when it performs a consolidation
+  const readOnly = request.params.name === 'find_duplicates'
+    ? !(request.params.arguments?.consolidate && request.params.arguments?.confirm)
+    : !['pin_item', 'unpin_item', 'delete_items', 'purge_history'].includes(request.params.name);
+  let db = null;
   
   try {
+    db = SOURCE_TOOLS.includes(request.params.name)
+      ? await openSourceDb(request.params.arguments?.source)
+      : new ClipboardDB(readOnly);
+
     switch (request.params.name) {
       case "search_clipboard": {
-        const { query, limit = 10, use_regex = false, app_filter, since, until } = request.params.arguments;
+        const { query, limit = 10, use_regex = false, regex_flags = '', context_chars = 40, fuzzy = false, fuzzy_threshold = 0.65, order_by = 'date', app_filter, since, until, cursor, format = 'text', image_mode, kind } = request.params.arguments;
+        const imageMode = resolveImageMode(image_mode, undefined, 'thumbnail');
+        const kinds = resolveKinds(kind);
+        const limits = getResponseLimits().forRequest(request.params.arguments);
         
         let dateRange = null;
         if (since || until) {
@@ -793,20 +2725,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           if (until) dateRange.until = new Date(until);
         }
         
-        const results = await db.searchClipboard(query, limit, use_regex, dateRange, app_filter);
+        const { items: results, nextCursor: pageCursor, partial = false } = await db.searchClipboard(query, limit, use_regex, dateRange, app_filter, {
+          flags: regex_flags,
+          contextChars: context_chars,
+          orderBy: order_by,
+          fuzzy,
+          fuzzyThreshold: fuzzy_threshold,
+          cursor,
+          kinds
+        });
         
         const content = [
           {
             type: "text",
-            text: `Found ${results.length} clipboard items matching "${query}":\n\n`
+            text: `Found ${results.length} clipboard items${kinds ? ` of kind ${kinds.join(' or ')}` : ''} matching ${use_regex ? `/${query}/${regex_flags}` : `"${query}"`}:\n\n`
           }
         ];
         
-        for (const item of results) {
-          content.push(...formatClipboardItem(item, true));
+        const page = formatItemPage(content, results, pageCursor, { imageMode, format, limits });
+        if (partial) {
+          content.push({ type: "text", text: `⏱️ The regex search reached its time budget before scanning the whole history; pass the cursor below to continue where it stopped.\n` });
         }
+        content.push(...formatNextCursor(page.nextCursor));
         
-        const response = { content };
+        const response = {
+          content,
+          structuredContent: { query, items: page.records, nextCursor: page.nextCursor, budgetReached: page.budgetReached, partial }
+        };
         
         // Validate response can be serialized to JSON before returning
         try {
@@ -831,10 +2776,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "get_recent_items": {
-        const { limit = 10, application, exclude_images = false } = request.params.arguments;
-        const results = await db.getRecentItems(limit, application, exclude_images);
+        const { limit = 10, application, exclude_images = false, cursor, format = 'text', image_mode, kind } = request.params.arguments;
+        const imageMode = resolveImageMode(image_mode, !exclude_images, 'thumbnail');
+        const kinds = resolveKinds(kind);
+        const limits = getResponseLimits().forRequest(request.params.arguments);
+        const { items: results, nextCursor: pageCursor } = await db.getRecentItems(limit, application, exclude_images, cursor, kinds);
         
-        const filterText = application ? ` from ${application}` : '';
+        const filterText = `${kinds ? ` of kind ${kinds.join(' or ')}` : ''}${application ? ` from ${application}` : ''}`;
         const content = [
           {
             type: "text",
@@ -842,19 +2790,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         ];
         
-        for (const item of results) {
-          try {
-            content.push(...formatClipboardItem(item, !exclude_images));
-          } catch (err) {
-            // If formatting fails for an item, add error info instead
-            content.push({
-              type: "text",
-              text: `⚠️ Error formatting item ${item.id}: ${err.message}\n`
-            });
-          }
-        }
+        const page = formatItemPage(content, results, pageCursor, { imageMode, format, limits });
+        content.push(...formatNextCursor(page.nextCursor));
         
-        const response = { content };
+        const response = {
+          content,
+          structuredContent: { items: page.records, nextCursor: page.nextCursor, budgetReached: page.budgetReached }
+        };
         
         // Validate response can be serialized to JSON before returning
         try {
@@ -883,48 +2825,315 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const { item_id } = request.params.arguments;
         const result = await db.copyToClipboard(item_id);
         
-        const contentPreview = typeof result.content === 'string' ? result.content : String(result.content || '');
+        const contentPreview = getRedactor().redactText(typeof result.content === 'string' ? result.content : String(result.content || '')).text;
+        const preview = `${contentPreview.substring(0, 200)}${contentPreview.length > 200 ? '...' : ''}`;
         return {
           content: [
             {
               type: "text",
-              text: `✅ Successfully copied item ${item_id} to clipboard:\n${contentPreview.substring(0, 200)}${contentPreview.length > 200 ? '...' : ''}`,
+              text: `✅ Successfully copied item ${item_id} to clipboard (${result.backend}):\n${preview}`,
             },
           ],
+          structuredContent: {
+            id: item_id,
+            backend: result.backend,
+            kind: result.kind,
+            ...(result.mimeType ? { mimeType: result.mimeType } : {}),
+            bytes: result.bytes,
+            preview
+          },
         };
       }
 
       case "pin_item": {
-        const { item_id } = request.params.arguments;
-        const result = await db.pinItem(item_id);
-        
+        const { item_id, query, application, key } = request.params.arguments || {};
+        if ((item_id === undefined) === (query === undefined)) {
+          throw new Error('pin_item needs either item_id or query');
+        }
+
+        let itemId = item_id;
+        let otherMatches = 0;
+        if (query !== undefined) {
+          // One more than needed tells whether the query was ambiguous
+          const { items, nextCursor } = await db.searchClipboard(query, 2, false, null, application || null);
+          if (items.length === 0) throw new Error(`No clipboard item matches "${query}"${application ? ` from ${application}` : ''}`);
+          itemId = items[0].id;
+          otherMatches = items.length - 1 + (nextCursor ? 1 : 0);
+        }
+
+        const result = await db.pinItem(itemId, key);
+        const notes = [];
+        if (result.previousKey !== null && !isValidPinKey(result.previousKey)) {
+          notes.push(`Replaced the invalid pin value "${result.previousKey}"`);
+        }
+        if (otherMatches > 0) {
+          notes.push(`Pinned the most recent match; ${otherMatches === 1 ? 'another item matches' : 'more items match'} "${query}" too, pass item_id to pin a specific one`);
+        }
+
         return {
           content: [
             {
               type: "text",
-              text: `📌 Successfully pinned clipboard item ${item_id}`,
+              text: (!result.changed
+                ? `📌 Clipboard item ${itemId} is already pinned under key "${result.key}"`
+                : result.previousKey !== null && isValidPinKey(result.previousKey)
+                  ? `📌 Moved clipboard item ${itemId} from pin key "${result.previousKey}" to "${result.key}"`
+                  : `📌 Pinned clipboard item ${itemId} under key "${result.key}"`) +
+                notes.map(note => `\n${note}`).join(''),
             },
           ],
+          structuredContent: { id: itemId, pinned: true, key: result.key, previousKey: result.previousKey, changed: result.changed },
         };
       }
 
       case "unpin_item": {
         const { item_id } = request.params.arguments;
-        const result = await db.unpinItem(item_id);
+        const { previousKey } = await db.unpinItem(item_id);
         
         return {
           content: [
             {
               type: "text",
-              text: `📌 Successfully unpinned clipboard item ${item_id}`,
+              text: previousKey === null
+                ? `📌 Clipboard item ${item_id} was not pinned`
+                : `📌 Unpinned clipboard item ${item_id} (key "${previousKey}" is free again)`,
             },
           ],
+          structuredContent: { id: item_id, pinned: false, previousKey, changed: previousKey !== null },
+        };
+      }
+
+      case "list_pinned": {
+        const { rows, freeKeys } = await db.listPinned();
+        const pins = rows.map(row => ({ key: row.ZPIN, validKey: isValidPinKey(row.ZPIN), ...rowRecord(row, db) }));
+
+        const lines = [`📌 **Pinned items** (${MACCY_PIN_KEYS.length - freeKeys.length} of ${MACCY_PIN_KEYS.length} keys used)\n`];
+        for (const pin of pins) {
+          const title = (pin.title || '').replace(/\s+/g, ' ').trim();
+          lines.push(`• ${pin.validKey ? `**${pin.key}**` : `⚠️ invalid key "${pin.key}"`} [ID: ${pin.id}] ${pin.application || 'unknown application'} — ` +
+                     `${title.length > 60 ? `${title.slice(0, 57)}...` : title}`);
+        }
+        if (pins.length === 0) lines.push('No pinned items.');
+        if (pins.some(pin => !pin.validKey)) {
+          lines.push(`\nItems with an invalid key don't work as shortcuts in Maccy; pin_item with their ID assigns a valid key.`);
+        }
+        lines.push(`\nFree keys: ${freeKeys.join(', ') || 'none'}`);
+
+        return {
+          content: [{ type: "text", text: lines.join('\n') }],
+          structuredContent: { pins, freeKeys },
+        };
+      }
+
+
+      case "delete_items":
+      case "purge_history": {
+        const {
+          item_ids, query, application, content_type, since, until, older_than_days,
+          include_pinned = false, keep_archived = false, confirm
+        } = request.params.arguments || {};
+        const isPurge = request.params.name === 'purge_history';
+
+        if (!isPurge && !(item_ids?.length > 0) && !query && !application && !content_type && !since && !until) {
+          throw new Error('delete_items needs a selector: item_ids, query, application, content_type, since or until. Use purge_history to clear the whole history');
+        }
+
+        let dateRange = null;
+        if (since || until || typeof older_than_days === 'number') {
+          dateRange = {};
+          if (since) dateRange.since = new Date(since);
+          if (until) dateRange.until = new Date(until);
+          if (typeof older_than_days === 'number') {
+            const cutoff = new Date(Date.now() - older_than_days * 24 * 60 * 60 * 1000);
+            if (!dateRange.until || cutoff < dateRange.until) dateRange.until = cutoff;
+          }
+        }
+
+        const selection = await db.selectItemsForDeletion({
+          ids: isPurge ? null : item_ids,
+          query: isPurge ? null : query,
+          application,
+          dateRange,
+          contentType: content_type,
+          includePinned: include_pinned
+        });
+        const ids = selection.items.map(item => item.id);
+        const token = deletionToken(keep_archived ? `${request.params.name}:keep_archived` : request.params.name, ids);
+        // Copies the archive made of the selected items; they would otherwise
+        // stay readable through source: "archive" and export_history
+        const archivedCopies = fsSync.existsSync(archivePath) ? (await getArchive().findCopies(db.dbPath, selection.items)).length : 0;
+        const selected = {
+          ids,
+          items: selection.items.slice(0, 50).map(row => rowRecord(row, db)),
+          skippedPinnedIds: selection.pinned.map(item => item.id),
+          missingIds: selection.missingIds,
+          archivedCopies,
+          keepArchived: keep_archived
+        };
+
+        const notes = [];
+        if (selection.pinned.length > 0) {
+          notes.push(`📌 Skipped ${selection.pinned.length} pinned items (IDs ${selection.pinned.map(item => item.id).join(', ')}); pass include_pinned: true to delete them`);
+        }
+        if (selection.missingIds.length > 0) {
+          notes.push(`❓ Not found: IDs ${selection.missingIds.join(', ')}`);
+        }
+        if (archivedCopies > 0 && keep_archived) {
+          notes.push(`🗄️ ${archivedCopies} of these items also have a copy in the archive, which is kept (readable with source: "archive")`);
+        }
+
+        if (ids.length === 0) {
+          return {
+            content: [{ type: "text", text: [`Nothing to delete: no unpinned items match.`, ...notes].join('\n') }],
+            structuredContent: { dryRun: !confirm, ...selected, confirm: null, result: null }
+          };
+        }
+
+        if (!confirm) {
+          return {
+            content: [{
+              type: "text",
+              text: `🧪 **Dry run** - ${ids.length} items would be deleted` +
+                    (archivedCopies > 0 && !keep_archived ? `, along with ${archivedCopies} archived copies` : '') + `:\n\n` +
+                    formatDeletionPreview(selection.items, db) +
+                    (notes.length > 0 ? `\n${notes.join('\n')}\n` : '') +
+                    `\nNothing was changed. To delete these items, call ${request.params.name} again with the same arguments and confirm: "${token}"`
+            }],
+            structuredContent: { dryRun: true, ...selected, confirm: token, result: null }
+          };
+        }
+
+        if (confirm !== token) {
+          throw new Error('Confirmation token does not match the current selection (the history or the arguments changed since the dry run). Run a new dry run without "confirm" first');
+        }
+
+        const result = await db.deleteItems(ids, { backupDir: path.join(config.dataDir, 'backups') });
+        result.deletedArchived = !keep_archived && fsSync.existsSync(archivePath) ? await getArchive().deleteCopies(db.dbPath, selection.items) : 0;
+        logToFile('info', `${request.params.name} deleted ${result.deletedItems} items`, { requestId, ids, backupPath: result.backupPath, deletedArchived: result.deletedArchived });
+
+        return {
+          content: [{
+            type: "text",
+            text: `🗑️ Deleted ${result.deletedItems} clipboard items (${result.deletedContents} content rows)` +
+                  (result.deletedArchived > 0 ? ` and ${result.deletedArchived} archived copies` : '') + `\n\n` +
+                  `**Backup:** ${result.backupPath}\n` +
+                  (notes.length > 0 ? `${notes.join('\n')}\n` : '') +
+                  `\nMaccy may keep showing deleted items until it is restarted.`
+          }],
+          structuredContent: {
+            dryRun: false,
+            ...selected,
+            confirm: null,
+            result: { deletedItems: result.deletedItems, deletedContents: result.deletedContents, deletedArchived: result.deletedArchived, backupPath: result.backupPath }
+          }
         };
       }
 
+      case "find_duplicates": {
+        const {
+          threshold = 0.9, application, since, until, scan_limit = 500,
+          consolidate = false, keep = 'pinned', keep_archived = false, confirm
+        } = request.params.arguments || {};
+
+        let dateRange = null;
+        if (since || until) {
+          dateRange = {};
+          if (since) dateRange.since = new Date(since);
+          if (until) dateRange.until = new Date(until);
+        }
+
+        const { scanned, clusters } = await db.findDuplicates({ threshold, application, dateRange, scanLimit: scan_limit });
+        // Structured clusters; with consolidation plans, what each one keeps and deletes
+        const clusterRecords = (plans = null) => clusters.map(cluster => {
+          const plan = plans?.find(candidate => candidate.cluster === cluster);
+          return {
+            kind: cluster.kind,
+            similarity: cluster.similarity,
+            items: cluster.items.map(item => rowRecord(item, db)),
+            // Clusters without a plan have nothing to remove (all duplicates pinned)
+            ...(plans ? { keepId: plan?.keep.id ?? null, removeIds: plan?.remove.map(item => item.id) ?? [] } : {})
+          };
+        });
+        const structured = { scanned, consolidate, dryRun: true, confirm: null, result: null };
+        if (clusters.length === 0) {
+          return {
+            content: [{ type: "text", text: `No duplicates found among ${scanned} items.` }],
+            structuredContent: { ...structured, clusters: [] }
+          };
+        }
+
+        if (!consolidate) {
+          const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.items.length - 1, 0);
+          return {
+            content: [{
+              type: "text",
+              text: `Found ${clusters.length} duplicate clusters among ${scanned} items (${duplicateCount} redundant entries):\n\n` +
+                    clusters.map(cluster => formatDuplicateCluster(cluster, db)).join('\n') +
+                    `\nPass consolidate: true to merge each cluster into one entry.`
+            }],
+            structuredContent: { ...structured, clusters: clusterRecords() }
+          };
+        }
+
+        const plans = planConsolidation(clusters, keep);
+        const removeIds = plans.flatMap(plan => plan.remove.map(item => item.id));
+        if (removeIds.length === 0) {
+          return {
+            content: [{ type: "text", text: `Nothing to consolidate: every duplicate is pinned.` }],
+            structuredContent: { ...structured, clusters: clusterRecords(plans) }
+          };
+        }
+        const token = deletionToken(keep_archived ? `${request.params.name}:keep_archived` : request.params.name, removeIds);
+        // The archive's copies of the removed items go with them, as with delete_items
+        const removedItems = plans.flatMap(plan => plan.remove);
+        const archivedCopies = fsSync.existsSync(archivePath) ? (await getArchive().findCopies(db.dbPath, removedItems)).length : 0;
+        structured.archivedCopies = archivedCopies;
+        structured.keepArchived = keep_archived;
+
+        if (!confirm) {
+          return {
+            content: [{
+              type: "text",
+              text: `🧪 **Dry run** - consolidating ${plans.length} clusters would delete ${removeIds.length} items` +
+                    (archivedCopies > 0 && !keep_archived ? `, along with ${archivedCopies} archived copies` : '') + `:\n\n` +
+                    plans.map(plan => formatDuplicateCluster(plan.cluster, db, plan)).join('\n') +
+                    (archivedCopies > 0 && keep_archived ? `\n🗄️ ${archivedCopies} of these items also have a copy in the archive, which is kept (readable with source: "archive")\n` : '') +
+                    `\nNothing was changed. To consolidate, call find_duplicates again with the same arguments and confirm: "${token}"`
+            }],
+            structuredContent: { ...structured, clusters: clusterRecords(plans), confirm: token }
+          };
+        }
+
+        if (confirm !== token) {
+          throw new Error('Confirmation token does not match the current duplicates (the history or the arguments changed since the preview). Run a new preview without "confirm" first');
+        }
+
+        const result = await db.deleteItems(removeIds, {
+          backupDir: path.join(config.dataDir, 'backups'),
+          merges: plans.map(plan => ({ keepId: plan.keep.id, mergedIds: plan.remove.map(item => item.id) }))
+        });
+        result.deletedArchived = !keep_archived && fsSync.existsSync(archivePath) ? await getArchive().deleteCopies(db.dbPath, removedItems) : 0;
+        logToFile('info', `find_duplicates consolidated ${plans.length} clusters`, { requestId, removeIds, backupPath: result.backupPath, deletedArchived: result.deletedArchived });
+
+        return {
+          content: [{
+            type: "text",
+            text: `🔁 Consolidated ${plans.length} duplicate clusters: kept ${plans.map(plan => plan.keep.id).join(', ')}, deleted ${result.deletedItems} items` +
+                  (result.deletedArchived > 0 ? ` and ${result.deletedArchived} archived copies` : '') + `\n\n` +
+                  `**Backup:** ${result.backupPath}\n` +
+                  `\nMaccy may keep showing deleted items until it is restarted.`
+          }],
+          structuredContent: {
+            ...structured,
+            dryRun: false,
+            clusters: clusterRecords(plans),
+            result: { deletedItems: result.deletedItems, deletedContents: result.deletedContents, deletedArchived: result.deletedArchived, backupPath: result.backupPath }
+          }
+        };
+      }
 
       case "export_history": {
-        const { file_path, format = 'json', since, until } = request.params.arguments;
+        const { file_path, format = 'json', since, until, application, content_type, pinned, include_images = false, gzip = false } = request.params.arguments;
         
         let dateRange = null;
         if (since || until) {
@@ -933,7 +3142,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           if (until) dateRange.until = new Date(until);
         }
         
-        const result = await db.exportHistory(file_path, format, dateRange);
+        const progressToken = request.params._meta?.progressToken;
+        const result = await db.exportHistory(file_path, format, dateRange, {
+          redactor: getRedactor(),
+          application,
+          contentType: content_type,
+          pinned: typeof pinned === 'boolean' ? pinned : null,
+          includeImages: include_images,
+          imageProcessor: getImageProcessor(),
+          gzip,
+          // Progress notifications only when the client asked for them with a progress token
+          onProgress: progressToken === undefined ? null : (progress, total) => extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress, total, message: `Exported ${progress} of ${total} items` }
+          })
+        });
         
         return {
           content: [
@@ -943,47 +3166,279 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     `**File:** ${result.filePath}\n` +
                     `**Format:** ${format.toUpperCase()}\n` +
                     `**Items:** ${result.itemCount}\n` +
-                    `**File Size:** ${(result.fileSize / 1024).toFixed(1)} KB`,
+                    (result.redactedCount > 0 ? `**Redacted:** secrets masked in ${result.redactedCount} items\n` : '') +
+                    (result.imageDir ? `**Images:** ${result.imageCount} written to ${result.imageDir}\n` : '') +
+                    `**File Size:** ${(result.fileSize / 1024).toFixed(1)} KB` +
+                    (gzip ? ` (gzip, ${(result.uncompressedSize / 1024).toFixed(1)} KB uncompressed)` : ''),
             },
           ],
+          structuredContent: {
+            filePath: result.filePath,
+            format,
+            itemCount: result.itemCount,
+            fileSize: result.fileSize,
+            gzip,
+            uncompressedSize: gzip ? result.uncompressedSize : null,
+            redactedCount: result.redactedCount || 0,
+            imageDir: result.imageDir || null,
+            imageCount: result.imageCount || 0
+          },
         };
       }
 
       case "get_clipboard_stats": {
-        const stats = await db.getStatistics();
-        
+        const { application, since, until, top = 10 } = request.params.arguments || {};
+
+        let dateRange = null;
+        if (since || until) {
+          dateRange = {};
+          if (since) dateRange.since = new Date(since);
+          if (until) dateRange.until = new Date(until);
+        }
+
+        const stats = await db.getStatistics({ dateRange, application, top: Math.min(Math.max(Number(top) || 10, 1), 100) });
+        stats.mostCopied = stats.mostCopied.map(item => getRedactor().redactItem(item));
+
+        const filters = [];
+        if (application) filters.push(application);
+        if (since) filters.push(`since ${since}`);
+        if (until) filters.push(`until ${until}`);
+
         return {
-          content: [
-            {
-              type: "text",
-              text: `📊 **Clipboard Statistics**\n\n` +
-                `Total Items: ${stats.totalItems}\n` +
-                `Date Range: ${stats.oldestItem} → ${stats.newestItem}\n\n` +
-                `**Top Applications:**\n` +
-                stats.topApplications.map(app => 
-                  `• ${app.application}: ${app.itemCount} items`
-                ).join('\n'),
-            },
-          ],
+          content: [{ type: "text", text: formatStatistics(stats, filters) }],
+          structuredContent: stats,
+        };
+      }
+
+      case "extract_links": {
+        const { application, since, until, domain, limit = 100 } = request.params.arguments || {};
+
+        let dateRange = null;
+        if (since || until) {
+          dateRange = {};
+          if (since) dateRange.since = new Date(since);
+          if (until) dateRange.until = new Date(until);
+        }
+
+        const { scanned, links } = await db.extractLinks({ application, dateRange });
+        const wanted = domain ? domain.trim().toLowerCase().replace(/^www\./, '') : null;
+        const matching = wanted ? links.filter(link => link.domain === wanted || link.domain.endsWith(`.${wanted}`)) : links;
+        const shown = matching.slice(0, Math.min(Math.max(Number(limit) || 100, 1), 1000));
+        const itemsWithLinks = new Set(matching.flatMap(link => link.itemIds)).size;
+
+        // Links can carry tokens in their query strings
+        const redact = url => getRedactor().redactText(url).text;
+        const domains = groupLinksByDomain(shown).map(group => ({
+          domain: group.domain,
+          links: group.links.map(link => ({
+            url: redact(link.url),
+            firstCopiedAt: db.isoDate(link.firstCopiedAt),
+            lastCopiedAt: db.isoDate(link.lastCopiedAt),
+            itemIds: link.itemIds,
+          })),
+        }));
+
+        const filters = [];
+        if (application) filters.push(application);
+        if (wanted) filters.push(wanted);
+        if (since) filters.push(`since ${since}`);
+        if (until) filters.push(`until ${until}`);
+
+        return {
+          content: [{ type: "text", text: formatLinks(domains, { scanned, itemsWithLinks, total: matching.length, filters }, db) }],
+          structuredContent: { scanned, itemsWithLinks, linkCount: matching.length, omittedCount: matching.length - shown.length, domains },
+        };
+      }
+
+      case "sync_archive": {
+        const { added, updated } = await getArchive().sync(db);
+        const summary = await getArchive().summary();
+        logToFile('info', 'Archive synced', { requestId, added, updated });
+
+        return {
+          content: [{
+            type: "text",
+            text: `🗄️ **Archive synced**\n\n` +
+                  `New items: ${added}\n` +
+                  `Updated items: ${updated}\n\n` +
+                  `**Archive:** ${archivePath}\n` +
+                  `**Items:** ${summary.itemCount}\n` +
+                  (summary.itemCount > 0
+                    ? `**Date Range:** ${db.formatDate(db.convertTimestamp(summary.oldest))} → ${db.formatDate(db.convertTimestamp(summary.newest))}\n`
+                    : '') +
+                  (config.archive?.background ? `\nBackground archiving is on.` : `\nSet "archive": { "background": true } in the config file to archive new items automatically.`)
+          }],
+          structuredContent: {
+            added,
+            updated,
+            archivePath,
+            itemCount: summary.itemCount,
+            oldestItemAt: summary.itemCount > 0 ? db.isoDate(summary.oldest) : null,
+            newestItemAt: summary.itemCount > 0 ? db.isoDate(summary.newest) : null,
+            background: Boolean(config.archive?.background)
+          }
+        };
+      }
+
+      case "import_history": {
+        const { file_path, db_path, on_conflict = 'skip' } = request.params.arguments;
+        const targetPath = db_path ? path.resolve(expandHome(db_path)) : archivePath;
+        if (targetPath === config.dbPath) {
+          throw new Error(`Refusing to import into Maccy's own database (${config.dbPath}). Import into the archive or a fixture database`);
+        }
+
+        const target = targetPath === archivePath ? getArchive() : new HistoryArchive(targetPath);
+        let report;
+        try {
+          report = await importHistory(target, expandHome(file_path), { onConflict: on_conflict, redactor: getRedactor() });
+        } finally {
+          if (target !== getArchive()) target.close();
+        }
+        logToFile('info', 'History imported', { requestId, targetPath, imported: report.imported, skipped: report.skipped, conflicts: report.conflictCount });
+
+        const lines = [
+          `📥 **Import finished** into ${targetPath === archivePath ? 'the archive' : targetPath}\n`,
+          `Imported: ${report.imported}`,
+          `Skipped (already stored): ${report.skipped}`,
+          `Conflicts: ${report.conflictCount}`,
+          `Invalid entries: ${report.invalidCount}`
+        ];
+        if (report.redacted > 0) lines.push(`\n🔒 ${report.redacted} imported items contain [REDACTED] placeholders from the export`);
+        if (report.imagesNotExported > 0) lines.push(`\n🖼️ ${report.imagesNotExported} image representations were left out: the export was written without include_images`);
+        if (report.missingImages > 0) lines.push(`\n⚠️ ${report.missingImages} image files referenced by the export were not found`);
+        if (report.conflicts.length > 0) {
+          lines.push(`\n**Conflicts** (same content stored with a different application or first-copy time):`);
+          for (const conflict of report.conflicts) {
+            const title = getRedactor().redactText((conflict.title || '').replace(/\s+/g, ' ').trim()).text;
+            lines.push(`• ${conflict.position}: ${title.length > 60 ? `${title.slice(0, 57)}...` : title} — stored as ID ${conflict.existingIds.join(', ')}; ${conflict.action}`);
+          }
+          if (report.conflictCount > report.conflicts.length) lines.push(`…and ${report.conflictCount - report.conflicts.length} more`);
+        }
+        if (report.invalid.length > 0) {
+          lines.push(`\n**Invalid entries:**`);
+          for (const entry of report.invalid) lines.push(`• ${entry.position}: ${entry.reason}`);
+          if (report.invalidCount > report.invalid.length) lines.push(`…and ${report.invalidCount - report.invalid.length} more`);
+        }
+        if (targetPath === archivePath && report.imported > 0) lines.push(`\nRead the imported items with source: "archive".`);
+
+        return {
+          content: [{ type: "text", text: lines.join('\n') }],
+          structuredContent: {
+            target: targetPath,
+            imported: report.imported,
+            skipped: report.skipped,
+            conflictCount: report.conflictCount,
+            invalidCount: report.invalidCount,
+            redacted: report.redacted,
+            imagesNotExported: report.imagesNotExported,
+            missingImages: report.missingImages,
+            conflicts: report.conflicts.map(conflict => ({
+              ...conflict,
+              title: getRedactor().redactText(conflict.title || '').text
+            })),
+            invalid: report.invalid
+          }
         };
       }
 
+      case "get_privacy_rules": {
+        const { rules, hiddenCount } = await db.getPrivacySummary();
+        const text = rules.length === 0
+          ? `🛡️ No privacy rules are configured. Add a "privacy" section to ${config.configPath || DEFAULT_CONFIG_PATH} to hide applications, content types, time windows or patterns.`
+          : `🛡️ **Privacy rules**\n\n` +
+            rules.map(rule => `- ${rule}`).join('\n') +
+            `\n\nItems currently hidden: ${hiddenCount}`;
+        return { content: [{ type: "text", text }], structuredContent: { rules, hiddenCount } };
+      }
+
+      case "wait_for_next_copy": {
+        const { timeout_seconds = 60, application, include_images = true, image_mode, kind } = request.params.arguments || {};
+        const imageMode = resolveImageMode(image_mode, include_images, 'thumbnail');
+        const kinds = resolveKinds(kind);
+        const limits = getResponseLimits().forRequest(request.params.arguments);
+        const timeoutSeconds = Math.min(Math.max(Number(timeout_seconds) || 0, 1), 600);
+
+        // Copies hidden by the privacy rules never wake the wait
+        const filter = async id => (await db.isItemVisible(id)) &&
+          (!application || (await db.get(`SELECT ZAPPLICATION FROM ZHISTORYITEM WHERE Z_PK = ?`, [id]))?.ZAPPLICATION === application) &&
+          (!kinds || (await db.classifyItem(id))?.tags.some(tag => kinds.includes(tag)));
+        const ids = await watcher.waitForCopy({ timeoutMs: timeoutSeconds * 1000, signal: extra?.signal, filter });
+
+        if (!ids) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `⏱️ Nothing new${kinds ? ` of kind ${kinds.join(' or ')}` : ''} was copied${application ? ` from ${application}` : ''} within ${timeoutSeconds} seconds.`,
+              },
+            ],
+            structuredContent: { timedOut: true, items: [] },
+          };
+        }
+
+        const content = [
+          {
+            type: "text",
+            text: `New clipboard ${ids.length === 1 ? 'item' : 'items'} copied:\n\n`
+          }
+        ];
+        const items = [];
+        for (const id of ids) {
+          const item = await db.getItemById(id);
+          if (item) items.push(item);
+        }
+        const page = formatItemPage(content, items, null, { imageMode, limits });
+        return { content, structuredContent: { timedOut: false, items: page.records, budgetReached: page.budgetReached } };
+      }
+
+      case "get_item": {
+        const { item_id, types, include_images = true, image_mode, reveal_secrets = false, offset, length } = request.params.arguments;
+        const imageMode = resolveImageMode(image_mode, include_images, 'full');
+        // get_item has no per-item character limit; offset and length select the text instead
+        const { maxBytes } = getResponseLimits().forRequest(request.params.arguments, { itemChars: Infinity });
+        if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+          throw new Error('offset must be a non-negative integer');
+        }
+        if (length !== undefined && (!Number.isInteger(length) || length < 1)) {
+          throw new Error('length must be a positive integer');
+        }
+        const range = offset !== undefined || length !== undefined ? { offset, length } : null;
+        const item = await db.getItemRepresentations(item_id, types);
+        if (!item) throw new Error(`Item with ID ${item_id} not found`);
+        item.classification = await db.classifyItem(item_id);
+        if (reveal_secrets) {
+          logToFile('info', `Revealing unredacted content of item ${item_id}`, { requestId });
+        }
+
+        const { content, structured } = formatItemRepresentations(item, imageMode, reveal_secrets, { range, maxBytes });
+        const missing = (types || []).filter(type => !item.availableTypes.includes(type));
+        if (missing.length > 0) {
+          content.push({ type: "text", text: `\nNot stored for this item: ${missing.join(', ')}\n` });
+        }
+        return { content, structuredContent: { ...structured, missingTypes: missing } };
+      }
+
       case "get_items_by_app": {
-        const { application, limit = 10 } = request.params.arguments;
-        const results = await db.getItemsByApplication(application, limit);
+        const { application, limit = 10, cursor, format = 'text', image_mode, kind } = request.params.arguments;
+        const imageMode = resolveImageMode(image_mode, undefined, 'none');
+        const kinds = resolveKinds(kind);
+        const limits = getResponseLimits().forRequest(request.params.arguments);
+        const { items: results, nextCursor: pageCursor } = await db.getItemsByApplication(application, limit, cursor, kinds);
         
         const content = [
           {
             type: "text",
-            text: `Found ${results.length} clipboard items from ${application}:\n\n`
+            text: `Found ${results.length} clipboard items${kinds ? ` of kind ${kinds.join(' or ')}` : ''} from ${application}:\n\n`
           }
         ];
         
-        for (const item of results) {
-          content.push(...formatClipboardItem(item, false));
-        }
+        const page = formatItemPage(content, results, pageCursor, { imageMode, format, limits });
+        content.push(...formatNextCursor(page.nextCursor));
         
-        return { content };
+        return {
+          content,
+          structuredContent: { application, items: page.records, nextCursor: page.nextCursor, budgetReached: page.budgetReached }
+        };
       }
 
       default:
@@ -1014,18 +3469,29 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     
     return errorResponse;
   } finally {
-    db.close();
+    db?.close();
   }
 });
 
 // Start the server
 const transport = new StdioServerTransport();
-server.connect(transport);
+server.connect(transport).then(async () => {
+  await watcher.start();
+  if (config.archive?.background) scheduleArchiveSync();
+});
 
 logToFile('info', 'Maccy Clipboard MCP server starting up', {
   timestamp: new Date().toISOString(),
   pid: process.pid,
-  cwd: process.cwd()
+  cwd: process.cwd(),
+  dbPath: config.dbPath,
+  configPath: config.configPath
 });
 
+if (!fsSync.existsSync(config.dbPath)) {
+  logToFile('warn', `Maccy database not found at ${config.dbPath}`, {
+    hint: 'Set MACCY_DB_PATH, pass --db <path>, or set "dbPath" in the config file'
+  });
+}
+
 console.error("Maccy Clipboard MCP server running...");
\ No newline at end of file
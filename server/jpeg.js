@@ -0,0 +1,832 @@
+// JPEG decoding and encoding for the image pipeline. The decoder handles
+// baseline, extended and progressive Huffman-coded files with any sampling
+// factors, in greyscale, YCbCr, RGB, CMYK and YCCK (Adobe); arithmetic-coded
+// and lossless JPEGs are rare enough to be rejected. The encoder writes
+// baseline 4:2:0 files with the standard tables. Images are { width, height,
+// data } with 8-bit RGBA `data`, plus the EXIF orientation after decoding.
+
+// Position in the 8x8 block of each coefficient in zigzag order
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+]);
+
+// cos((2x + 1) * u * pi / 16) scaled by C(u) / 2, shared by the IDCT and FDCT
+const DCT_TABLE = (() => {
+  const table = new Float64Array(64);
+  for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+      table[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+    }
+  }
+  return table;
+})();
+
+export function isJpeg(buffer) {
+  return buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+// Width and height from the frame header, without decoding
+export function jpegDimensions(buffer) {
+  if (!isJpeg(buffer)) return null;
+  for (let offset = 2; offset + 9 < buffer.length;) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// EXIF orientation (1-8) from an APP1 segment, 1 when there is none
+function exifOrientation(segment) {
+  if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') return 1;
+  const tiff = segment.subarray(6);
+  const little = tiff[0] === 0x49;
+  const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  try {
+    const ifd = u32(4);
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === 0x0112) {
+        const value = u16(entry + 8);
+        return value >= 1 && value <= 8 ? value : 1;
+      }
+    }
+  } catch (error) {
+    // A truncated EXIF block just means no orientation
+  }
+  return 1;
+}
+
+// Canonical Huffman table: a 9-bit lookahead table for short codes and the
+// per-length code ranges (JPEG spec F.2.2.3) for longer ones
+function buildHuffmanTable(counts, symbols) {
+  const lookup = new Uint16Array(512);
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = k - code;
+    for (let i = 0; i < counts[length - 1]; i++) {
+      if (length <= 9) {
+        const shift = 9 - length;
+        for (let fill = 0; fill < 1 << shift; fill++) {
+          lookup[(code << shift) | fill] = (length << 8) | symbols[k];
+        }
+      }
+      code++;
+      k++;
+    }
+    maxCode[length] = counts[length - 1] > 0 ? code - 1 : -1;
+    code <<= 1;
+  }
+  return { lookup, maxCode, valueOffset, symbols };
+}
+
+// Entropy-coded data reader: removes stuffed zero bytes and stops at markers
+class BitReader {
+  constructor(data, offset) {
+    this.data = data;
+    this.offset = offset;
+    this.bits = 0;
+    this.count = 0;
+    this.marker = null;
+  }
+
+  fill() {
+    while (this.count <= 24) {
+      let byte = 0;
+      if (this.marker === null && this.offset < this.data.length) {
+        byte = this.data[this.offset];
+        if (byte === 0xff) {
+          const next = this.data[this.offset + 1];
+          if (next === 0) {
+            this.offset += 2;
+          } else {
+            this.marker = next;
+            byte = 0;
+          }
+        } else {
+          this.offset++;
+        }
+      }
+      this.bits = (this.bits << 8) | byte;
+      this.count += 8;
+    }
+  }
+
+  peek(n) {
+    if (this.count < n) this.fill();
+    return (this.bits >>> (this.count - n)) & ((1 << n) - 1);
+  }
+
+  read(n) {
+    if (n === 0) return 0;
+    const value = this.peek(n);
+    this.count -= n;
+    return value;
+  }
+
+  // Value of an n-bit magnitude category (spec F.2.2.1 EXTEND)
+  receiveExtend(n) {
+    if (n === 0) return 0;
+    const value = this.read(n);
+    return value < 1 << (n - 1) ? value - (1 << n) + 1 : value;
+  }
+
+  decode(table) {
+    const entry = table.lookup[this.peek(9)];
+    if (entry !== 0) {
+      this.count -= entry >> 8;
+      return entry & 0xff;
+    }
+    const bits = this.peek(16);
+    for (let length = 10; length <= 16; length++) {
+      const code = bits >>> (16 - length);
+      if (code <= table.maxCode[length]) {
+        this.count -= length;
+        return table.symbols[table.valueOffset[length] + code];
+      }
+    }
+    throw new Error('Corrupt JPEG Huffman data');
+  }
+
+  // Skip to just after the next restart marker
+  restart() {
+    this.bits = 0;
+    this.count = 0;
+    if (this.marker === null) {
+      while (this.offset + 1 < this.data.length &&
+             !(this.data[this.offset] === 0xff && this.data[this.offset + 1] >= 0xd0 && this.data[this.offset + 1] <= 0xd7)) {
+        this.offset++;
+      }
+      this.marker = this.data[this.offset + 1];
+    }
+    if (this.marker >= 0xd0 && this.marker <= 0xd7) {
+      this.offset += 2;
+      this.marker = null;
+    }
+  }
+}
+
+// Decode one scan's entropy-coded data into the components' coefficients
+function decodeScan(data, offset, frame, scanComponents, restartInterval, spectralStart, spectralEnd, approxHigh, approxLow) {
+  const reader = new BitReader(data, offset);
+  const progressive = frame.progressive;
+  let eobRun = 0;
+
+  const decodeBaseline = (component, block) => {
+    const t = reader.decode(component.dcTable);
+    component.pred += reader.receiveExtend(t);
+    component.coefficients[block] = component.pred;
+    for (let k = 1; k < 64;) {
+      const rs = reader.decode(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      component.coefficients[block + k] = reader.receiveExtend(s);
+      k++;
+    }
+  };
+
+  const decodeDcFirst = (component, block) => {
+    const t = reader.decode(component.dcTable);
+    component.pred += reader.receiveExtend(t);
+    component.coefficients[block] = component.pred * (1 << approxLow);
+  };
+
+  const decodeDcRefine = (component, block) => {
+    if (reader.read(1)) component.coefficients[block] |= 1 << approxLow;
+  };
+
+  const decodeAcFirst = (component, block) => {
+    if (eobRun > 0) {
+      eobRun--;
+      return;
+    }
+    for (let k = spectralStart; k <= spectralEnd;) {
+      const rs = reader.decode(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobRun = (1 << r) - 1 + reader.read(r);
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      component.coefficients[block + k] = reader.receiveExtend(s) * (1 << approxLow);
+      k++;
+    }
+  };
+
+  // Successive approximation of AC coefficients (libjpeg's decode_mcu_AC_refine)
+  const decodeAcRefine = (component, block) => {
+    const coefficients = component.coefficients;
+    const p1 = 1 << approxLow;
+    const m1 = -1 << approxLow;
+    let k = spectralStart;
+    const refine = at => {
+      if (reader.read(1) && (coefficients[at] & p1) === 0) {
+        coefficients[at] += coefficients[at] >= 0 ? p1 : m1;
+      }
+    };
+
+    if (eobRun === 0) {
+      for (; k <= spectralEnd; k++) {
+        const rs = reader.decode(component.acTable);
+        let r = rs >> 4;
+        let s = rs & 15;
+        if (s) {
+          s = reader.read(1) ? p1 : m1;
+        } else if (r !== 15) {
+          eobRun = (1 << r) + reader.read(r);
+          break;
+        }
+        do {
+          if (coefficients[block + k] !== 0) {
+            refine(block + k);
+          } else if (--r < 0) {
+            break;
+          }
+          k++;
+        } while (k <= spectralEnd);
+        if (s && k <= 63) coefficients[block + k] = s;
+      }
+    }
+    if (eobRun > 0) {
+      for (; k <= spectralEnd; k++) {
+        if (coefficients[block + k] !== 0) refine(block + k);
+      }
+      eobRun--;
+    }
+  };
+
+  const decodeBlock = !progressive ? decodeBaseline :
+    spectralStart === 0 ? (approxHigh === 0 ? decodeDcFirst : decodeDcRefine) :
+    approxHigh === 0 ? decodeAcFirst : decodeAcRefine;
+
+  // A single-component scan covers only the component's own blocks, one per MCU
+  const single = scanComponents.length === 1;
+  const mcuCount = single ?
+    scanComponents[0].blocksPerLine * scanComponents[0].blocksPerColumn :
+    frame.mcusPerLine * frame.mcusPerColumn;
+
+  for (const component of scanComponents) component.pred = 0;
+  for (let mcu = 0; mcu < mcuCount; mcu++) {
+    if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      for (const component of scanComponents) component.pred = 0;
+      eobRun = 0;
+    }
+    if (single) {
+      const component = scanComponents[0];
+      const row = Math.floor(mcu / component.blocksPerLine);
+      const column = mcu % component.blocksPerLine;
+      decodeBlock(component, (row * component.blocksPerLineForMcu + column) * 64);
+    } else {
+      const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+      const mcuColumn = mcu % frame.mcusPerLine;
+      for (const component of scanComponents) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            const row = mcuRow * component.v + v;
+            const column = mcuColumn * component.h + h;
+            decodeBlock(component, (row * component.blocksPerLineForMcu + column) * 64);
+          }
+        }
+      }
+    }
+  }
+
+  // Continue after the scan: the next marker that isn't a restart marker
+  let next = reader.marker !== null ? reader.offset : Math.max(offset, reader.offset - 4);
+  while (next + 1 < data.length &&
+         !(data[next] === 0xff && data[next + 1] !== 0 && !(data[next + 1] >= 0xd0 && data[next + 1] <= 0xd7))) {
+    next++;
+  }
+  return next;
+}
+
+// Dequantize and inverse-transform every block of a component into an 8-bit plane
+function buildPlane(component) {
+  const width = component.blocksPerLineForMcu * 8;
+  const plane = new Uint8Array(width * component.blocksPerColumnForMcu * 8);
+  const quantization = component.quantization;
+  const block = new Float64Array(64);
+  const temp = new Float64Array(64);
+
+  for (let blockRow = 0; blockRow < component.blocksPerColumnForMcu; blockRow++) {
+    for (let blockColumn = 0; blockColumn < component.blocksPerLineForMcu; blockColumn++) {
+      const offset = (blockRow * component.blocksPerLineForMcu + blockColumn) * 64;
+      for (let k = 0; k < 64; k++) block[ZIGZAG[k]] = component.coefficients[offset + k] * quantization[k];
+
+      // Rows, then columns
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += DCT_TABLE[x * 8 + u] * block[y * 8 + u];
+          temp[y * 8 + x] = sum;
+        }
+      }
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += DCT_TABLE[y * 8 + v] * temp[v * 8 + x];
+          const value = Math.round(sum + 128);
+          plane[(blockRow * 8 + y) * width + blockColumn * 8 + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+        }
+      }
+    }
+  }
+  return { plane, width };
+}
+
+const clamp = value => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+
+export function decodeJpeg(buffer, { maxPixels = Infinity } = {}) {
+  if (!isJpeg(buffer)) throw new Error('Not a JPEG image');
+
+  const quantizationTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let orientation = 1;
+  let jfif = false;
+
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    offset += 2;
+    if (marker === 0xd9) break; // EOI
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      if (marker === 0xff) offset--;
+      continue;
+    }
+    if (offset + 2 > buffer.length) break;
+    const length = buffer.readUInt16BE(offset);
+    const segment = buffer.subarray(offset + 2, offset + length);
+
+    switch (marker) {
+      case 0xe0:
+        if (segment.toString('latin1', 0, 5) === 'JFIF\0') jfif = true;
+        break;
+      case 0xe1:
+        orientation = exifOrientation(segment);
+        break;
+      case 0xee:
+        if (segment.toString('latin1', 0, 5) === 'Adobe' && segment.length >= 12) adobeTransform = segment[11];
+        break;
+      case 0xdb: // DQT
+        for (let at = 0; at < segment.length;) {
+          const precision = segment[at] >> 4;
+          const id = segment[at] & 15;
+          const table = new Uint16Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[k] = precision ? segment.readUInt16BE(at + 1 + k * 2) : segment[at + 1 + k];
+          }
+          quantizationTables[id] = table;
+          at += 1 + 64 * (precision ? 2 : 1);
+        }
+        break;
+      case 0xc4: // DHT
+        for (let at = 0; at < segment.length;) {
+          const tableClass = segment[at] >> 4;
+          const id = segment[at] & 15;
+          const counts = segment.subarray(at + 1, at + 17);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const table = buildHuffmanTable(counts, segment.subarray(at + 17, at + 17 + total));
+          (tableClass === 0 ? dcTables : acTables)[id] = table;
+          at += 17 + total;
+        }
+        break;
+      case 0xdd: // DRI
+        restartInterval = segment.readUInt16BE(0);
+        break;
+      case 0xc0:
+      case 0xc1:
+      case 0xc2: {
+        if (frame) throw new Error('JPEG with more than one frame');
+        const height = segment.readUInt16BE(1);
+        const width = segment.readUInt16BE(3);
+        if (segment[0] !== 8) throw new Error(`Unsupported JPEG sample precision ${segment[0]}`);
+        if (width === 0 || height === 0) throw new Error('JPEG has no pixels (or uses a DNL marker)');
+        if (width * height > maxPixels) throw new Error(`JPEG is ${width}×${height}, larger than the ${maxPixels} pixel limit`);
+
+        const components = [];
+        for (let i = 0; i < segment[5]; i++) {
+          const at = 6 + i * 3;
+          components.push({ id: segment[at], h: segment[at + 1] >> 4, v: segment[at + 1] & 15, quantizationId: segment[at + 2] });
+        }
+        const maxH = Math.max(...components.map(component => component.h));
+        const maxV = Math.max(...components.map(component => component.v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcusPerColumn = Math.ceil(height / (8 * maxV));
+        for (const component of components) {
+          component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+          component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+          component.blocksPerLineForMcu = mcusPerLine * component.h;
+          component.blocksPerColumnForMcu = mcusPerColumn * component.v;
+          component.coefficients = new Int16Array(component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64);
+        }
+        frame = { width, height, progressive: marker === 0xc2, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+        break;
+      }
+      case 0xda: { // SOS
+        if (!frame) throw new Error('JPEG scan before its frame header');
+        const scanComponents = [];
+        for (let i = 0; i < segment[0]; i++) {
+          const component = frame.components.find(candidate => candidate.id === segment[1 + i * 2]);
+          if (!component) throw new Error('JPEG scan refers to an unknown component');
+          component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+          component.acTable = acTables[segment[2 + i * 2] & 15];
+          scanComponents.push(component);
+        }
+        const at = 1 + segment[0] * 2;
+        const spectralStart = segment[at];
+        const spectralEnd = segment[at + 1];
+        const approxHigh = segment[at + 2] >> 4;
+        const approxLow = segment[at + 2] & 15;
+        for (const component of scanComponents) {
+          const needsDc = !frame.progressive || (spectralStart === 0 && approxHigh === 0);
+          const needsAc = !frame.progressive || spectralStart > 0;
+          if ((needsDc && !component.dcTable) || (needsAc && !component.acTable)) {
+            throw new Error('JPEG scan uses an undefined Huffman table');
+          }
+        }
+        offset = decodeScan(buffer, offset + length, frame, scanComponents, restartInterval,
+          spectralStart, spectralEnd, approxHigh, approxLow);
+        continue;
+      }
+      default:
+        if ((marker >= 0xc3 && marker <= 0xcf) && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          throw new Error('Lossless, hierarchical and arithmetic-coded JPEGs are not supported');
+        }
+    }
+    offset += length;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header');
+  for (const component of frame.components) {
+    component.quantization = quantizationTables[component.quantizationId];
+    if (!component.quantization) throw new Error('JPEG uses an undefined quantization table');
+  }
+
+  const { width, height, components, maxH, maxV } = frame;
+  const planes = components.map(component => ({ ...buildPlane(component), component }));
+  // Samples of component c at pixel (x, y), upsampled by repetition
+  const sample = (c, x, y) => {
+    const { plane, width: planeWidth, component } = planes[c];
+    return plane[Math.floor((y * component.v) / maxV) * planeWidth + Math.floor((x * component.h) / maxH)];
+  };
+
+  // Colour model: Adobe's transform flag wins, then JFIF (always YCbCr), then
+  // the usual component ids ('R', 'G', 'B' mean RGB)
+  const transform = adobeTransform !== null ? adobeTransform !== 0 :
+    jfif || components.length !== 3 || !(components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42);
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      data[out + 3] = 255;
+      if (components.length === 1) {
+        data[out] = data[out + 1] = data[out + 2] = sample(0, x, y);
+        continue;
+      }
+      let c0 = sample(0, x, y);
+      let c1 = sample(1, x, y);
+      let c2 = sample(2, x, y);
+      if (transform && (components.length === 3 || adobeTransform === 2)) {
+        const Y = c0;
+        const cb = c1 - 128;
+        const cr = c2 - 128;
+        c0 = clamp(Y + 1.402 * cr);
+        c1 = clamp(Y - 0.344136 * cb - 0.714136 * cr);
+        c2 = clamp(Y + 1.772 * cb);
+      }
+      if (components.length === 4) {
+        // Adobe writes CMYK inverted, so the stored values are already 255 - ink
+        let k = sample(3, x, y);
+        if (adobeTransform === null) {
+          c0 = 255 - c0;
+          c1 = 255 - c1;
+          c2 = 255 - c2;
+          k = 255 - k;
+        }
+        c0 = clamp((c0 * k) / 255);
+        c1 = clamp((c1 * k) / 255);
+        c2 = clamp((c2 * k) / 255);
+      }
+      data[out] = c0;
+      data[out + 1] = c1;
+      data[out + 2] = c2;
+    }
+  }
+
+  return { width, height, data, orientation };
+}
+
+// Standard tables from Annex K of the JPEG specification
+const LUMINANCE_QUANTIZATION = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99,
+];
+const CHROMINANCE_QUANTIZATION = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+];
+const STANDARD_HUFFMAN = {
+  dcLuminance: {
+    counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  dcChrominance: {
+    counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  acLuminance: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    symbols: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+      0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+      0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+      0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+      0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+      0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+      0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+      0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+      0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa,
+    ],
+  },
+  acChrominance: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    symbols: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+      0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+      0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+      0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+      0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+      0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+      0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+      0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+      0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+      0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa,
+    ],
+  },
+};
+
+// Huffman code and length for every symbol of a table
+function encodingTable({ counts, symbols }) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes[symbols[k]] = code++;
+      lengths[symbols[k]] = length;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { codes, lengths };
+}
+
+// Quantization table (natural order) for a 1-100 quality, scaled like libjpeg
+function scaledQuantization(base, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return base.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+// Growable byte buffer with a bit writer for entropy-coded data
+class ByteWriter {
+  constructor(size = 65536) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte(value >> 8);
+    this.byte(value & 0xff);
+  }
+
+  array(values) {
+    for (const value of values) this.byte(value);
+  }
+
+  bits(value, count) {
+    for (let i = count - 1; i >= 0; i--) {
+      this.bitBuffer = (this.bitBuffer << 1) | ((value >> i) & 1);
+      if (++this.bitCount === 8) {
+        this.byte(this.bitBuffer);
+        // 0xFF in entropy-coded data is followed by a stuffed zero
+        if (this.bitBuffer === 0xff) this.byte(0);
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  // Pad the last byte with one bits
+  flushBits() {
+    if (this.bitCount > 0) this.bits(0xff, 8 - this.bitCount);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes.buffer, 0, this.length);
+  }
+}
+
+// Encode an RGBA image as a baseline JPEG. Transparent pixels are composited
+// onto white, since JPEG has no alpha channel.
+export function encodeJpeg({ width, height, data }, quality = 80) {
+  quality = Math.min(100, Math.max(1, Math.round(quality)));
+  const quantization = [scaledQuantization(LUMINANCE_QUANTIZATION, quality), scaledQuantization(CHROMINANCE_QUANTIZATION, quality)];
+  const tables = {
+    dc: [encodingTable(STANDARD_HUFFMAN.dcLuminance), encodingTable(STANDARD_HUFFMAN.dcChrominance)],
+    ac: [encodingTable(STANDARD_HUFFMAN.acLuminance), encodingTable(STANDARD_HUFFMAN.acChrominance)],
+  };
+
+  const out = new ByteWriter(Math.max(65536, width * height));
+  out.word(0xffd8);
+
+  // JFIF header: version 1.1, no density, no thumbnail
+  out.word(0xffe0);
+  out.word(16);
+  out.array([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+
+  out.word(0xffdb);
+  out.word(2 + 2 * 65);
+  quantization.forEach((table, id) => {
+    out.byte(id);
+    for (let k = 0; k < 64; k++) out.byte(table[ZIGZAG[k]]);
+  });
+
+  // Frame: Y sampled 2x2, Cb and Cr once per 16x16 MCU
+  out.word(0xffc0);
+  out.word(17);
+  out.byte(8);
+  out.word(height);
+  out.word(width);
+  out.byte(3);
+  out.array([1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+
+  out.word(0xffc4);
+  const huffman = [
+    [0x00, STANDARD_HUFFMAN.dcLuminance], [0x10, STANDARD_HUFFMAN.acLuminance],
+    [0x01, STANDARD_HUFFMAN.dcChrominance], [0x11, STANDARD_HUFFMAN.acChrominance],
+  ];
+  out.word(2 + huffman.reduce((sum, [, table]) => sum + 17 + table.symbols.length, 0));
+  for (const [id, table] of huffman) {
+    out.byte(id);
+    out.array(table.counts);
+    out.array(table.symbols);
+  }
+
+  out.word(0xffda);
+  out.word(12);
+  out.byte(3);
+  out.array([1, 0x00, 2, 0x11, 3, 0x11]);
+  out.array([0, 63, 0]);
+
+  // Colour planes for one MCU: 16x16 luma, 8x8 averaged chroma
+  const luma = new Float64Array(256);
+  const cb = new Float64Array(64);
+  const cr = new Float64Array(64);
+  const block = new Float64Array(64);
+  const temp = new Float64Array(64);
+  const predictions = [0, 0, 0];
+
+  const encodeBlock = (samples, stride, x0, y0, component) => {
+    const table = quantization[component === 0 ? 0 : 1];
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) block[y * 8 + x] = samples[(y0 + y) * stride + x0 + x] - 128;
+    }
+    // Forward DCT, rows then columns
+    for (let y = 0; y < 8; y++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let x = 0; x < 8; x++) sum += DCT_TABLE[x * 8 + u] * block[y * 8 + x];
+        temp[y * 8 + u] = sum;
+      }
+    }
+    const coefficients = new Int32Array(64);
+    for (let u = 0; u < 8; u++) {
+      for (let v = 0; v < 8; v++) {
+        let sum = 0;
+        for (let y = 0; y < 8; y++) sum += DCT_TABLE[y * 8 + v] * temp[y * 8 + u];
+        coefficients[v * 8 + u] = Math.round(sum / table[v * 8 + u]);
+      }
+    }
+
+    const dcTable = tables.dc[component === 0 ? 0 : 1];
+    const acTable = tables.ac[component === 0 ? 0 : 1];
+    const writeValue = (value, symbolTable, prefix) => {
+      const magnitude = Math.abs(value);
+      const size = magnitude === 0 ? 0 : 32 - Math.clz32(magnitude);
+      const symbol = prefix | size;
+      out.bits(symbolTable.codes[symbol], symbolTable.lengths[symbol]);
+      if (size > 0) out.bits(value < 0 ? value + (1 << size) - 1 : value, size);
+    };
+
+    const dc = coefficients[0];
+    writeValue(dc - predictions[component], dcTable, 0);
+    predictions[component] = dc;
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = coefficients[ZIGZAG[k]];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        out.bits(acTable.codes[0xf0], acTable.lengths[0xf0]);
+        run -= 16;
+      }
+      writeValue(value, acTable, run << 4);
+      run = 0;
+    }
+    if (run > 0) out.bits(acTable.codes[0x00], acTable.lengths[0x00]);
+  };
+
+  for (let mcuY = 0; mcuY < height; mcuY += 16) {
+    for (let mcuX = 0; mcuX < width; mcuX += 16) {
+      cb.fill(0);
+      cr.fill(0);
+      for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+          // Edge MCUs repeat the last row and column
+          const px = Math.min(mcuX + x, width - 1);
+          const py = Math.min(mcuY + y, height - 1);
+          const at = (py * width + px) * 4;
+          const alpha = data[at + 3] / 255;
+          const r = data[at] * alpha + 255 * (1 - alpha);
+          const g = data[at + 1] * alpha + 255 * (1 - alpha);
+          const b = data[at + 2] * alpha + 255 * (1 - alpha);
+          luma[y * 16 + x] = 0.299 * r + 0.587 * g + 0.114 * b;
+          const chroma = (y >> 1) * 8 + (x >> 1);
+          cb[chroma] += (-0.168736 * r - 0.331264 * g + 0.5 * b + 128) / 4;
+          cr[chroma] += (0.5 * r - 0.418688 * g - 0.081312 * b + 128) / 4;
+        }
+      }
+      encodeBlock(luma, 16, 0, 0, 0);
+      encodeBlock(luma, 16, 8, 0, 0);
+      encodeBlock(luma, 16, 0, 8, 0);
+      encodeBlock(luma, 16, 8, 8, 0);
+      encodeBlock(cb, 8, 0, 0, 1);
+      encodeBlock(cr, 8, 0, 0, 2);
+    }
+  }
+
+  out.flushBits();
+  out.word(0xffd9);
+  return out.toBuffer();
+}
@@ -0,0 +1,151 @@
+import sqlite3 from "sqlite3";
+import { promisify } from "util";
+import path from "path";
+import fsSync from "fs";
+import { PLAIN_TEXT_TYPES } from "./content-types.js";
+import { CLASSIFIER_VERSION } from "./content-kinds.js";
+
+// Items are (re)classified in batches to keep memory flat on large histories
+const SYNC_BATCH_SIZE = 500;
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS cache_meta (key TEXT PRIMARY KEY, value TEXT)`,
+  `CREATE TABLE IF NOT EXISTS item_kinds (
+     id INTEGER PRIMARY KEY, signature TEXT NOT NULL,
+     kind TEXT NOT NULL, tags TEXT NOT NULL, language TEXT
+   )`,
+];
+
+// Classification (see content-kinds.js) of every item in a Maccy-schema
+// database, stored in the server's own SQLite file so that kind filters and
+// statistics don't reclassify the whole history on each call. Synced like the
+// search index: only items whose copy time or copy count changed are read
+// again, and items that were deleted or hidden by the privacy rules are dropped.
+export class KindCache {
+  constructor(cachePath) {
+    fsSync.mkdirSync(path.dirname(cachePath), { recursive: true });
+    this.cachePath = cachePath;
+    this.db = new sqlite3.Database(cachePath);
+    this.db.configure('busyTimeout', 10000);
+
+    this.get = promisify(this.db.get.bind(this.db));
+    this.all = promisify(this.db.all.bind(this.db));
+    this.run = promisify(this.db.run.bind(this.db));
+
+    this.ready = null;
+    this.syncing = null;
+    this.lastState = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        for (const statement of SCHEMA) {
+          await this.run(statement);
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  // Bring the cache up to date with the database behind `clipboardDb`.
+  // Concurrent callers share the same in-flight sync.
+  sync(clipboardDb) {
+    if (!this.syncing) {
+      this.syncing = this.doSync(clipboardDb).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async doSync(clipboardDb) {
+    await this.init();
+
+    // Start over for a different database or changed classification rules
+    const source = `${clipboardDb.dbPath}\u001f${CLASSIFIER_VERSION}`;
+    const cached = await this.get(`SELECT value FROM cache_meta WHERE key = 'source'`);
+    if (cached?.value !== source) {
+      await this.run(`DELETE FROM item_kinds`);
+      await this.run(`INSERT OR REPLACE INTO cache_meta (key, value) VALUES ('source', ?)`, [source]);
+    }
+
+    // Skip the item-by-item comparison while the history looks the same as at
+    // the last sync: any copy, recopy or deletion changes these totals
+    const filter = await clipboardDb.buildFilterClause();
+    const totals = await clipboardDb.get(`
+      SELECT COUNT(*) as count, MAX(h.Z_PK) as maxId, MAX(h.ZLASTCOPIEDAT) as newest, SUM(h.ZNUMBEROFCOPIES) as copies
+      FROM ZHISTORYITEM h WHERE 1=1 ${filter.sql}
+    `, filter.params);
+    const state = JSON.stringify([source, filter.sql, filter.params, totals]);
+    if (state === this.lastState) {
+      return { classified: 0, removed: 0 };
+    }
+
+    const sourceRows = await clipboardDb.all(`
+      SELECT h.Z_PK as id, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES FROM ZHISTORYITEM h WHERE 1=1 ${filter.sql}
+    `, filter.params);
+    const cachedRows = await this.all(`SELECT id, signature FROM item_kinds`);
+    const signatures = new Map(cachedRows.map(row => [row.id, row.signature]));
+
+    const changed = [];
+    const seen = new Set();
+    for (const row of sourceRows) {
+      const signature = `${row.ZLASTCOPIEDAT}:${row.ZNUMBEROFCOPIES}`;
+      seen.add(row.id);
+      if (signatures.get(row.id) !== signature) changed.push(row.id);
+    }
+    const removed = cachedRows.filter(row => !seen.has(row.id)).map(row => row.id);
+
+    if (changed.length === 0 && removed.length === 0) {
+      this.lastState = state;
+      return { classified: 0, removed: 0 };
+    }
+
+    await this.run('BEGIN');
+    try {
+      for (const id of removed) {
+        await this.run(`DELETE FROM item_kinds WHERE id = ?`, [id]);
+      }
+
+      for (let i = 0; i < changed.length; i += SYNC_BATCH_SIZE) {
+        const ids = changed.slice(i, i + SYNC_BATCH_SIZE);
+        const items = await clipboardDb.all(`
+          SELECT h.Z_PK as id, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES, ${clipboardDb.kindColumns()}
+          FROM ZHISTORYITEM h WHERE h.Z_PK IN (${ids.map(() => '?').join(', ')})
+        `, [...PLAIN_TEXT_TYPES, ...ids]);
+
+        for (const item of items) {
+          const { kind, tags, language } = clipboardDb.classifyRow(item);
+          await this.run(
+            `INSERT OR REPLACE INTO item_kinds (id, signature, kind, tags, language) VALUES (?, ?, ?, ?, ?)`,
+            [item.id, `${item.ZLASTCOPIEDAT}:${item.ZNUMBEROFCOPIES}`, kind, tags.join(','), language]
+          );
+        }
+      }
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+
+    this.lastState = state;
+    return { classified: changed.length, removed: removed.length };
+  }
+
+  // IDs of the cached items tagged with any of `kinds`
+  async idsTagged(kinds) {
+    await this.init();
+    const rows = await this.all(`
+      SELECT id FROM item_kinds WHERE ${kinds.map(() => `(',' || tags || ',') LIKE ?`).join(' OR ')}
+    `, kinds.map(kind => `%,${kind},%`));
+    return rows.map(row => row.id);
+  }
+
+  // Map of item ID to { kind, tags, language } for every cached item
+  async classifications() {
+    await this.init();
+    const rows = await this.all(`SELECT id, kind, tags, language FROM item_kinds`);
+    return new Map(rows.map(row => [row.id, { kind: row.kind, tags: row.tags.split(','), language: row.language }]));
+  }
+}
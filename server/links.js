@@ -0,0 +1,157 @@
+// Link harvesting for extract_links. URLs are pulled from the plain text, HTML
+// (href attributes and visible text) and public.url representations of items,
+// normalized so that the same page copied twice counts once, stripped of
+// tracking parameters and grouped by domain.
+
+import { decodeText, PLAIN_TEXT_TYPES } from "./content-types.js";
+import { decodeEntities } from "./markdown.js";
+
+// Representations scanned for links
+export const LINK_TYPES = ['public.url', 'public.html', ...PLAIN_TEXT_TYPES];
+
+const URL_IN_TEXT = /\b(?:(?:https?|ftp):\/\/|www\.)[^\s<>"'`]+/gi;
+const HREF_ATTRIBUTE = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+// Query parameters that only identify the campaign, click or share a link came
+// from, never the page itself
+const TRACKING_PARAMETERS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'li_fat_id', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'vero_id', '_ga', '_gl', 'ref_src', 'ref_url', 'spm',
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'hsa_'];
+
+function isTrackingParameter(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMETERS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+function count(text, character) {
+  return text.split(character).length - 1;
+}
+
+// Drop punctuation that ends the sentence around a URL rather than the URL,
+// keeping closing brackets the URL opened itself (as in Wikipedia links)
+function trimUrl(candidate) {
+  let url = candidate;
+  while (true) {
+    const trimmed = url.replace(/[.,;:!?'"…*_]+$/, '');
+    const last = trimmed[trimmed.length - 1];
+    const open = { ')': '(', ']': '[', '}': '{' }[last];
+    url = open && count(trimmed, last) > count(trimmed, open) ? trimmed.slice(0, -1) : trimmed;
+    if (url === trimmed) return url;
+  }
+}
+
+// Canonical form of a URL, or null when it isn't a web link: the scheme is
+// added to bare www. addresses, the host lower-cased, default ports, tracking
+// parameters and text fragments (#:~:text=) removed.
+export function normalizeUrl(raw) {
+  let candidate = raw.trim();
+  if (/^www\./i.test(candidate)) candidate = `https://${candidate}`;
+  let url;
+  try {
+    url = new URL(candidate);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:', 'ftp:'].includes(url.protocol)) return null;
+  if (!url.hostname.includes('.') && url.hostname !== 'localhost') return null;
+
+  // Parameters are filtered as written, so the rest keep their original encoding
+  const kept = url.search.slice(1).split('&').filter(pair => {
+    const name = pair.split('=')[0];
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch {
+      // Malformed escapes are compared as written
+    }
+    return pair !== '' && !isTrackingParameter(decoded);
+  });
+  url.search = kept.length > 0 ? `?${kept.join('&')}` : '';
+  if (url.hash.startsWith('#:~:') || url.hash === '#') url.hash = '';
+  return url.href;
+}
+
+// What links are deduplicated on: a normalized URL without its scheme (http
+// and https), leading www., fragment and trailing slash, with the query
+// parameters sorted. Links that only differ in those point at the same page.
+export function urlKey(url) {
+  const parsed = new URL(url);
+  const parameters = parsed.search.slice(1).split('&').filter(pair => pair !== '').sort();
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const scheme = parsed.protocol === 'ftp:' ? 'ftp://' : '//';
+  return `${scheme}${parsed.host.replace(/^www\./, '')}${pathname}${parameters.length > 0 ? `?${parameters.join('&')}` : ''}`;
+}
+
+// Domain a link is grouped under: its host without a leading www.
+export function domainOf(url) {
+  return new URL(url).hostname.replace(/^www\./, '');
+}
+
+// Raw URL candidates in one representation
+export function extractUrls(type, value) {
+  let text = decodeText(value);
+  if (type === 'public.url') return [text.trim()];
+
+  const found = [];
+  if (type === 'public.html') {
+    for (const match of text.matchAll(HREF_ATTRIBUTE)) found.push(decodeEntities(match[1] ?? match[2] ?? match[3]));
+    text = decodeEntities(text.replace(/<[^>]*>/g, ' '));
+  }
+  for (const match of text.matchAll(URL_IN_TEXT)) found.push(trimUrl(match[0]));
+  return found;
+}
+
+// Gathers the links of scanned items, one entry per page (see urlKey) with the
+// items it came from and the first and last time any of them was copied. The
+// URL shown is the first normalized form seen.
+// Times are whatever the caller passes (Maccy timestamps in ClipboardDB).
+export class LinkCollector {
+  constructor() {
+    this.byUrl = new Map();
+  }
+
+  // rows: the item's { ZTYPE, ZVALUE } content rows. Returns how many distinct links it had.
+  add({ id, firstCopiedAt, lastCopiedAt }, rows) {
+    const urls = new Map();
+    for (const row of rows) {
+      if (!LINK_TYPES.includes(row.ZTYPE) || row.ZVALUE === null) continue;
+      for (const raw of extractUrls(row.ZTYPE, row.ZVALUE)) {
+        const url = normalizeUrl(raw);
+        if (url && !urls.has(urlKey(url))) urls.set(urlKey(url), url);
+      }
+    }
+
+    for (const [key, url] of urls) {
+      const link = this.byUrl.get(key);
+      if (link) {
+        link.firstCopiedAt = Math.min(link.firstCopiedAt, firstCopiedAt);
+        link.lastCopiedAt = Math.max(link.lastCopiedAt, lastCopiedAt);
+        link.itemIds.push(id);
+      } else {
+        this.byUrl.set(key, { url, domain: domainOf(url), firstCopiedAt, lastCopiedAt, itemIds: [id] });
+      }
+    }
+    return urls.size;
+  }
+
+  // Every link, most recently copied first
+  links() {
+    return [...this.byUrl.values()].sort((a, b) => b.lastCopiedAt - a.lastCopiedAt || a.url.localeCompare(b.url));
+  }
+}
+
+// Group links by domain: domains with the most links first (ties broken by the
+// most recent copy), each domain's links in the order given
+export function groupLinksByDomain(links) {
+  const groups = new Map();
+  for (const link of links) {
+    if (!groups.has(link.domain)) groups.set(link.domain, { domain: link.domain, lastCopiedAt: link.lastCopiedAt, links: [] });
+    const group = groups.get(link.domain);
+    group.links.push(link);
+    group.lastCopiedAt = Math.max(group.lastCopiedAt, link.lastCopiedAt);
+  }
+  return [...groups.values()].sort((a, b) => b.links.length - a.links.length || b.lastCopiedAt - a.lastCopiedAt);
+}
@@ -0,0 +1,595 @@
+// Converts the rich pasteboard representations Maccy stores (public.html from
+// browsers, public.rtf from Pages/Word/TextEdit) into Markdown, keeping links,
+// emphasis, lists, tables and code blocks. Both converters are small tolerant
+// parsers: clipboard fragments are rarely well-formed documents.
+
+import { decodeText, PLAIN_TEXT_TYPES } from "./content-types.js";
+
+// Placeholder characters protected from whitespace cleanup and swapped back at the end
+const INDENT = '\u0001';
+const CODE_MARK = '\u0002';
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+  trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“',
+  rdquo: '”', bull: '•', middot: '·', euro: '€', pound: '£', yen: '¥', cent: '¢',
+  times: '×', divide: '÷', deg: '°', para: '¶', sect: '§', laquo: '«', raquo: '»',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[body.toLowerCase()] ?? entity;
+  });
+}
+
+// Normalise blank lines and strip indentation that came from source formatting,
+// then restore the protected list indentation and code blocks
+function finalize(markdown, codeBlocks) {
+  return markdown
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(new RegExp(INDENT, 'g'), ' ')
+    .replace(new RegExp(`${CODE_MARK}(\\d+)${CODE_MARK}`, 'g'), (_, index) => codeBlocks[Number(index)]);
+}
+
+function fence(code, language = '') {
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return `${marker}${language}\n${code.replace(/\n+$/, '')}\n${marker}`;
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const VOID_ELEMENTS = new Set(['br', 'img', 'hr', 'meta', 'link', 'input', 'col', 'source', 'wbr', 'area', 'base']);
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'head', 'title', 'template', 'noscript', 'svg']);
+// Opening one of these implicitly closes an open element of the listed kinds
+const IMPLICIT_CLOSE = {
+  li: ['li'], p: ['p'], tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'],
+  dt: ['dt', 'dd'], dd: ['dt', 'dd'], option: ['option'],
+};
+// Elements that stop the implicit-close search (a nested list starts a new scope)
+const SCOPE_ELEMENTS = new Set(['ul', 'ol', 'table', 'tbody', 'thead', 'tfoot', 'dl', 'blockquote', 'div']);
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+// Tolerant HTML parser producing { type: 'element', tag, attributes, children } / { type: 'text', text }
+export function parseHtml(html) {
+  const root = { type: 'element', tag: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const addText = text => {
+    if (text) current().children.push({ type: 'text', text: decodeEntities(text) });
+  };
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    addText(html.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+    if (!match[2]) continue; // comment, doctype, CDATA, processing instruction
+
+    const tag = match[2].toLowerCase();
+    if (match[1]) {
+      // Closing tag: pop back to the matching element if it is open
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const closes = IMPLICIT_CLOSE[tag];
+    if (closes) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (SCOPE_ELEMENTS.has(stack[i].tag)) break;
+        if (closes.includes(stack[i].tag)) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+
+    const node = { type: 'element', tag, attributes: parseAttributes(match[3]), children: [] };
+    current().children.push(node);
+
+    if (DROPPED_ELEMENTS.has(tag)) {
+      // Skip raw content up to the closing tag
+      const end = html.toLowerCase().indexOf(`</${tag}`, lastIndex);
+      lastIndex = end === -1 ? html.length : end;
+      tokenPattern.lastIndex = lastIndex;
+    } else if (!VOID_ELEMENTS.has(tag) && !match[4]) {
+      stack.push(node);
+    }
+  }
+  addText(html.slice(lastIndex));
+  return root;
+}
+
+function textContent(node) {
+  if (node.type === 'text') return node.text;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(textContent).join('');
+}
+
+function escapeInline(text) {
+  return text.replace(/([*`\\])/g, '\\$1');
+}
+
+// Wrap inline content in a marker, keeping surrounding spaces outside it
+function wrapInline(content, marker) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+function codeLanguage(node) {
+  const classes = [node.attributes.class, ...node.children.filter(child => child.tag === 'code').map(child => child.attributes.class)]
+    .filter(Boolean).join(' ');
+  const match = /(?:^|\s)(?:language|lang)-([\w+#-]+)/.exec(classes);
+  return match ? match[1] : '';
+}
+
+function renderTable(node, ctx) {
+  const rows = [];
+  const collectRows = parent => {
+    for (const child of parent.children) {
+      if (child.type !== 'element') continue;
+      if (child.tag === 'tr') {
+        rows.push(child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th'));
+      } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+        collectRows(child);
+      }
+    }
+  };
+  collectRows(node);
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const renderCell = cell => renderNodes(cell.children, ctx)
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\|/g, '\\|')
+    .trim();
+  const lines = rows.map(row => {
+    const cells = row.map(renderCell);
+    while (cells.length < columns) cells.push('');
+    return `| ${cells.join(' | ')} |`;
+  });
+  lines.splice(1, 0, `| ${Array(columns).fill('---').join(' | ')} |`);
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+function renderList(node, ctx) {
+  const ordered = node.tag === 'ol';
+  let number = Number(node.attributes.start) || 1;
+  const items = [];
+
+  for (const child of node.children) {
+    if (child.type !== 'element' || child.tag !== 'li') continue;
+    const marker = ordered ? `${number++}. ` : '- ';
+    // A nested list follows its item's text directly, without a blank line
+    const body = finalize(renderNodes(child.children, ctx), ctx.codeBlocks)
+      .replace(/\n\n(?=(?:- |\d+\. ))/g, '\n');
+    // Continuation lines are indented under the marker; the indent survives cleanup
+    const indented = body.split('\n').map((line, i) => (i === 0 || line === '' ? line : INDENT.repeat(marker.length) + line));
+    items.push(marker + indented.join('\n'));
+  }
+
+  return `\n\n${items.join('\n')}\n\n`;
+}
+
+function renderNode(node, ctx) {
+  if (node.type === 'text') {
+    return escapeInline(node.text.replace(/\s+/g, ' '));
+  }
+
+  const children = () => renderNodes(node.children, ctx);
+  switch (node.tag) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return `\n\n${'#'.repeat(Number(node.tag[1]))} ${children().replace(/\s+/g, ' ').trim()}\n\n`;
+    case 'p': case 'div': case 'section': case 'article': case 'header': case 'footer':
+    case 'main': case 'nav': case 'aside': case 'figure': case 'figcaption': case 'address':
+    case 'dl': case 'dt': case 'dd': case 'details': case 'summary':
+      return `\n\n${children()}\n\n`;
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong': case 'b':
+      return wrapInline(children(), '**');
+    case 'em': case 'i': case 'cite':
+      return wrapInline(children(), '*');
+    case 's': case 'del': case 'strike':
+      return wrapInline(children(), '~~');
+    case 'code': case 'kbd': case 'samp': case 'tt': {
+      const code = textContent(node).replace(/\s+/g, ' ');
+      if (!code.trim()) return code;
+      const ticks = code.includes('`') ? '``' : '`';
+      return `${ticks}${code}${ticks}`;
+    }
+    case 'pre': {
+      ctx.codeBlocks.push(fence(textContent(node), codeLanguage(node)));
+      return `\n\n${CODE_MARK}${ctx.codeBlocks.length - 1}${CODE_MARK}\n\n`;
+    }
+    case 'a': {
+      const text = children().replace(/\s+/g, ' ').trim();
+      const href = node.attributes.href;
+      if (!href || href.startsWith('javascript:')) return text;
+      if (!text) return `<${href}>`;
+      return text === href ? `<${href}>` : `[${text}](${href.replace(/\s/g, '%20').replace(/\)/g, '%29')})`;
+    }
+    case 'img': {
+      const src = node.attributes.src;
+      if (!src || src.startsWith('data:')) return node.attributes.alt || '';
+      return `![${node.attributes.alt || ''}](${src})`;
+    }
+    case 'ul': case 'ol':
+      return renderList(node, ctx);
+    case 'li':
+      // A list item outside a list
+      return `\n\n- ${children()}\n\n`;
+    case 'blockquote': {
+      const body = finalize(children(), ctx.codeBlocks);
+      return `\n\n${body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+    }
+    case 'table':
+      return renderTable(node, ctx);
+    default:
+      return DROPPED_ELEMENTS.has(node.tag) ? '' : children();
+  }
+}
+
+function renderNodes(nodes, ctx) {
+  return nodes.map(node => renderNode(node, ctx)).join('');
+}
+
+export function htmlToMarkdown(html) {
+  const ctx = { codeBlocks: [] };
+  return finalize(renderNodes(parseHtml(String(html)).children, ctx), ctx.codeBlocks);
+}
+
+// ---------------------------------------------------------------------------
+// RTF
+// ---------------------------------------------------------------------------
+
+// Windows-1252 characters in the 0x80-0x9F range, which \'hh escapes use
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+// Destinations whose content is never visible text
+const SKIPPED_DESTINATIONS = new Set([
+  'colortbl', 'expandedcolortbl', 'stylesheet', 'info', 'pict', 'header', 'headerl', 'headerr',
+  'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'object', 'listtable', 'listoverridetable',
+  'rsidtbl', 'latentstyles', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore',
+  'generator', 'filetbl', 'revtbl', 'bkmkstart', 'bkmkend', 'nonshppict',
+]);
+
+const SYMBOL_WORDS = {
+  tab: '\t', emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’',
+  ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ', qmspace: ' ',
+};
+
+const MONOSPACE_FONT = /courier|menlo|monaco|consolas|mono|inconsolata|fira code|source code/i;
+
+// Parse RTF into paragraphs of formatted runs. Each paragraph records whether it
+// sits in a table cell and each run its bold/italic/monospace/link state.
+export function parseRtf(rtf) {
+  const paragraphs = [];
+  const fonts = {};
+  let runs = [];
+  let table = null; // { rows: [[cellParagraphs]], cells: [], cellRuns: [] }
+
+  let state = { bold: false, italic: false, font: null, skip: false, destination: null, uc: 1, link: null, field: null, listText: false, inTable: false };
+  const stack = [];
+  let pendingSkip = 0; // characters still to skip after a \uN escape
+  let fontDraft = null;
+
+  const emit = text => {
+    if (!text) return;
+    if (pendingSkip > 0) {
+      const skipped = Math.min(pendingSkip, text.length);
+      pendingSkip -= skipped;
+      text = text.slice(skipped);
+      if (!text) return;
+    }
+    if (state.destination === 'fonttbl') {
+      if (fontDraft) fontDraft.name += text;
+      return;
+    }
+    if (state.destination === 'fldinst') {
+      state.field.instruction += text;
+      return;
+    }
+    if (state.skip) return;
+
+    const mono = state.font !== null && Boolean(fonts[state.font]?.mono);
+    const last = runs[runs.length - 1];
+    if (last && last.bold === state.bold && last.italic === state.italic && last.mono === mono && last.link === state.link) {
+      last.text += text;
+    } else {
+      runs.push({ text, bold: state.bold, italic: state.italic, mono, link: state.link });
+    }
+  };
+
+  const endParagraph = () => {
+    if (state.inTable && table) {
+      table.cellRuns.push(...runs, { text: ' ', bold: false, italic: false, mono: false, link: null });
+    } else {
+      paragraphs.push({ runs });
+    }
+    runs = [];
+  };
+
+  const tokenPattern = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/g;
+  let match;
+  while ((match = tokenPattern.exec(rtf)) !== null) {
+    const [, word, param, hex, symbol, brace, text] = match;
+
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state };
+      continue;
+    }
+    if (brace === '}') {
+      if (state.destination === 'fonttbl' && fontDraft) {
+        const name = fontDraft.name.replace(/;\s*$/, '').trim();
+        fonts[fontDraft.id] = { name, mono: fontDraft.modern || MONOSPACE_FONT.test(name) };
+        fontDraft = null;
+      }
+      const closing = state;
+      state = stack.pop() || state;
+      // Leaving \fldinst: resolve the link target for the field result
+      if (closing.destination === 'fldinst' && closing.field) {
+        const hyperlink = /HYPERLINK\s+"([^"]+)"/i.exec(closing.field.instruction);
+        if (hyperlink && state.field) state.field.url = hyperlink[1];
+      }
+      continue;
+    }
+    if (text !== undefined) {
+      emit(text);
+      continue;
+    }
+    if (hex !== undefined) {
+      const code = parseInt(hex, 16);
+      emit(CP1252[code] || String.fromCharCode(code));
+      continue;
+    }
+    if (symbol !== undefined) {
+      if (symbol === '*') {
+        // Ignorable destination unless we understand it (checked on the next word)
+        state.starred = true;
+      } else if (symbol === '~') {
+        emit(' ');
+      } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+        emit(symbol);
+      } else if (symbol === '\n' || symbol === '\r') {
+        endParagraph();
+      }
+      continue;
+    }
+    if (word === undefined) continue; // bare newline in the source
+
+    const value = param === undefined ? null : Number(param);
+    switch (word) {
+      case 'fonttbl':
+        state.destination = 'fonttbl';
+        state.skip = true;
+        break;
+      case 'f':
+        if (state.destination === 'fonttbl') {
+          fontDraft = { id: value, name: '', modern: false };
+        } else {
+          state.font = value;
+        }
+        break;
+      case 'fmodern':
+        if (fontDraft) fontDraft.modern = true;
+        break;
+      case 'field':
+        state.field = { instruction: '', url: null };
+        break;
+      case 'fldinst':
+        state.destination = 'fldinst';
+        state.skip = true;
+        break;
+      case 'fldrslt':
+        state.skip = false;
+        state.link = state.field?.url || null;
+        break;
+      case 'b':
+        state.bold = value !== 0;
+        break;
+      case 'i':
+        state.italic = value !== 0;
+        break;
+      case 'plain':
+        state.bold = false;
+        state.italic = false;
+        break;
+      case 'uc':
+        state.uc = value ?? 1;
+        break;
+      case 'u': {
+        const code = value < 0 ? value + 65536 : value;
+        emit(String.fromCharCode(code));
+        pendingSkip = state.uc;
+        break;
+      }
+      case 'par':
+      case 'sect':
+        endParagraph();
+        break;
+      case 'line':
+        emit('\n');
+        break;
+      case 'pard':
+        state.inTable = false;
+        break;
+      case 'intbl':
+        state.inTable = true;
+        if (!table) table = { rows: [], cells: [], cellRuns: [] };
+        break;
+      case 'cell':
+        if (table) {
+          table.cellRuns.push(...runs);
+          runs = [];
+          table.cells.push(table.cellRuns);
+          table.cellRuns = [];
+        }
+        break;
+      case 'row':
+        if (table) {
+          table.rows.push(table.cells);
+          table.cells = [];
+          table.cellRuns = [];
+        }
+        break;
+      case 'listtext':
+      case 'pntext':
+        state.listText = true;
+        break;
+      default:
+        if (SYMBOL_WORDS[word]) {
+          emit(SYMBOL_WORDS[word]);
+        } else if (SKIPPED_DESTINATIONS.has(word) || state.starred) {
+          state.skip = true;
+        }
+    }
+
+    // A row that isn't followed by another table row ends the table
+    if (word === 'pard' && table && table.rows.length > 0 && table.cells.length === 0) {
+      const nextRow = /^\s*(\\[a-z]+-?\d* ?)*?\\(intbl|trowd)/i.test(rtf.slice(tokenPattern.lastIndex, tokenPattern.lastIndex + 200));
+      if (!nextRow) {
+        paragraphs.push({ table: table.rows });
+        table = null;
+      }
+    }
+    state.starred = false;
+  }
+
+  if (table && table.rows.length > 0) paragraphs.push({ table: table.rows });
+  if (runs.length > 0) endParagraph();
+  return paragraphs;
+}
+
+function renderRuns(runs) {
+  let output = '';
+  let linkText = '';
+  let linkUrl = null;
+
+  const flushLink = () => {
+    if (linkUrl !== null) {
+      output += linkText.trim() ? `[${linkText.trim()}](${linkUrl})` : `<${linkUrl}>`;
+    }
+    linkText = '';
+    linkUrl = null;
+  };
+
+  for (const run of runs) {
+    let text = escapeInline(run.text);
+    if (run.mono) text = wrapInline(run.text, '`');
+    if (run.bold) text = wrapInline(text, '**');
+    if (run.italic) text = wrapInline(text, '*');
+
+    if (run.link) {
+      if (run.link !== linkUrl) flushLink();
+      linkUrl = run.link;
+      linkText += text;
+    } else {
+      flushLink();
+      output += text;
+    }
+  }
+  flushLink();
+  return output;
+}
+
+export function rtfToMarkdown(rtf) {
+  const blocks = [];
+  let codeLines = null;
+
+  const flushCode = () => {
+    if (codeLines) {
+      blocks.push(fence(codeLines.join('\n')));
+      codeLines = null;
+    }
+  };
+
+  for (const paragraph of parseRtf(String(rtf))) {
+    if (paragraph.table) {
+      flushCode();
+      const rows = paragraph.table.map(cells => cells.map(cellRuns =>
+        renderRuns(cellRuns).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()));
+      const columns = Math.max(...rows.map(row => row.length));
+      const lines = rows.map(row => `| ${[...row, ...Array(columns - row.length).fill('')].join(' | ')} |`);
+      lines.splice(1, 0, `| ${Array(columns).fill('---').join(' | ')} |`);
+      blocks.push(lines.join('\n'));
+      continue;
+    }
+
+    const runs = paragraph.runs.filter(run => run.text.length > 0);
+    const plain = runs.map(run => run.text).join('');
+
+    // Paragraphs set entirely in a monospace font become a fenced code block
+    if (runs.length > 0 && runs.every(run => run.mono || !run.text.trim())) {
+      codeLines = codeLines || [];
+      codeLines.push(plain);
+      continue;
+    }
+    flushCode();
+    if (!plain.trim()) continue;
+
+    // List paragraphs start with the bullet or number Word/TextEdit put in \listtext
+    const bullet = /^\s*[•◦▪‣\-*·]\s*\t?\s*/.exec(plain);
+    const numbered = /^\s*(\d+)[.)]\s*\t\s*/.exec(plain);
+    let markdown = renderRuns(runs).replace(/\t/g, ' ');
+    if (bullet) {
+      markdown = `- ${markdown.replace(/^\s*\\?[•◦▪‣\-*·]\s*/, '')}`;
+    } else if (numbered) {
+      markdown = `${numbered[1]}. ${markdown.replace(/^\s*\d+[.)]\s*/, '')}`;
+    }
+    blocks.push(markdown.trim());
+  }
+  flushCode();
+
+  // Consecutive list items stay together; everything else is separated by a blank line
+  let output = '';
+  blocks.forEach((block, i) => {
+    if (i > 0) {
+      const isListItem = text => /^(- |\d+\. )/.test(text);
+      output += isListItem(block) && isListItem(blocks[i - 1]) ? '\n' : '\n\n';
+    }
+    output += block;
+  });
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+
+// Markdown rendering of an item's content map (type -> string/Buffer), preferring
+// HTML, then RTF, then plain text. Returns null if there is nothing textual.
+export function contentToMarkdown(content) {
+  if (!content) return null;
+  if (content['public.html']) return htmlToMarkdown(decodeText(content['public.html']));
+  if (content['public.rtf']) return rtfToMarkdown(decodeText(content['public.rtf']));
+  const plainType = PLAIN_TEXT_TYPES.find(type => content[type]);
+  return plainType ? decodeText(content[plainType]) : null;
+}
@@ -0,0 +1,422 @@
+// JSON Schemas for the structuredContent each tool returns next to its text.
+// Timestamps are ISO 8601 strings, IDs are numbers and applications are bundle
+// identifiers. Objects allow extra properties so fields can be added later
+// without breaking clients that validate.
+
+const nullable = type => ({ type: [type, "null"] });
+const timestamp = { type: "string", format: "date-time" };
+
+const REDACTIONS = {
+  type: "array",
+  description: "Secrets masked in the text, by detector",
+  items: {
+    type: "object",
+    properties: { type: { type: "string" }, count: { type: "integer" } },
+    required: ["type", "count"],
+  },
+};
+
+// What was sent for an image: the prepared version and the stored original
+const IMAGE = {
+  type: "object",
+  properties: {
+    type: { type: "string", description: "Content type the image was stored under" },
+    mimeType: { type: "string" },
+    width: nullable("integer"),
+    height: nullable("integer"),
+    bytes: { type: "integer" },
+    converted: { type: "boolean" },
+    original: {
+      type: "object",
+      properties: {
+        format: { type: "string" },
+        width: nullable("integer"),
+        height: nullable("integer"),
+        bytes: { type: "integer" },
+      },
+    },
+    error: { type: "string", description: "Why the image could not be shown" },
+  },
+  required: ["type"],
+};
+
+// The part of a text left out by max_chars, readable with get_item's offset and length
+// What an item is, from content-kinds.js
+const CLASSIFICATION = {
+  kind: { type: "string", description: "Primary kind of the item" },
+  tags: { type: "array", items: { type: "string" }, description: "The primary kind followed by broader ones, e.g. shell then code" },
+  language: { ...nullable("string"), description: "Guessed language of code" },
+};
+
+const OMITTED = {
+  type: "object",
+  properties: {
+    offset: { type: "integer" },
+    length: { type: "integer" },
+    type: nullable("string"),
+  },
+  required: ["offset", "length"],
+};
+
+// One item in a listing (search, recent items, items by app, new copies)
+const ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    application: nullable("string"),
+    title: nullable("string"),
+    lastCopiedAt: timestamp,
+    copyCount: { type: "integer" },
+    pinned: { type: "boolean" },
+    pinKey: { ...nullable("string"), description: "Maccy shortcut key the item is pinned under" },
+    contentTypes: { type: "array", items: { type: "string" } },
+    ...CLASSIFICATION,
+    size: { type: "integer", description: "Bytes stored across all content types" },
+    text: nullable("string"),
+    format: { type: "string", enum: ["text", "markdown"] },
+    omitted: { ...OMITTED, type: ["object", "null"] },
+    image: IMAGE,
+    redactions: REDACTIONS,
+    score: { type: "number" },
+    snippet: { type: "string" },
+    similarity: { type: "number" },
+    matchedTerms: { type: "array", items: { type: "object" } },
+    matchCount: { type: "integer" },
+    matches: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          start: { type: "integer" },
+          end: { type: "integer" },
+          context: { type: "string" },
+        },
+      },
+    },
+    error: { type: "string", description: "Why the item could not be formatted" },
+  },
+  required: ["id"],
+};
+
+const ITEM_PAGE = {
+  type: "object",
+  properties: {
+    items: { type: "array", items: ITEM_SCHEMA },
+    nextCursor: { ...nullable("string"), description: "Pass as cursor to fetch the next page; null on the last page" },
+    budgetReached: { type: "boolean", description: "Whether items were left for the next page to stay within the response budget" },
+  },
+  required: ["items", "nextCursor", "budgetReached"],
+};
+
+// A history row as listed by deletions and duplicate checks
+const ROW = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    application: nullable("string"),
+    title: { type: "string" },
+    lastCopiedAt: timestamp,
+    copyCount: { type: "integer" },
+    pinned: { type: "boolean" },
+  },
+  required: ["id", "application", "lastCopiedAt", "pinned"],
+};
+
+const DELETION = {
+  type: "object",
+  properties: {
+    deletedItems: { type: "integer" },
+    deletedContents: { type: "integer" },
+    deletedArchived: { type: "integer", description: "Archived copies of the deleted items removed from the archive" },
+    backupPath: { type: "string" },
+  },
+  required: ["deletedItems", "backupPath"],
+};
+
+// delete_items and purge_history: a dry run's selection, or what was deleted
+const DELETION_RESULT = {
+  type: "object",
+  properties: {
+    dryRun: { type: "boolean" },
+    ids: { type: "array", items: { type: "integer" }, description: "Every selected item" },
+    items: { type: "array", items: ROW, description: "The first 50 selected items" },
+    skippedPinnedIds: { type: "array", items: { type: "integer" } },
+    missingIds: { type: "array", items: { type: "integer" } },
+    archivedCopies: { type: "integer", description: "How many selected items also have a copy in the archive" },
+    keepArchived: { type: "boolean" },
+    confirm: { ...nullable("string"), description: "Token to pass back as confirm to delete the selection" },
+    result: { ...DELETION, type: ["object", "null"] },
+  },
+  required: ["dryRun", "ids", "skippedPinnedIds", "missingIds", "confirm", "result"],
+};
+
+export const OUTPUT_SCHEMAS = {
+  search_clipboard: {
+    ...ITEM_PAGE,
+    properties: {
+      query: { type: "string" },
+      ...ITEM_PAGE.properties,
+      partial: { type: "boolean", description: "Whether a regex search stopped at its time budget; nextCursor continues it" },
+    },
+  },
+
+  get_recent_items: ITEM_PAGE,
+
+  get_items_by_app: {
+    ...ITEM_PAGE,
+    properties: { application: { type: "string" }, ...ITEM_PAGE.properties },
+  },
+
+  wait_for_next_copy: {
+    type: "object",
+    properties: {
+      timedOut: { type: "boolean" },
+      items: { type: "array", items: ITEM_SCHEMA },
+      budgetReached: { type: "boolean" },
+    },
+    required: ["timedOut", "items"],
+  },
+
+  get_item: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      application: nullable("string"),
+      title: nullable("string"),
+      lastCopiedAt: timestamp,
+      copyCount: { type: "integer" },
+      pinned: { type: "boolean" },
+      pinKey: nullable("string"),
+      availableTypes: { type: "array", items: { type: "string" } },
+      ...CLASSIFICATION,
+      redactions: REDACTIONS,
+      representations: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string" },
+            size: { type: "integer" },
+            kind: { type: "string", enum: ["text", "image", "binary", "empty"] },
+            text: { type: "string", description: "The characters from start to end" },
+            length: { type: "integer", description: "Characters in the whole text" },
+            start: { type: "integer" },
+            end: { type: "integer" },
+            nextOffset: { ...nullable("integer"), description: "Where to continue when the response budget cut the text short" },
+            mimeType: nullable("string"),
+            image: IMAGE,
+            firstBytes: { type: "string", description: "Hex dump of the first bytes of binary data" },
+          },
+          required: ["type", "size", "kind"],
+        },
+      },
+      missingTypes: { type: "array", items: { type: "string" } },
+    },
+    required: ["id", "lastCopiedAt", "availableTypes", "representations"],
+  },
+
+  copy_to_clipboard: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      backend: { type: "string" },
+      kind: { type: "string", enum: ["text", "image"] },
+      mimeType: { type: "string" },
+      bytes: { type: "integer" },
+      preview: { type: "string" },
+    },
+    required: ["id", "backend", "kind"],
+  },
+
+  pin_item: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      pinned: { type: "boolean" },
+      key: { type: "string", description: "Shortcut key the item is now pinned under" },
+      previousKey: { ...nullable("string"), description: "ZPIN before the call, which may be an invalid value" },
+      changed: { type: "boolean" },
+    },
+    required: ["id", "pinned", "key", "previousKey", "changed"],
+  },
+
+  unpin_item: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      pinned: { type: "boolean" },
+      previousKey: nullable("string"),
+      changed: { type: "boolean", description: "False when the item was not pinned" },
+    },
+    required: ["id", "pinned", "previousKey", "changed"],
+  },
+
+  list_pinned: {
+    type: "object",
+    properties: {
+      pins: {
+        type: "array",
+        items: {
+          ...ROW,
+          properties: {
+            key: { type: "string" },
+            validKey: { type: "boolean", description: "Whether Maccy can use the key as a shortcut" },
+            ...ROW.properties,
+          },
+          required: ["key", "validKey", ...ROW.required],
+        },
+      },
+      freeKeys: { type: "array", items: { type: "string" } },
+    },
+    required: ["pins", "freeKeys"],
+  },
+
+  delete_items: DELETION_RESULT,
+
+  purge_history: DELETION_RESULT,
+
+  find_duplicates: {
+    type: "object",
+    properties: {
+      scanned: { type: "integer" },
+      consolidate: { type: "boolean" },
+      dryRun: { type: "boolean" },
+      clusters: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            kind: { type: "string", enum: ["exact", "near"] },
+            similarity: { type: "number" },
+            items: { type: "array", items: ROW },
+            keepId: nullable("integer"),
+            removeIds: { type: "array", items: { type: "integer" } },
+          },
+          required: ["kind", "items"],
+        },
+      },
+      archivedCopies: { type: "integer", description: "How many of the items to delete also have a copy in the archive" },
+      keepArchived: { type: "boolean" },
+      confirm: nullable("string"),
+      result: { ...DELETION, type: ["object", "null"] },
+    },
+    required: ["scanned", "clusters"],
+  },
+
+  export_history: {
+    type: "object",
+    properties: {
+      filePath: { type: "string" },
+      format: { type: "string" },
+      itemCount: { type: "integer" },
+      fileSize: { type: "integer" },
+      gzip: { type: "boolean" },
+      uncompressedSize: nullable("integer"),
+      redactedCount: { type: "integer" },
+      imageDir: nullable("string"),
+      imageCount: { type: "integer" },
+    },
+    required: ["filePath", "format", "itemCount", "fileSize"],
+  },
+
+  get_clipboard_stats: {
+    type: "object",
+    properties: {
+      totalItems: { type: "integer" },
+      totalCopies: { type: "number" },
+      pinnedItems: { type: "integer" },
+      oldestItemAt: { ...timestamp, type: ["string", "null"] },
+      newestItemAt: { ...timestamp, type: ["string", "null"] },
+      topApplications: { type: "array", items: { type: "object" } },
+      storageByApplication: { type: "array", items: { type: "object" } },
+      contentTypes: { type: "array", items: { type: "object" } },
+      kinds: { type: "object", additionalProperties: { type: "integer" }, description: "Items by primary kind" },
+      languages: { type: "object", additionalProperties: { type: "integer" }, description: "Code items by guessed language" },
+      perDay: { type: "array", items: { type: "object" } },
+      perHour: { type: "array", items: { type: "object" } },
+      mostCopied: { type: "array", items: ROW },
+    },
+    required: ["totalItems", "totalCopies", "pinnedItems"],
+  },
+
+  extract_links: {
+    type: "object",
+    properties: {
+      scanned: { type: "integer", description: "Items looked at" },
+      itemsWithLinks: { type: "integer", description: "Items the listed domains' links came from" },
+      linkCount: { type: "integer", description: "Distinct links found, including those beyond the limit" },
+      omittedCount: { type: "integer", description: "Links left out by the limit" },
+      domains: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            domain: { type: "string" },
+            links: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  url: { type: "string", description: "Normalized URL without tracking parameters" },
+                  firstCopiedAt: timestamp,
+                  lastCopiedAt: timestamp,
+                  itemIds: { type: "array", items: { type: "integer" } },
+                },
+                required: ["url", "firstCopiedAt", "lastCopiedAt", "itemIds"],
+              },
+            },
+          },
+          required: ["domain", "links"],
+        },
+      },
+    },
+    required: ["scanned", "linkCount", "domains"],
+  },
+
+  get_privacy_rules: {
+    type: "object",
+    properties: {
+      rules: { type: "array", items: { type: "string" } },
+      hiddenCount: { type: "integer" },
+    },
+    required: ["rules", "hiddenCount"],
+  },
+
+  sync_archive: {
+    type: "object",
+    properties: {
+      added: { type: "integer" },
+      updated: { type: "integer" },
+      archivePath: { type: "string" },
+      itemCount: { type: "integer" },
+      oldestItemAt: { ...timestamp, type: ["string", "null"] },
+      newestItemAt: { ...timestamp, type: ["string", "null"] },
+      background: { type: "boolean" },
+    },
+    required: ["added", "updated", "archivePath", "itemCount"],
+  },
+
+  import_history: {
+    type: "object",
+    properties: {
+      target: { type: "string", description: "Database the items were imported into" },
+      imported: { type: "integer" },
+      skipped: { type: "integer" },
+      conflictCount: { type: "integer" },
+      invalidCount: { type: "integer" },
+      redacted: { type: "integer" },
+      imagesNotExported: { type: "integer" },
+      missingImages: { type: "integer" },
+      conflicts: { type: "array", items: { type: "object" } },
+      invalid: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { position: { type: "string" }, reason: { type: "string" } },
+        },
+      },
+    },
+    required: ["target", "imported", "skipped", "conflictCount", "invalidCount"],
+  },
+};
@@ -0,0 +1,30 @@
+// Maccy's pin semantics. ZPIN holds the single-letter shortcut that pastes a
+// pinned item (⌥+letter in Maccy's window), so it must be one of the letters
+// Maccy accepts and unique across the history. Letters bound to Maccy's own
+// shortcuts (a: select all, q: quit, v: paste, w: close, z: undo) are never
+// used as pins.
+
+// Pin keys in the order Maccy hands them out
+export const MACCY_PIN_KEYS = [
+  'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l',
+  'm', 'n', 'o', 'p', 'r', 's', 't', 'u', 'x', 'y',
+];
+
+export function isValidPinKey(key) {
+  return typeof key === 'string' && MACCY_PIN_KEYS.includes(key);
+}
+
+// A pin key given by a caller, lower-cased; throws when Maccy can't use it
+export function parsePinKey(key) {
+  const normalized = typeof key === 'string' ? key.trim().toLowerCase() : key;
+  if (!isValidPinKey(normalized)) {
+    throw new Error(`Invalid pin key "${key}": Maccy pins are one of the letters ${MACCY_PIN_KEYS.join(', ')}`);
+  }
+  return normalized;
+}
+
+// Keys not in `usedKeys`, in allocation order
+export function freePinKeys(usedKeys) {
+  const used = new Set(usedKeys);
+  return MACCY_PIN_KEYS.filter(key => !used.has(key));
+}
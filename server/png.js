@@ -0,0 +1,284 @@
+import zlib from "zlib";
+
+// PNG decoding and encoding for the image pipeline. Decoded images are
+// { width, height, data } with `data` holding 8-bit RGBA pixels row by row.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Samples per pixel for each colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [x start, y start, x step, y step]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+export function isPng(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+// Width and height from the IHDR chunk, without decoding
+export function pngDimensions(buffer) {
+  if (!isPng(buffer) || buffer.length < 24) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Undo the per-scanline filters. `raw` holds `height` lines of 1 + stride
+// bytes from `offset`; returns the unfiltered lines without their filter bytes.
+function unfilter(raw, offset, stride, height, bytesPerPixel) {
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[offset + y * (stride + 1)];
+    const line = offset + y * (stride + 1) + 1;
+    const at = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? out[at + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[at - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[at - stride + x - bytesPerPixel] : 0;
+      let value = raw[line + x];
+      switch (filter) {
+        case 0: break;
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      out[at + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+export function decodePng(buffer, { maxPixels = Infinity } = {}) {
+  if (!isPng(buffer)) throw new Error('Not a PNG image');
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (data.length < length) throw new Error(`Truncated PNG ${type} chunk`);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+    throw new Error(`Unsupported PNG colour type ${colorType} with bit depth ${bitDepth}`);
+  }
+  if (width === 0 || height === 0) throw new Error('PNG has no pixels');
+  if (width * height > maxPixels) throw new Error(`PNG is ${width}×${height}, larger than the ${maxPixels} pixel limit`);
+  if (colorType === 3 && !palette) throw new Error('Palette PNG without a PLTE chunk');
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat));
+  } catch (error) {
+    throw new Error(`Corrupt PNG image data: ${error.message}`);
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const data = new Uint8Array(width * height * 4);
+
+  // Transparent colour for grey and truecolour images, in sample units
+  const key = transparency && colorType === 0 ? [transparency.readUInt16BE(0)] :
+              transparency && colorType === 2 && transparency.length >= 6 ?
+                [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)] : null;
+
+  // Write the pixels of one unfiltered (sub)image into `data`
+  const place = (lines, passWidth, passHeight, x0, y0, dx, dy) => {
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    const sample = (line, index) => {
+      if (bitDepth === 8) return lines[line * stride + index];
+      if (bitDepth === 16) return lines.readUInt16BE(line * stride + index * 2);
+      const bit = index * bitDepth;
+      return (lines[line * stride + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const to8 = value => (bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round((value * 255) / maxSample));
+
+    for (let y = 0; y < passHeight; y++) {
+      for (let x = 0; x < passWidth; x++) {
+        const out = (((y0 + y * dy) * width) + x0 + x * dx) * 4;
+        const base = x * channels;
+        switch (colorType) {
+          case 0: {
+            const grey = sample(y, base);
+            data[out] = data[out + 1] = data[out + 2] = to8(grey);
+            data[out + 3] = key && grey === key[0] ? 0 : 255;
+            break;
+          }
+          case 2: {
+            const r = sample(y, base);
+            const g = sample(y, base + 1);
+            const b = sample(y, base + 2);
+            data[out] = to8(r);
+            data[out + 1] = to8(g);
+            data[out + 2] = to8(b);
+            data[out + 3] = key && r === key[0] && g === key[1] && b === key[2] ? 0 : 255;
+            break;
+          }
+          case 3: {
+            const index = sample(y, base);
+            data[out] = palette[index * 3] ?? 0;
+            data[out + 1] = palette[index * 3 + 1] ?? 0;
+            data[out + 2] = palette[index * 3 + 2] ?? 0;
+            data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            break;
+          }
+          case 4:
+            data[out] = data[out + 1] = data[out + 2] = to8(sample(y, base));
+            data[out + 3] = to8(sample(y, base + 1));
+            break;
+          default:
+            data[out] = to8(sample(y, base));
+            data[out + 1] = to8(sample(y, base + 1));
+            data[out + 2] = to8(sample(y, base + 2));
+            data[out + 3] = to8(sample(y, base + 3));
+        }
+      }
+    }
+  };
+
+  if (interlace === 1) {
+    let offset = 0;
+    for (const [x0, y0, dx, dy] of ADAM7) {
+      const passWidth = Math.ceil((width - x0) / dx);
+      const passHeight = Math.ceil((height - y0) / dy);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+      const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+      if (offset + (stride + 1) * passHeight > raw.length) throw new Error('Truncated PNG image data');
+      place(unfilter(raw, offset, stride, passHeight, bytesPerPixel), passWidth, passHeight, x0, y0, dx, dy);
+      offset += (stride + 1) * passHeight;
+    }
+  } else {
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    if ((stride + 1) * height > raw.length) throw new Error('Truncated PNG image data');
+    place(unfilter(raw, 0, stride, height, bytesPerPixel), width, height, 0, 0, 1, 1);
+  }
+
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode an RGBA image as an 8-bit PNG, dropping the alpha channel when every
+// pixel is opaque. Each line uses whichever filter gives the smallest sum of
+// absolute values, the usual heuristic for good compression.
+export function encodePng({ width, height, data }) {
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+  const channels = opaque ? 3 : 4;
+  const stride = width * channels;
+
+  const pixels = Buffer.alloc(stride * height);
+  for (let i = 0, o = 0; i < data.length; i += 4) {
+    pixels[o++] = data[i];
+    pixels[o++] = data[i + 1];
+    pixels[o++] = data[i + 2];
+    if (!opaque) pixels[o++] = data[i + 3];
+  }
+
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const line = y * stride;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const left = x >= channels ? pixels[line + x - channels] : 0;
+        const up = y > 0 ? pixels[line - stride + x] : 0;
+        const upLeft = y > 0 && x >= channels ? pixels[line - stride + x - channels] : 0;
+        const predicted = filter === 0 ? 0 : filter === 1 ? left : filter === 2 ? up :
+                          filter === 3 ? (left + up) >> 1 : paeth(left, up, upLeft);
+        const value = (pixels[line + x] - predicted) & 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        candidate.copy(raw, y * (stride + 1) + 1);
+      }
+    }
+    raw[y * (stride + 1)] = bestFilter;
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = opaque ? 2 : 6; // colour type: truecolour, with alpha if needed
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
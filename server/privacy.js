@@ -0,0 +1,225 @@
+// Privacy rules from the "privacy" config section. Items they match are hidden
+// from every query: they are never returned, searched, indexed, exported or
+// counted. Rules:
+//   applications - bundle IDs, with * as a wildcard ("com.agilebits.*")
+//   contentTypes - pasteboard types; an item storing any of them is hidden
+//   timeWindows  - { since, until } ISO date ranges, or daily local-time windows
+//                  { start: "HH:MM", end: "HH:MM", days: ["mon", ...] }
+//   denyPatterns - regular expressions matched against titles and text content,
+//                  optionally only for one application: { pattern, flags, application }
+
+import { compileSearchRegex, matchTexts } from "./regex-search.js";
+import { IMAGE_TYPES, decodeText } from "./content-types.js";
+
+// Seconds between the Unix epoch and the Core Data reference date (2001-01-01)
+const MAC_EPOCH_OFFSET = 978307200;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const SCAN_BATCH_SIZE = 200;
+
+// Translate a * wildcard into a LIKE pattern (\ escapes the LIKE metacharacters)
+function likePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+}
+
+function parseTime(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid privacy time window ${field} "${value}"; expected HH:MM`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid privacy time window ${field} "${value}"; expected an ISO date`);
+  }
+  return date;
+}
+
+function normalizeTimeWindow(window) {
+  if (window.start !== undefined || window.end !== undefined) {
+    const days = (window.days || []).map(day => {
+      const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+      if (index === -1) throw new Error(`Invalid privacy time window day "${day}"; use mon, tue, ... sun`);
+      return index;
+    });
+    return { kind: 'daily', start: parseTime(window.start ?? '00:00', 'start'), end: parseTime(window.end ?? '23:59', 'end'), days };
+  }
+  if (window.since !== undefined || window.until !== undefined) {
+    return {
+      kind: 'range',
+      since: window.since !== undefined ? parseDate(window.since, 'since') : null,
+      until: window.until !== undefined ? parseDate(window.until, 'until') : null,
+    };
+  }
+  throw new Error('A privacy time window needs "since"/"until" or "start"/"end"');
+}
+
+export class PrivacyRules {
+  constructor(options = {}) {
+    this.applications = (options.applications || []).map(String);
+    this.contentTypes = (options.contentTypes || []).map(String);
+    this.timeWindows = (options.timeWindows || []).map(normalizeTimeWindow);
+    this.denyPatterns = (options.denyPatterns || []).map((rule, index) => {
+      const { name = `rule-${index + 1}`, pattern, flags = '', application = null } = typeof rule === 'string' ? { pattern: rule } : rule;
+      try {
+        return { name, pattern, flags, application, regex: compileSearchRegex(pattern, flags) };
+      } catch (error) {
+        throw new Error(`Invalid privacy deny pattern "${name}": ${error.message}`);
+      }
+    });
+    this.timeoutMs = options.timeoutMs || 2000;
+
+    this.deniedCache = null;
+  }
+
+  get isEmpty() {
+    return this.applications.length === 0 && this.contentTypes.length === 0 &&
+           this.timeWindows.length === 0 && this.denyPatterns.length === 0;
+  }
+
+  // Condition matching a ZHISTORYITEM timestamp column inside a time window
+  timeWindowCondition(window, column) {
+    if (window.kind === 'range') {
+      const conditions = [];
+      const params = [];
+      if (window.since) {
+        conditions.push(`${column} >= ?`);
+        params.push(window.since.getTime() / 1000 - MAC_EPOCH_OFFSET);
+      }
+      if (window.until) {
+        conditions.push(`${column} <= ?`);
+        params.push(window.until.getTime() / 1000 - MAC_EPOCH_OFFSET);
+      }
+      return { sql: conditions.join(' AND '), params };
+    }
+
+    const localTime = `strftime('%H:%M', ${column} + ${MAC_EPOCH_OFFSET}, 'unixepoch', 'localtime')`;
+    // A window such as 22:00-06:00 wraps around midnight
+    let sql = window.start <= window.end
+      ? `${localTime} BETWEEN ? AND ?`
+      : `(${localTime} >= ? OR ${localTime} <= ?)`;
+    const params = [window.start, window.end];
+    if (window.days.length > 0) {
+      sql += ` AND CAST(strftime('%w', ${column} + ${MAC_EPOCH_OFFSET}, 'unixepoch', 'localtime') AS INTEGER) IN (${window.days.join(', ')})`;
+    }
+    return { sql, params };
+  }
+
+  // WHERE fragment (starting with AND) excluding items hidden by the application,
+  // content type and time window rules. `alias` is the ZHISTORYITEM table alias.
+  sqlClause(alias = 'h') {
+    let sql = '';
+    const params = [];
+
+    for (const application of this.applications) {
+      sql += ` AND COALESCE(${alias}.ZAPPLICATION, '') NOT LIKE ? ESCAPE '\\'`;
+      params.push(likePattern(application));
+    }
+
+    if (this.contentTypes.length > 0) {
+      sql += ` AND NOT EXISTS (SELECT 1 FROM ZHISTORYITEMCONTENT pc WHERE pc.ZITEM = ${alias}.Z_PK AND (` +
+             this.contentTypes.map(() => `pc.ZTYPE LIKE ? ESCAPE '\\'`).join(' OR ') + `))`;
+      params.push(...this.contentTypes.map(likePattern));
+    }
+
+    // An item is hidden if it was first or last copied inside a window
+    for (const window of this.timeWindows) {
+      for (const column of [`${alias}.ZFIRSTCOPIEDAT`, `${alias}.ZLASTCOPIEDAT`]) {
+        const condition = this.timeWindowCondition(window, column);
+        sql += ` AND NOT COALESCE(${condition.sql}, 0)`;
+        params.push(...condition.params);
+      }
+    }
+
+    return { sql, params };
+  }
+
+  // IDs of items matched by a deny pattern. SQLite has no REGEXP function, so
+  // titles and text content are scanned in JS; the result is cached until the
+  // history changes.
+  async deniedIds(clipboardDb) {
+    if (this.denyPatterns.length === 0) return new Set();
+
+    const aggregate = await clipboardDb.get(`
+      SELECT COUNT(*) as count, MAX(Z_PK) as maxId, MAX(ZLASTCOPIEDAT) as newest, TOTAL(ZNUMBEROFCOPIES) as copies
+      FROM ZHISTORYITEM
+    `);
+    const fingerprint = `${clipboardDb.dbPath}:${aggregate.count}:${aggregate.maxId}:${aggregate.newest}:${aggregate.copies}`;
+    if (this.deniedCache?.fingerprint === fingerprint) return this.deniedCache.ids;
+
+    const ids = new Set();
+    let lastId = -1;
+    while (true) {
+      const items = await clipboardDb.all(`
+        SELECT Z_PK as id, ZTITLE, ZAPPLICATION FROM ZHISTORYITEM
+        WHERE Z_PK > ? ORDER BY Z_PK LIMIT ?
+      `, [lastId, SCAN_BATCH_SIZE]);
+      if (items.length === 0) break;
+      lastId = items[items.length - 1].id;
+
+      const itemIds = items.map(item => item.id);
+      const contentRows = await clipboardDb.all(`
+        SELECT ZITEM, ZVALUE FROM ZHISTORYITEMCONTENT
+        WHERE ZITEM IN (${itemIds.map(() => '?').join(', ')})
+          AND ZVALUE IS NOT NULL
+          AND ZTYPE NOT IN (${IMAGE_TYPES.map(() => '?').join(', ')}) AND ZTYPE NOT LIKE 'image/%'
+      `, [...itemIds, ...IMAGE_TYPES]);
+
+      const fields = [];
+      const applications = new Map(items.map(item => [item.id, item.ZAPPLICATION]));
+      for (const item of items) {
+        if (item.ZTITLE) fields.push({ id: item.id, text: String(item.ZTITLE) });
+      }
+      for (const row of contentRows) {
+        fields.push({ id: row.ZITEM, text: decodeText(row.ZVALUE) });
+      }
+
+      for (const rule of this.denyPatterns) {
+        const scoped = fields.filter(field => !ids.has(field.id) &&
+          (!rule.application || applications.get(field.id) === rule.application));
+        const results = matchTexts(rule.regex, scoped.map(field => field.text), { contextChars: 0, maxMatches: 1, timeoutMs: this.timeoutMs });
+        scoped.forEach((field, index) => {
+          if (results[index].total > 0) ids.add(field.id);
+        });
+      }
+    }
+
+    this.deniedCache = { fingerprint, ids };
+    return ids;
+  }
+
+  // Full WHERE fragment for a ClipboardDB connection, including deny patterns
+  async filterClause(clipboardDb, alias = 'h') {
+    const { sql, params } = this.sqlClause(alias);
+    const denied = [...await this.deniedIds(clipboardDb)];
+    if (denied.length === 0) return { sql, params };
+    // Inlined rather than bound: the list can be longer than SQLite's parameter limit
+    return {
+      sql: `${sql} AND ${alias}.Z_PK NOT IN (${denied.map(id => Math.trunc(Number(id))).join(', ')})`,
+      params,
+    };
+  }
+
+  // Human-readable rule list for get_privacy_rules
+  describe() {
+    const lines = [];
+    for (const application of this.applications) lines.push(`Application: ${application}`);
+    for (const type of this.contentTypes) lines.push(`Content type: ${type}`);
+    for (const window of this.timeWindows) {
+      if (window.kind === 'range') {
+        lines.push(`Copied between ${window.since ? window.since.toISOString() : 'the beginning'} and ${window.until ? window.until.toISOString() : 'now'}`);
+      } else {
+        const days = window.days.length > 0 ? ` on ${window.days.map(day => DAY_NAMES[day]).join(', ')}` : ' every day';
+        lines.push(`Copied between ${window.start} and ${window.end} local time${days}`);
+      }
+    }
+    for (const rule of this.denyPatterns) {
+      lines.push(`Pattern ${rule.name}: /${rule.pattern}/${rule.flags}${rule.application ? ` (only ${rule.application})` : ''}`);
+    }
+    return lines;
+  }
+}
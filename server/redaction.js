@@ -0,0 +1,276 @@
+// Masks secrets (API keys, tokens, private keys, card numbers, ...) in clipboard
+// content before it leaves the server in a tool response, resource or export.
+// Matches are replaced with [REDACTED:<detector>] and counted per detector so
+// responses can say what was hidden.
+
+import { compileSearchRegex } from "./regex-search.js";
+import { isImageType, isProbablyText, decodeText } from "./content-types.js";
+import { tokenize } from "./fuzzy.js";
+
+// Luhn checksum, to tell card numbers apart from other long digit runs
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Shannon entropy in bits per character
+export function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Built-in detectors. `validate(match)` can reject a regex match.
+export const SECRET_DETECTORS = [
+  {
+    name: 'private-key',
+    description: 'PEM private key blocks (RSA, EC, OpenSSH, PGP, ...)',
+    // An unterminated block (truncated copy) is masked to the end of the text
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY[A-Z ]*-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY[A-Z ]*-----|$)/g,
+  },
+  {
+    name: 'aws-access-key',
+    description: 'AWS access key IDs (AKIA..., ASIA...)',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    name: 'aws-secret-key',
+    description: 'AWS secret access keys assigned to an aws_secret_access_key-like name',
+    pattern: /(?<=aws.{0,20}?secret.{0,20}?[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    name: 'github-token',
+    description: 'GitHub personal access, OAuth, app and refresh tokens',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+  },
+  {
+    name: 'stripe-key',
+    description: 'Stripe secret and restricted keys, webhook secrets',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b|\bwhsec_[A-Za-z0-9]{24,}\b/g,
+  },
+  {
+    name: 'slack-token',
+    description: 'Slack bot, user and app tokens',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+  },
+  {
+    name: 'jwt',
+    description: 'JSON Web Tokens',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    name: 'credit-card',
+    description: 'Card numbers (13-19 digits, optionally grouped, Luhn-valid)',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && !/^(\d)\1+$/.test(digits) && passesLuhn(digits);
+    },
+  },
+];
+
+const DEFAULT_ENTROPY = { minLength: 20, threshold: 3.8 };
+
+export class Redactor {
+  // options (the "redaction" config section):
+  //   enabled   - false turns redaction off entirely (default: true)
+  //   detectors - names of built-in detectors to use (default: all)
+  //   patterns  - extra rules: [{ name, pattern, flags }] or pattern strings
+  //   entropy   - { minLength, threshold } for the high-entropy detector, or false
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+
+    const enabledDetectors = options.detectors ? new Set(options.detectors) : null;
+    if (enabledDetectors) {
+      const known = new Set([...SECRET_DETECTORS.map(detector => detector.name), 'high-entropy']);
+      const unknown = [...enabledDetectors].filter(name => !known.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown redaction detectors: ${unknown.join(', ')}. Available: ${[...known].join(', ')}`);
+      }
+    }
+
+    this.detectors = SECRET_DETECTORS.filter(detector => !enabledDetectors || enabledDetectors.has(detector.name));
+    for (const [index, rule] of (options.patterns || []).entries()) {
+      const { name = `custom-${index + 1}`, pattern, flags = '' } = typeof rule === 'string' ? { pattern: rule } : rule;
+      try {
+        this.detectors.push({ name, description: `Custom pattern /${pattern}/${flags}`, pattern: compileSearchRegex(pattern, flags) });
+      } catch (error) {
+        throw new Error(`Invalid redaction pattern "${name}": ${error.message}`);
+      }
+    }
+
+    this.entropy = options.entropy === false || (enabledDetectors && !enabledDetectors.has('high-entropy'))
+      ? null
+      : { ...DEFAULT_ENTROPY, ...(options.entropy || {}) };
+  }
+
+  // Identifies the settings, so text stored in redacted form (the search
+  // index) can be rebuilt when they change
+  signature() {
+    if (!this.enabled) return 'disabled';
+    return JSON.stringify({
+      detectors: this.detectors.map(detector => `${detector.name}:${detector.pattern.source}/${detector.pattern.flags}`),
+      entropy: this.entropy,
+    });
+  }
+
+  // Spans [{ start, end, name }] of secrets in text, non-overlapping and sorted
+  findSecrets(text) {
+    const spans = [];
+    for (const detector of this.detectors) {
+      detector.pattern.lastIndex = 0;
+      let match;
+      while ((match = detector.pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          detector.pattern.lastIndex++;
+          continue;
+        }
+        if (!detector.validate || detector.validate(match[0])) {
+          spans.push({ start: match.index, end: match.index + match[0].length, name: detector.name });
+        }
+      }
+    }
+
+    if (this.entropy) {
+      // Long random-looking tokens mixing upper case, lower case and digits.
+      // A run of six lower-case letters reads like a word (camelCase names, paths).
+      const tokenPattern = /[A-Za-z0-9+_=-]+/g;
+      let match;
+      while ((match = tokenPattern.exec(text)) !== null) {
+        const token = match[0];
+        if (token.length < this.entropy.minLength) continue;
+        if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) continue;
+        if (/[a-z]{6}/.test(token)) continue;
+        if (shannonEntropy(token) >= this.entropy.threshold) {
+          spans.push({ start: match.index, end: match.index + token.length, name: 'high-entropy' });
+        }
+      }
+    }
+
+    // Earlier spans win; on a tie the longer (more specific) one does
+    spans.sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    for (const span of spans) {
+      const last = merged[merged.length - 1];
+      if (last && span.start < last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ ...span });
+      }
+    }
+    return merged;
+  }
+
+  // Returns { text, findings } where findings maps detector name -> count
+  redactText(text) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) return { text, findings: {} };
+
+    const findings = {};
+    let output = '';
+    let position = 0;
+    for (const span of this.findSecrets(text)) {
+      output += text.slice(position, span.start) + `[REDACTED:${span.name}]`;
+      position = span.end;
+      findings[span.name] = (findings[span.name] || 0) + 1;
+    }
+    return { text: output + text.slice(position), findings };
+  }
+
+  // Words (as fuzzy search tokenizes them) of the secrets in `texts`, including
+  // the whole of words a secret only partly covers
+  secretWords(texts) {
+    const words = new Set();
+    for (const text of texts) {
+      for (const { start, end } of this.findSecrets(text)) {
+        let from = start;
+        let to = end;
+        while (from > 0 && /[\p{L}\p{N}]/u.test(text[from - 1])) from--;
+        while (to < text.length && /[\p{L}\p{N}]/u.test(text[to])) to++;
+        for (const word of tokenize(text.slice(from, to))) words.add(word);
+      }
+    }
+    return words;
+  }
+
+  // Copy of a formatted item (as built by ClipboardDB) with its title, text
+  // content, snippet and match contexts masked. `item.redactions` lists what
+  // was hidden as [{ type, count }].
+  redactItem(item) {
+    if (!this.enabled || !item) return item;
+
+    // The title, snippets and each representation repeat the same content, so
+    // an item's count per detector is the highest seen in any one field
+    const findings = {};
+    const redact = value => {
+      const result = this.redactText(value);
+      for (const [name, count] of Object.entries(result.findings)) findings[name] = Math.max(findings[name] || 0, count);
+      return result.text;
+    };
+
+    const redacted = { ...item, title: redact(item.title) };
+    const texts = typeof item.title === 'string' ? [item.title] : [];
+    if (item.content && typeof item.content === 'object') {
+      redacted.content = {};
+      for (const [type, value] of Object.entries(item.content)) {
+        if (isImageType(type) || (Buffer.isBuffer(value) && !isProbablyText(value))) {
+          redacted.content[type] = value;
+          continue;
+        }
+        const text = decodeText(value);
+        texts.push(text);
+        const masked = redact(text);
+        // Untouched values keep their original form (Buffers stay Buffers)
+        redacted.content[type] = masked === text ? value : masked;
+      }
+    } else if (typeof item.content === 'string') {
+      texts.push(item.content);
+      redacted.content = redact(item.content);
+    }
+    if (typeof item.snippet === 'string') {
+      // As for matches below: the **highlights** would split a secret
+      const plain = item.snippet.replace(/\*\*/g, '');
+      const masked = redact(plain);
+      redacted.snippet = masked === plain ? item.snippet : masked;
+    }
+    if (Array.isArray(item.matches)) {
+      redacted.matches = item.matches.map(match => {
+        // The **highlight** around the match would split a secret, so detect on the plain context
+        const plain = match.context.replace(/\*\*/g, '');
+        const masked = redact(plain);
+        return masked === plain ? match : { ...match, match: '[REDACTED]', context: masked };
+      });
+    }
+    if (Array.isArray(item.matchedTerms)) {
+      // Fuzzy matches echo single lower-cased words of the item, which the
+      // detectors can't recognize on their own, so mask the words of its secrets
+      const secretWords = this.secretWords(texts);
+      redacted.matchedTerms = item.matchedTerms.map(term =>
+        term.matched && secretWords.has(term.matched) ? { ...term, matched: '[REDACTED]' } : term);
+    }
+    if (Array.isArray(item.representations)) {
+      redacted.representations = item.representations.map(representation =>
+        representation.kind === 'text' ? { ...representation, value: redact(representation.value) } : representation);
+    }
+
+    redacted.redactions = Object.entries(findings).map(([type, count]) => ({ type, count }));
+    return redacted;
+  }
+}
+
+// One-line summary such as "aws-access-key ×1, jwt ×2"
+export function describeRedactions(redactions) {
+  return (redactions || []).map(({ type, count }) => `${type} ×${count}`).join(', ');
+}
@@ -0,0 +1,145 @@
+import vm from "vm";
+
+// Flags callers may pass; `g` is always added so every match can be reported
+const ALLOWED_FLAGS = ['i', 'm', 's', 'u'];
+const MAX_PATTERN_LENGTH = 1000;
+
+// Returns true if the quantifier starting at `index` is unbounded (+, * or {n,})
+function isUnboundedQuantifier(source, index) {
+  const ch = source[index];
+  if (ch === '+' || ch === '*') return true;
+  return ch === '{' && /^\{\d*,\}/.test(source.slice(index));
+}
+
+// Detect nested unbounded quantifiers such as (a+)+ or (\w+\s?)*, the usual
+// cause of catastrophic backtracking
+export function hasNestedQuantifier(source) {
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false;
+      continue;
+    }
+    if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push(false);
+    } else if (ch === ')') {
+      const innerUnbounded = groups.pop();
+      const outerUnbounded = isUnboundedQuantifier(source, i + 1);
+      if (innerUnbounded && outerUnbounded) return true;
+      if (groups.length > 0 && innerUnbounded) groups[groups.length - 1] = true;
+    } else if (groups.length > 0 && isUnboundedQuantifier(source, i)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Validate and compile a user-supplied pattern
+export function compileSearchRegex(pattern, flags = '') {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('Regex pattern must be a non-empty string');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Regex pattern is too long (max ${MAX_PATTERN_LENGTH} characters)`);
+  }
+
+  const uniqueFlags = [...new Set(flags || '')];
+  const invalid = uniqueFlags.filter(flag => !ALLOWED_FLAGS.includes(flag));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported regex flag(s): ${invalid.join('')}. Supported flags: ${ALLOWED_FLAGS.join('')}`);
+  }
+
+  if (hasNestedQuantifier(pattern)) {
+    throw new Error('Regex pattern rejected: nested quantifiers like (a+)+ can cause catastrophic backtracking');
+  }
+
+  try {
+    return new RegExp(pattern, uniqueFlags.join('') + 'g');
+  } catch (error) {
+    throw new Error(`Invalid regex pattern: ${error.message}`);
+  }
+}
+
+// text.slice(from, to) with each secret span that overlaps it replaced whole by
+// its placeholder, so a secret cut at the edge of a context window is never
+// left partly visible
+function maskedSlice(text, from, to, secrets) {
+  let slice = '';
+  let position = from;
+  for (const secret of secrets) {
+    if (secret.end <= from || secret.start >= to) continue;
+    slice += text.slice(position, Math.max(position, secret.start)) + `[REDACTED:${secret.name}]`;
+    position = Math.max(position, secret.end);
+  }
+  return position < to ? slice + text.slice(position, to) : slice;
+}
+
+// Collect matches in a single string, with `contextChars` of surrounding text.
+// `secrets` are the sorted { start, end, name } spans to mask in what is returned.
+function collectMatches(regex, text, contextChars, maxMatches, secrets = []) {
+  const matches = [];
+  let total = 0;
+  regex.lastIndex = 0;
+
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    // Avoid an infinite loop on zero-width matches
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    total++;
+    if (matches.length < maxMatches) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // A secret the match only touches is shown as part of the match, once
+      let shownStart = start;
+      let shownEnd = end;
+      for (const secret of secrets) {
+        if (secret.end > start && secret.start < end) {
+          shownStart = Math.min(shownStart, secret.start);
+          shownEnd = Math.max(shownEnd, secret.end);
+        }
+      }
+      // Collapse whitespace so the context renders on a single line
+      const before = maskedSlice(text, Math.max(0, start - contextChars), shownStart, secrets).replace(/\s+/g, ' ');
+      const matched = maskedSlice(text, shownStart, shownEnd, secrets);
+      const after = maskedSlice(text, shownEnd, end + contextChars, secrets).replace(/\s+/g, ' ');
+      matches.push({
+        start,
+        end,
+        match: matched,
+        context: `${start - contextChars > 0 ? '…' : ''}${before}**${matched.replace(/\s+/g, ' ')}**${after}${end + contextChars < text.length ? '…' : ''}`,
+      });
+    }
+  }
+  return { matches, total };
+}
+
+// Run the regex over many strings under a hard time limit. The work is executed
+// through vm so V8 can interrupt a runaway match once `timeoutMs` elapses.
+// Returns one { matches, total } entry per input text. `secrets`, when given,
+// holds the secret spans of each text (Redactor.findSecrets), masked in the
+// returned matches and contexts.
+export function matchTexts(regex, texts, { contextChars = 40, maxMatches = 5, timeoutMs = 2000, secrets = null } = {}) {
+  const run = () => texts.map((text, index) => collectMatches(regex, text, contextChars, maxMatches, secrets?.[index]));
+  const context = vm.createContext({ run });
+
+  try {
+    return vm.runInContext('run()', context, { timeout: Math.max(1, Math.floor(timeoutMs)) });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error('Regex search exceeded its time limit; try a simpler or more specific pattern');
+    }
+    throw error;
+  }
+}
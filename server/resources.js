@@ -0,0 +1,97 @@
+import { isImageType, mimeTypeForType, PLAIN_TEXT_TYPES } from "./content-types.js";
+import { imageMimeType } from "./images.js";
+
+// URI scheme for clipboard items exposed as MCP resources:
+//   maccy://item/{id}          - the item's primary representation
+//   maccy://item/{id}/{uti}    - one specific content type, e.g. public.html
+//   maccy://pinned/{pin}       - the pinned item with that pin key
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'maccy://item/{id}',
+    name: 'Clipboard item',
+    description: 'A clipboard history item by ID (plain text if available, otherwise its first representation)',
+  },
+  {
+    uriTemplate: 'maccy://item/{id}/{uti}',
+    name: 'Clipboard item representation',
+    description: 'One stored content type of a clipboard item, e.g. public.html, public.rtf or public.png (images are returned as blobs)',
+  },
+  {
+    uriTemplate: 'maccy://pinned/{pin}',
+    name: 'Pinned clipboard item',
+    description: 'A pinned clipboard item, addressed by its Maccy pin key',
+  },
+];
+
+export function itemUri(id, type = null) {
+  return type ? `maccy://item/${id}/${encodeURIComponent(type)}` : `maccy://item/${id}`;
+}
+
+export function pinnedUri(pin) {
+  return `maccy://pinned/${encodeURIComponent(pin)}`;
+}
+
+// Parse a maccy:// URI into { kind: 'item', id, type } or { kind: 'pinned', pin }
+export function parseResourceUri(uri) {
+  const itemMatch = /^maccy:\/\/item\/(\d+)(?:\/([^/]+))?$/.exec(uri);
+  if (itemMatch) {
+    return {
+      kind: 'item',
+      id: Number(itemMatch[1]),
+      type: itemMatch[2] ? decodeURIComponent(itemMatch[2]) : null,
+    };
+  }
+
+  const pinnedMatch = /^maccy:\/\/pinned\/([^/]+)$/.exec(uri);
+  if (pinnedMatch) {
+    return { kind: 'pinned', pin: decodeURIComponent(pinnedMatch[1]) };
+  }
+
+  throw new Error(`Unknown resource URI: ${uri}. Expected maccy://item/{id}, maccy://item/{id}/{uti} or maccy://pinned/{pin}`);
+}
+
+// The content type a bare item URI resolves to
+export function primaryContentType(item) {
+  const types = Object.keys(item.content || {});
+  return PLAIN_TEXT_TYPES.find(type => types.includes(type)) ||
+         types.find(type => !isImageType(type)) ||
+         types[0] ||
+         null;
+}
+
+// Resource listing entry for a raw ZHISTORYITEM row
+export function describeItem(row, uri, formatDate) {
+  const title = (row.ZTITLE || '').replace(/\s+/g, ' ').trim();
+  return {
+    uri,
+    name: title ? (title.length > 80 ? `${title.slice(0, 77)}...` : title) : `Clipboard item ${row.id}`,
+    description: `Copied from ${row.ZAPPLICATION || 'unknown application'} on ${formatDate(row.ZLASTCOPIEDAT)}` +
+                 (row.ZPIN !== null ? ' (pinned)' : ''),
+  };
+}
+
+// Build resources/read contents for one representation of an item loaded with
+// ClipboardDB.getItemById. Images and undecodable data are returned as blobs.
+export function readItemContent(item, uri, type) {
+  const resolvedType = type || primaryContentType(item);
+
+  if (!resolvedType) {
+    // Nothing stored but the title
+    return [{ uri, mimeType: 'text/plain', text: item.title || '' }];
+  }
+
+  const value = item.content[resolvedType];
+  if (typeof value === 'undefined') {
+    const available = Object.keys(item.content);
+    throw new Error(`Item ${item.id} has no ${resolvedType} content. Available types: ${available.join(', ') || 'none'}`);
+  }
+
+  // Image types are labelled by their bytes: com.apple.NSImage says nothing about the format
+  const mimeType = (Buffer.isBuffer(value) && imageMimeType(value)) || mimeTypeForType(resolvedType);
+  if (Buffer.isBuffer(value) || isImageType(resolvedType)) {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+    return [{ uri, mimeType, blob: data.toString('base64') }];
+  }
+
+  return [{ uri, mimeType: mimeType === 'application/octet-stream' ? 'text/plain' : mimeType, text: String(value) }];
+}
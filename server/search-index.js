@@ -0,0 +1,230 @@
+import sqlite3 from "sqlite3";
+import { promisify } from "util";
+import path from "path";
+import fsSync from "fs";
+import { isImageType, decodeText, PLAIN_TEXT_TYPES } from "./content-types.js";
+
+// Seconds between the Unix epoch and the Core Data reference date (2001-01-01)
+const MAC_EPOCH_OFFSET = 978307200;
+
+// Items are (re)indexed in batches to keep memory flat on large histories
+const SYNC_BATCH_SIZE = 200;
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS index_meta (key TEXT PRIMARY KEY, value TEXT)`,
+  `CREATE TABLE IF NOT EXISTS indexed_items (id INTEGER PRIMARY KEY, signature TEXT NOT NULL)`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+     title, body, application UNINDEXED, last_copied UNINDEXED,
+     tokenize = 'unicode61 remove_diacritics 2'
+   )`,
+];
+
+// Strip markup from HTML/RTF so only the visible words are indexed
+function stripMarkup(type, text) {
+  if (type === 'public.html') {
+    return text.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/&[a-z#0-9]+;/gi, ' ');
+  }
+  if (type === 'public.rtf') {
+    return text.replace(/\\[a-z]+-?\d* ?/gi, ' ').replace(/[{}]/g, ' ');
+  }
+  return text;
+}
+
+// Build the searchable body for an item from its text representations. Plain
+// text wins; the other types are only used when no plain-text version exists.
+export function extractIndexText(contentRows) {
+  const textRows = contentRows.filter(row => row.ZVALUE !== null && !isImageType(row.ZTYPE));
+  const plain = textRows.filter(row => PLAIN_TEXT_TYPES.includes(row.ZTYPE));
+  const chosen = plain.length > 0 ? plain : textRows;
+
+  const parts = new Set(chosen.map(row => stripMarkup(row.ZTYPE, decodeText(row.ZVALUE)).trim()));
+  return [...parts].filter(Boolean).join('\n');
+}
+
+// FTS5 full-text index over Maccy's history, stored in the server's own SQLite
+// file. It is synced incrementally: only items whose copy time or copy count
+// changed are re-read from Maccy, and items Maccy dropped are removed.
+// With a `redactor`, titles and bodies are indexed with their secrets masked,
+// so snippets and highlights never contain them.
+export class SearchIndex {
+  constructor(indexPath, { redactor = null } = {}) {
+    fsSync.mkdirSync(path.dirname(indexPath), { recursive: true });
+    this.indexPath = indexPath;
+    this.redactor = redactor;
+    this.db = new sqlite3.Database(indexPath);
+    this.db.configure('busyTimeout', 10000);
+
+    this.get = promisify(this.db.get.bind(this.db));
+    this.all = promisify(this.db.all.bind(this.db));
+    this.run = promisify(this.db.run.bind(this.db));
+
+    this.ready = null;
+    this.syncing = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        for (const statement of SCHEMA) {
+          await this.run(statement);
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  // Bring the index up to date with the Maccy database behind `clipboardDb`.
+  // Concurrent callers share the same in-flight sync.
+  sync(clipboardDb) {
+    if (!this.syncing) {
+      this.syncing = this.doSync(clipboardDb).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  redact(text) {
+    return this.redactor ? this.redactor.redactText(text).text : text;
+  }
+
+  async doSync(clipboardDb) {
+    await this.init();
+
+    // Start over if the index was built from a different Maccy database or
+    // with different redaction settings
+    const redaction = this.redactor ? this.redactor.signature() : 'none';
+    const source = await this.get(`SELECT value FROM index_meta WHERE key = 'source'`);
+    const indexedRedaction = await this.get(`SELECT value FROM index_meta WHERE key = 'redaction'`);
+    if (!source || source.value !== clipboardDb.dbPath || indexedRedaction?.value !== redaction) {
+      await this.run(`DELETE FROM items_fts`);
+      await this.run(`DELETE FROM indexed_items`);
+      await this.run(`INSERT OR REPLACE INTO index_meta (key, value) VALUES ('source', ?)`, [clipboardDb.dbPath]);
+      await this.run(`INSERT OR REPLACE INTO index_meta (key, value) VALUES ('redaction', ?)`, [redaction]);
+    }
+
+    // Items hidden by the privacy rules are left out, and dropped like deleted ones
+    const filter = await clipboardDb.buildFilterClause();
+    const sourceRows = await clipboardDb.all(`
+      SELECT h.Z_PK as id, h.ZLASTCOPIEDAT, h.ZNUMBEROFCOPIES FROM ZHISTORYITEM h WHERE 1=1 ${filter.sql}
+    `, filter.params);
+    const indexedRows = await this.all(`SELECT id, signature FROM indexed_items`);
+    const indexed = new Map(indexedRows.map(row => [row.id, row.signature]));
+
+    const changed = [];
+    const seen = new Set();
+    for (const row of sourceRows) {
+      const signature = `${row.ZLASTCOPIEDAT}:${row.ZNUMBEROFCOPIES}`;
+      seen.add(row.id);
+      if (indexed.get(row.id) !== signature) changed.push(row.id);
+    }
+    const removed = indexedRows.filter(row => !seen.has(row.id)).map(row => row.id);
+
+    if (changed.length === 0 && removed.length === 0) {
+      return { added: 0, updated: 0, removed: 0 };
+    }
+
+    await this.run('BEGIN');
+    try {
+      for (const id of removed) {
+        await this.run(`DELETE FROM items_fts WHERE rowid = ?`, [id]);
+        await this.run(`DELETE FROM indexed_items WHERE id = ?`, [id]);
+      }
+
+      for (let i = 0; i < changed.length; i += SYNC_BATCH_SIZE) {
+        const ids = changed.slice(i, i + SYNC_BATCH_SIZE);
+        const placeholders = ids.map(() => '?').join(', ');
+        const items = await clipboardDb.all(`
+          SELECT Z_PK as id, ZTITLE, ZAPPLICATION, ZLASTCOPIEDAT, ZNUMBEROFCOPIES
+          FROM ZHISTORYITEM WHERE Z_PK IN (${placeholders})
+        `, ids);
+        const contentRows = await clipboardDb.all(`
+          SELECT ZITEM, ZTYPE, ZVALUE FROM ZHISTORYITEMCONTENT WHERE ZITEM IN (${placeholders})
+        `, ids);
+
+        const contentByItem = new Map();
+        for (const row of contentRows) {
+          if (!contentByItem.has(row.ZITEM)) contentByItem.set(row.ZITEM, []);
+          contentByItem.get(row.ZITEM).push(row);
+        }
+
+        for (const item of items) {
+          await this.run(`DELETE FROM items_fts WHERE rowid = ?`, [item.id]);
+          await this.run(
+            `INSERT INTO items_fts (rowid, title, body, application, last_copied) VALUES (?, ?, ?, ?, ?)`,
+            [item.id, this.redact(item.ZTITLE || ''), this.redact(extractIndexText(contentByItem.get(item.id) || [])), item.ZAPPLICATION, item.ZLASTCOPIEDAT]
+          );
+          await this.run(
+            `INSERT OR REPLACE INTO indexed_items (id, signature) VALUES (?, ?)`,
+            [item.id, `${item.ZLASTCOPIEDAT}:${item.ZNUMBEROFCOPIES}`]
+          );
+        }
+      }
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+
+    const added = changed.filter(id => !indexed.has(id)).length;
+    return { added, updated: changed.length - added, removed: removed.length };
+  }
+
+  // Run an FTS5 query (supports AND/OR/NOT, "phrases", prefix* and NEAR) and
+  // return hits ordered by BM25 relevance, title matches weighted higher.
+  // `after` is a decoded relevance cursor; only hits ranked below it are returned.
+  // `ids`, when given, limits the search to those items
+  async search(query, { limit = 10, dateRange = null, appFilter = null, after = null, ids = null } = {}) {
+    await this.init();
+
+    let inner = `
+      SELECT rowid as id,
+             last_copied as lastCopiedAt,
+             -bm25(items_fts, 5.0, 1.0) as score,
+             highlight(items_fts, 0, '**', '**') as titleHighlight,
+             snippet(items_fts, 1, '**', '**', '…', 16) as snippet
+      FROM items_fts
+      WHERE items_fts MATCH ?
+    `;
+    const params = [query];
+
+    if (dateRange?.since) {
+      inner += ` AND last_copied >= ?`;
+      params.push(dateRange.since.getTime() / 1000 - MAC_EPOCH_OFFSET);
+    }
+    if (dateRange?.until) {
+      inner += ` AND last_copied <= ?`;
+      params.push(dateRange.until.getTime() / 1000 - MAC_EPOCH_OFFSET);
+    }
+    if (appFilter) {
+      inner += ` AND application = ?`;
+      params.push(appFilter);
+    }
+    if (ids) {
+      inner += ids.length > 0 ? ` AND rowid IN (${ids.map(id => Math.trunc(Number(id))).join(', ')})` : ` AND 0`;
+    }
+
+    let sql = `SELECT * FROM (${inner}) WHERE 1=1`;
+    if (after) {
+      sql += ` AND (score < ? OR (score = ? AND (lastCopiedAt < ? OR (lastCopiedAt = ? AND id < ?))))`;
+      params.push(after.score, after.score, after.lastCopiedAt, after.lastCopiedAt, after.id);
+    }
+
+    // Ties are broken newest first so cursors have a total order to resume from
+    sql += ` ORDER BY score DESC, lastCopiedAt DESC, id DESC LIMIT ?`;
+    params.push(limit);
+
+    try {
+      return await this.all(sql, params);
+    } catch (error) {
+      if (/fts5|syntax error|no such column/i.test(error.message)) {
+        throw new Error(`Invalid full-text query "${query}": ${error.message}. Use words, "exact phrases", prefix*, AND, OR, NOT`);
+      }
+      throw error;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,355 @@
+import zlib from "zlib";
+
+// TIFF decoding for the image pipeline. macOS puts TIFF on the pasteboard for
+// screenshots and images copied from most apps, usually uncompressed or LZW,
+// 8-bit RGB(A), sometimes with several resolutions in one file. Strips and
+// tiles, the common compressions (none, LZW, Deflate, PackBits), the
+// horizontal predictor and grey, RGB, palette and CMYK images are supported;
+// the result is { width, height, data, orientation } with 8-bit RGBA `data`.
+
+const TAG = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC: 262,
+  STRIP_OFFSETS: 273,
+  ORIENTATION: 274,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  COLOR_MAP: 320,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  EXTRA_SAMPLES: 338,
+  SAMPLE_FORMAT: 339,
+};
+
+// Byte size of each field type; only the integer types are ever read
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Guards against IFD chains that loop or never end
+const MAX_IFDS = 64;
+
+export function isTiff(buffer) {
+  return buffer.length >= 8 &&
+    ((buffer[0] === 0x49 && buffer[1] === 0x49 && buffer[2] === 42 && buffer[3] === 0) ||
+     (buffer[0] === 0x4d && buffer[1] === 0x4d && buffer[2] === 0 && buffer[3] === 42));
+}
+
+// Every IFD in the file as a Map of tag -> array of integer values
+function readIfds(buffer) {
+  if (!isTiff(buffer)) throw new Error('Not a TIFF image');
+  const little = buffer[0] === 0x49;
+  const u16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const ifds = [];
+  const seen = new Set();
+  let offset = u32(4);
+  while (offset !== 0 && !seen.has(offset) && ifds.length < MAX_IFDS) {
+    seen.add(offset);
+    if (offset + 2 > buffer.length) throw new Error('Truncated TIFF directory');
+    const count = u16(offset);
+    if (offset + 2 + count * 12 + 4 > buffer.length) throw new Error('Truncated TIFF directory');
+
+    const tags = new Map();
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = TYPE_SIZES[type];
+      if (![1, 3, 4, 7].includes(type) || !size) continue;
+      const start = size * valueCount <= 4 ? entry + 8 : u32(entry + 8);
+      if (start + size * valueCount > buffer.length) continue;
+      const values = new Array(valueCount);
+      for (let v = 0; v < valueCount; v++) {
+        const at = start + v * size;
+        values[v] = size === 1 ? buffer[at] : size === 2 ? u16(at) : u32(at);
+      }
+      tags.set(tag, values);
+    }
+    ifds.push(tags);
+    offset = u32(offset + 2 + count * 12);
+  }
+  return { ifds, little };
+}
+
+// The full-resolution image: the largest of the file's directories
+function mainIfd(ifds) {
+  const area = tags => (tags.get(TAG.IMAGE_WIDTH)?.[0] || 0) * (tags.get(TAG.IMAGE_LENGTH)?.[0] || 0);
+  return ifds.reduce((best, tags) => (area(tags) > area(best) ? tags : best), ifds[0]);
+}
+
+// Width and height of the largest image, without decoding
+export function tiffDimensions(buffer) {
+  try {
+    const { ifds } = readIfds(buffer);
+    if (ifds.length === 0) return null;
+    const tags = mainIfd(ifds);
+    return { width: tags.get(TAG.IMAGE_WIDTH)?.[0] || 0, height: tags.get(TAG.IMAGE_LENGTH)?.[0] || 0 };
+  } catch (error) {
+    return null;
+  }
+}
+
+// TIFF's LZW variant: MSB-first codes of 9 to 12 bits that grow one code early
+function lzwDecode(input, expectedLength) {
+  const out = new Uint8Array(expectedLength);
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) {
+    suffix[i] = i;
+    first[i] = i;
+    lengths[i] = 1;
+  }
+
+  let position = 0;
+  const write = code => {
+    const length = lengths[code];
+    for (let i = length - 1, c = code; i >= 0; i--) {
+      if (position + i < out.length) out[position + i] = suffix[c];
+      c = prefix[c];
+    }
+    position += length;
+  };
+
+  let nextCode = 258;
+  let codeLength = 9;
+  const add = (previous, byte) => {
+    if (nextCode >= 4096) return;
+    prefix[nextCode] = previous;
+    suffix[nextCode] = byte;
+    first[nextCode] = first[previous];
+    lengths[nextCode] = lengths[previous] + 1;
+    nextCode++;
+    if (nextCode >= (1 << codeLength) - 1 && codeLength < 12) codeLength++;
+  };
+
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let inputOffset = 0;
+  let previous = -1;
+  while (position < out.length) {
+    while (bitCount < codeLength && inputOffset < input.length) {
+      bitBuffer = ((bitBuffer << 8) | input[inputOffset++]) & 0xffffff;
+      bitCount += 8;
+    }
+    if (bitCount < codeLength) break;
+    const code = (bitBuffer >> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+    bitCount -= codeLength;
+
+    if (code === 257) break;
+    if (code === 256) {
+      nextCode = 258;
+      codeLength = 9;
+      previous = -1;
+      continue;
+    }
+    if (previous === -1) {
+      if (code > 255) throw new Error('Corrupt TIFF LZW data');
+      write(code);
+    } else if (code < nextCode) {
+      write(code);
+      add(previous, first[code]);
+    } else if (code === nextCode) {
+      add(previous, first[previous]);
+      write(code);
+    } else {
+      throw new Error('Corrupt TIFF LZW data');
+    }
+    previous = code;
+  }
+  return out;
+}
+
+function packBitsDecode(input, expectedLength) {
+  const out = new Uint8Array(expectedLength);
+  let position = 0;
+  for (let i = 0; i < input.length && position < out.length;) {
+    const n = (input[i++] << 24) >> 24;
+    if (n >= 0) {
+      for (let j = 0; j <= n && i < input.length; j++) out[position++] = input[i++];
+    } else if (n !== -128) {
+      const value = input[i++];
+      for (let j = 0; j < 1 - n; j++) out[position++] = value;
+    }
+  }
+  return out;
+}
+
+function decompress(compression, input, expectedLength) {
+  switch (compression) {
+    case 1:
+      return input;
+    case 5:
+      return lzwDecode(input, expectedLength);
+    case 8:
+    case 32946:
+      try {
+        return zlib.inflateSync(input);
+      } catch (error) {
+        throw new Error(`Corrupt TIFF Deflate data: ${error.message}`);
+      }
+    case 32773:
+      return packBitsDecode(input, expectedLength);
+    case 7:
+      throw new Error('JPEG-compressed TIFF images are not supported');
+    default:
+      throw new Error(`Unsupported TIFF compression ${compression}`);
+  }
+}
+
+export function decodeTiff(buffer, { maxPixels = Infinity } = {}) {
+  const { ifds, little } = readIfds(buffer);
+  if (ifds.length === 0) throw new Error('TIFF has no images');
+  const tags = mainIfd(ifds);
+  const get = (tag, fallback) => tags.get(tag)?.[0] ?? fallback;
+
+  const width = get(TAG.IMAGE_WIDTH, 0);
+  const height = get(TAG.IMAGE_LENGTH, 0);
+  if (width === 0 || height === 0) throw new Error('TIFF has no pixels');
+  if (width * height > maxPixels) throw new Error(`TIFF is ${width}×${height}, larger than the ${maxPixels} pixel limit`);
+
+  const samplesPerPixel = get(TAG.SAMPLES_PER_PIXEL, 1);
+  const bitsPerSample = tags.get(TAG.BITS_PER_SAMPLE) || [1];
+  const bits = bitsPerSample[0];
+  if (!bitsPerSample.every(value => value === bits) || ![1, 2, 4, 8, 16].includes(bits)) {
+    throw new Error(`Unsupported TIFF bit depth ${bitsPerSample.join('/')}`);
+  }
+  if (get(TAG.SAMPLE_FORMAT, 1) !== 1) throw new Error('Only integer TIFF samples are supported');
+
+  const compression = get(TAG.COMPRESSION, 1);
+  const photometric = get(TAG.PHOTOMETRIC, samplesPerPixel >= 3 ? 2 : 1);
+  const planar = get(TAG.PLANAR_CONFIGURATION, 1) === 2 && samplesPerPixel > 1;
+  const predictor = get(TAG.PREDICTOR, 1);
+  if (predictor !== 1 && predictor !== 2) throw new Error(`Unsupported TIFF predictor ${predictor}`);
+
+  const colorChannels = { 0: 1, 1: 1, 2: 3, 3: 1, 5: 4 }[photometric];
+  if (!colorChannels) throw new Error(`Unsupported TIFF photometric interpretation ${photometric}`);
+  if (samplesPerPixel < colorChannels) throw new Error('TIFF has fewer samples per pixel than its colour model needs');
+  // ExtraSamples 1 is premultiplied alpha, 2 straight alpha
+  const alphaType = samplesPerPixel > colorChannels ? (tags.get(TAG.EXTRA_SAMPLES)?.[0] ?? 0) : 0;
+  const hasAlpha = alphaType === 1 || alphaType === 2;
+
+  const colorMap = photometric === 3 ? tags.get(TAG.COLOR_MAP) : null;
+  if (photometric === 3 && (!colorMap || colorMap.length < 3 * (1 << bits))) throw new Error('Palette TIFF without a colour map');
+
+  // Strips are tiles as wide as the image
+  const tiled = tags.has(TAG.TILE_WIDTH);
+  const chunkWidth = tiled ? get(TAG.TILE_WIDTH, width) : width;
+  const chunkHeight = tiled ? get(TAG.TILE_LENGTH, height) : Math.min(get(TAG.ROWS_PER_STRIP, height), height);
+  const offsets = tags.get(tiled ? TAG.TILE_OFFSETS : TAG.STRIP_OFFSETS) || [];
+  const byteCounts = tags.get(tiled ? TAG.TILE_BYTE_COUNTS : TAG.STRIP_BYTE_COUNTS) || [];
+  const chunksAcross = Math.ceil(width / chunkWidth);
+  const chunksDown = Math.ceil(height / chunkHeight);
+  const chunksPerPlane = chunksAcross * chunksDown;
+  const planes = planar ? samplesPerPixel : 1;
+  if (offsets.length < chunksPerPlane * planes) throw new Error('TIFF is missing strip or tile offsets');
+
+  const samplesPerChunkPixel = planar ? 1 : samplesPerPixel;
+  const rowBytes = Math.ceil((chunkWidth * samplesPerChunkPixel * bits) / 8);
+  const maxValue = (1 << bits) - 1;
+  const to8 = value => (bits === 16 ? value >> 8 : bits === 8 ? value : Math.round((value * 255) / maxValue));
+
+  // Raw sample values, one plane of samplesPerPixel values per pixel
+  const samples = bits === 16 ? new Uint16Array(width * height * samplesPerPixel) : new Uint8Array(width * height * samplesPerPixel);
+
+  for (let plane = 0; plane < planes; plane++) {
+    for (let chunk = 0; chunk < chunksPerPlane; chunk++) {
+      const index = plane * chunksPerPlane + chunk;
+      const start = offsets[index];
+      const length = byteCounts[index] ?? buffer.length - start;
+      const expectedLength = rowBytes * chunkHeight;
+      const data = decompress(compression, buffer.subarray(start, start + length), expectedLength);
+
+      const chunkX = (chunk % chunksAcross) * chunkWidth;
+      const chunkY = Math.floor(chunk / chunksAcross) * chunkHeight;
+      for (let row = 0; row < chunkHeight && chunkY + row < height; row++) {
+        const rowStart = row * rowBytes;
+        if (rowStart >= data.length) break;
+        const rowValues = new Array(chunkWidth * samplesPerChunkPixel);
+        for (let i = 0; i < rowValues.length; i++) {
+          if (bits === 8) {
+            rowValues[i] = data[rowStart + i] ?? 0;
+          } else if (bits === 16) {
+            const at = rowStart + i * 2;
+            rowValues[i] = at + 1 < data.length ? (little ? data[at] | (data[at + 1] << 8) : (data[at] << 8) | data[at + 1]) : 0;
+          } else {
+            const bit = i * bits;
+            rowValues[i] = ((data[rowStart + (bit >> 3)] ?? 0) >> (8 - bits - (bit & 7))) & maxValue;
+          }
+        }
+        // Horizontal differencing: each sample is stored relative to the one to its left
+        if (predictor === 2) {
+          const mask = bits === 16 ? 0xffff : maxValue;
+          for (let i = samplesPerChunkPixel; i < rowValues.length; i++) {
+            rowValues[i] = (rowValues[i] + rowValues[i - samplesPerChunkPixel]) & mask;
+          }
+        }
+        for (let x = 0; x < chunkWidth && chunkX + x < width; x++) {
+          const pixel = ((chunkY + row) * width + chunkX + x) * samplesPerPixel;
+          if (planar) {
+            samples[pixel + plane] = rowValues[x];
+          } else {
+            for (let s = 0; s < samplesPerPixel; s++) samples[pixel + s] = rowValues[x * samplesPerPixel + s];
+          }
+        }
+      }
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const at = p * samplesPerPixel;
+    const out = p * 4;
+    let r;
+    let g;
+    let b;
+    switch (photometric) {
+      case 0:
+        r = g = b = 255 - to8(samples[at]);
+        break;
+      case 1:
+        r = g = b = to8(samples[at]);
+        break;
+      case 3: {
+        const index = samples[at];
+        r = colorMap[index] >> 8;
+        g = colorMap[(1 << bits) + index] >> 8;
+        b = colorMap[2 * (1 << bits) + index] >> 8;
+        break;
+      }
+      case 5: {
+        const k = 255 - to8(samples[at + 3]);
+        r = Math.round(((255 - to8(samples[at])) * k) / 255);
+        g = Math.round(((255 - to8(samples[at + 1])) * k) / 255);
+        b = Math.round(((255 - to8(samples[at + 2])) * k) / 255);
+        break;
+      }
+      default:
+        r = to8(samples[at]);
+        g = to8(samples[at + 1]);
+        b = to8(samples[at + 2]);
+    }
+    const alpha = hasAlpha ? to8(samples[at + colorChannels]) : 255;
+    if (alphaType === 1 && alpha > 0 && alpha < 255) {
+      r = Math.min(255, Math.round((r * 255) / alpha));
+      g = Math.min(255, Math.round((g * 255) / alpha));
+      b = Math.min(255, Math.round((b * 255) / alpha));
+    }
+    data[out] = r;
+    data[out + 1] = g;
+    data[out + 2] = b;
+    data[out + 3] = alpha;
+  }
+
+  return { width, height, data, orientation: get(TAG.ORIENTATION, 1) };
+}
@@ -0,0 +1,177 @@
+import { EventEmitter } from "events";
+import fsSync from "fs";
+import path from "path";
+
+// Polls Maccy's database for new, updated and deleted ZHISTORYITEM rows and
+// emits a 'change' event for each batch:
+//   { added: [id], updated: [id], removed: [id], copied: [id] }
+// `copied` lists items that were copied since the last poll (new rows, or rows
+// whose ZLASTCOPIEDAT moved forward because the user copied them again).
+//
+// A cheap aggregate fingerprint is checked first; the per-row diff only runs
+// when it changes. Changes to the SQLite file or its WAL trigger an immediate
+// poll so notifications don't wait for the next interval.
+export class HistoryWatcher extends EventEmitter {
+  constructor({ dbPath, openDb, intervalMs = 1000, log = () => {} }) {
+    super();
+    this.dbPath = dbPath;
+    this.openDb = openDb;
+    this.intervalMs = intervalMs;
+    this.log = log;
+
+    this.snapshot = null;
+    this.fingerprint = null;
+    this.timer = null;
+    this.fileWatchers = [];
+    this.polling = null;
+    this.ready = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.ready) return this.ready;
+
+    this.ready = this.poll();
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this.poll(), this.intervalMs);
+      this.timer.unref();
+    }
+    this.watchFiles();
+    return this.ready;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const watcher of this.fileWatchers) watcher.close();
+    this.fileWatchers = [];
+    this.ready = null;
+  }
+
+  // Watch the database directory for writes to the file, -wal or -shm
+  watchFiles() {
+    const names = new Set(['', '-wal', '-shm'].map(suffix => path.basename(this.dbPath) + suffix));
+    let debounce = null;
+
+    try {
+      const watcher = fsSync.watch(path.dirname(this.dbPath), (eventType, filename) => {
+        if (filename && !names.has(filename)) return;
+        clearTimeout(debounce);
+        debounce = setTimeout(() => this.poll(), 100);
+      });
+      watcher.on('error', error => this.log('warn', 'Database file watcher failed', { error: error.message }));
+      watcher.unref();
+      this.fileWatchers.push(watcher);
+    } catch (error) {
+      // Polling still works without file events
+      this.log('warn', 'Cannot watch database directory, relying on polling', { error: error.message });
+    }
+  }
+
+  // Run one poll; overlapping calls share the in-flight one
+  poll() {
+    if (!this.polling) {
+      this.polling = this.doPoll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async doPoll() {
+    let db;
+    try {
+      // sqlite3 never settles queries on a database it failed to open
+      if (!fsSync.existsSync(this.dbPath)) {
+        throw new Error(`Database not found at ${this.dbPath}`);
+      }
+      db = this.openDb();
+      const aggregate = await db.get(`
+        SELECT COUNT(*) as count, MAX(Z_PK) as maxId, MAX(ZLASTCOPIEDAT) as newest,
+               TOTAL(ZNUMBEROFCOPIES) as copies, COUNT(ZPIN) as pins
+        FROM ZHISTORYITEM
+      `);
+      const fingerprint = `${aggregate.count}:${aggregate.maxId}:${aggregate.newest}:${aggregate.copies}:${aggregate.pins}`;
+      if (fingerprint === this.fingerprint) return;
+
+      const rows = await db.all(`SELECT Z_PK as id, ZLASTCOPIEDAT, ZNUMBEROFCOPIES, ZPIN FROM ZHISTORYITEM`);
+      const snapshot = new Map(rows.map(row => [row.id, row]));
+      const previous = this.snapshot;
+      this.snapshot = snapshot;
+      this.fingerprint = fingerprint;
+      this.lastError = null;
+
+      // The first poll only establishes the baseline
+      if (!previous) return;
+
+      const change = { added: [], updated: [], removed: [], copied: [] };
+      for (const [id, row] of snapshot) {
+        const before = previous.get(id);
+        if (!before) {
+          change.added.push(id);
+          change.copied.push(id);
+        } else if (before.ZLASTCOPIEDAT !== row.ZLASTCOPIEDAT ||
+                   before.ZNUMBEROFCOPIES !== row.ZNUMBEROFCOPIES ||
+                   before.ZPIN !== row.ZPIN) {
+          change.updated.push(id);
+          if (row.ZLASTCOPIEDAT > before.ZLASTCOPIEDAT) change.copied.push(id);
+        }
+      }
+      for (const id of previous.keys()) {
+        if (!snapshot.has(id)) change.removed.push(id);
+      }
+
+      if (change.added.length || change.updated.length || change.removed.length) {
+        this.emit('change', change);
+      }
+    } catch (error) {
+      // Log each distinct failure once rather than on every poll
+      if (this.lastError !== error.message) {
+        this.lastError = error.message;
+        this.log('warn', 'Clipboard history poll failed', { error: error.message });
+      }
+    } finally {
+      if (db) db.close();
+    }
+  }
+
+  // Resolve with the IDs of the next copied items, or null after `timeoutMs`.
+  // `filter(id)` can restrict which copies count; `signal` aborts the wait.
+  async waitForCopy({ timeoutMs, signal, filter = null } = {}) {
+    await this.start();
+
+    return new Promise((resolve, reject) => {
+      let timeout = null;
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.off('change', onChange);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onChange = async ({ copied }) => {
+        try {
+          const matches = filter ? await Promise.all(copied.map(filter)) : copied.map(() => true);
+          const ids = copied.filter((id, i) => matches[i]);
+          if (ids.length === 0) return;
+          cleanup();
+          resolve(ids);
+        } catch (error) {
+          cleanup();
+          reject(error);
+        }
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new Error('Wait for next copy was cancelled'));
+      };
+
+      if (signal?.aborted) return onAbort();
+      this.on('change', onChange);
+      signal?.addEventListener('abort', onAbort);
+      timeout = setTimeout(() => {
+        cleanup();
+        resolve(null);
+      }, timeoutMs);
+    });
+  }
+}